@@ -2,7 +2,8 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import fs from "fs";
-import { initializeIndex, deleteIndex } from "./src/config/pinecone.js";
+import { initializeIndex, deleteIndex } from "./src/config/vectorStore.js";
+import { getEmbeddingProvider, verifyEmbeddingProvider } from "./src/config/embedding.js";
 import { createCustomObjectType } from "./src/config/zendesk.js";
 import navbarRoutes from "./src/routes/navbar.route.js";
 import sidebarRoutes from "./src/routes/sidebar.route.js";
@@ -38,7 +39,7 @@ app.delete("/force-delete-index", async (req, res) => {
     
     res.json({ 
       status: "Index deleted successfully",
-      message: "Restart the server now to create a new index with dimension=768"
+      message: `Restart the server now to create a new index with dimension=${getEmbeddingProvider().dimensions}`
     });
   } catch (err) {
     console.error("❌ Delete error:", err);
@@ -136,14 +137,18 @@ app.post("/recreate-custom-object", async (_, res) => {
 async function startServer() {
   try {
     console.log("🚀 Starting server...");
-    console.log("🔧 Initializing Pinecone...");
     
     // Create uploads directory if it doesn't exist
     if (!fs.existsSync('uploads')) {
       fs.mkdirSync('uploads');
     }
     
-    // Initialize Pinecone index
+    // Check the embedding provider's dimension before the index is checked against it
+    console.log("🔧 Checking embedding provider...");
+    await verifyEmbeddingProvider();
+
+    // Initialize the vector index (Pinecone or local, see VECTOR_STORE)
+    console.log("🔧 Initializing vector store...");
     await initializeIndex();
     
     // Setup Zendesk custom object (if credentials available)
@@ -158,10 +163,20 @@ async function startServer() {
       console.log(`\n📍 Available endpoints:`);
       console.log(`\n🔹 NAVBAR (Import):`);
       console.log(`  POST   /auto-import-tickets  - Auto-import tickets from Zendesk`);
+      console.log(`  POST   /sync-tickets         - Incremental sync of changed tickets`);
       console.log(`  POST   /import-file          - Import file to knowledge base`);
+      console.log(`  GET    /jobs/:id             - Import job status & progress`);
+      console.log(`  GET    /jobs/:id/events      - Live import progress (SSE)`);
+      console.log(`  POST   /imports/:id/resume   - Resume a failed/interrupted import`);
+      console.log(`  POST   /imports/:id/retry-failed - Retry failed tickets of an import`);
+      console.log(`  GET    /import-history       - Import & error timeline`);
       console.log(`  POST   /ingest-kb            - Ingest knowledge base articles`);
+      console.log(`  POST   /import-help-center   - Import Help Center articles (job)`);
+      console.log(`  POST   /import-macros        - Import shared macros (job)`);
       console.log(`  DELETE /reset-kb             - Reset knowledge base`);
       console.log(`  GET    /index-stats          - Get index statistics`);
+      console.log(`  POST   /index-migrations     - Re-embed into a new index (job)`);
+      console.log(`  POST   /index-migrations/rollback | /confirm - Roll back or delete the old index`);
       console.log(`\n🔹 SIDEBAR (Summary):`);
       console.log(`  POST   /summarize            - Summarize a ticket`);
       console.log(`  POST   /translate            - Translate text`);
@@ -170,7 +185,7 @@ async function startServer() {
       console.log(`  POST   /debug-search         - Debug article search`);
       console.log(`\n🔹 UTILITY:`);
       console.log(`  GET    /health               - Health check`);
-      console.log(`  DELETE /force-delete-index   - Force delete Pinecone index`);
+      console.log(`  DELETE /force-delete-index   - Force delete the vector index`);
       console.log(`\n💡 Tip: Test with: curl http://localhost:${PORT}/health\n`);
     });
   } catch (err) {
@@ -0,0 +1,75 @@
+import fs from "fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Per-brand settings, read from a JSON file (BRAND_CONFIG_PATH, default ./brands.json)
+ * Shape: { "default": { <section>: {...} }, "brands": { "<brand ID or name>": { <section>: {...} } } }
+ * A brand's section settings replace the default ones key by key.
+ * See brands.example.json. Without a file every brand uses the built-in defaults.
+ */
+const BRAND_CONFIG_PATH = process.env.BRAND_CONFIG_PATH || "brands.json";
+
+let brandConfig = null;
+
+function loadBrandConfig() {
+  if (!fs.existsSync(BRAND_CONFIG_PATH)) {
+    return { default: {}, brands: {} };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(BRAND_CONFIG_PATH, "utf8"));
+    console.log(`🏷️  Brand config loaded from ${BRAND_CONFIG_PATH} (${Object.keys(config.brands || {}).length} brands)`);
+    return { default: config.default || {}, brands: config.brands || {} };
+  } catch (err) {
+    console.warn(`⚠️ Could not read brand config ${BRAND_CONFIG_PATH}:`, err.message);
+    return { default: {}, brands: {} };
+  }
+}
+
+/**
+ * Get one settings section for a brand (default settings merged with the brand's)
+ * @param {string} section - e.g. 'redaction'
+ * @param {object} brandRef - { brand, brandId } - matched by ID first, then by name
+ */
+export function getBrandSettings(section, { brand = null, brandId = null } = {}) {
+  if (!brandConfig) {
+    brandConfig = loadBrandConfig();
+  }
+
+  const overrides = (brandId && brandConfig.brands[String(brandId)])
+    || (brand && brandConfig.brands[brand])
+    || {};
+
+  return {
+    ...(brandConfig.default[section] || {}),
+    ...(overrides[section] || {})
+  };
+}
+
+/**
+ * Internal note policy for a brand ('internalNotes' section)
+ * index: chunk internal notes (as 'internal_note' chunks, never mixed with
+ * public comments); replyContext: let compose-reply use them as context;
+ * summary: include them in Sidebar summaries (agent-only)
+ */
+const INTERNAL_NOTE_DEFAULTS = { index: true, replyContext: false, summary: true };
+
+export function getInternalNotePolicy(brandRef = {}) {
+  return { ...INTERNAL_NOTE_DEFAULTS, ...getBrandSettings('internalNotes', brandRef) };
+}
+
+/**
+ * Ticket quality policy for a brand ('quality' section, see services/ticketQuality.js)
+ * minScore: tickets scoring lower are not indexed (TICKET_QUALITY_MIN_SCORE);
+ * replyMinScore: compose-reply drops ticket matches scoring lower
+ */
+const QUALITY_DEFAULTS = {
+  minScore: parseFloat(process.env.TICKET_QUALITY_MIN_SCORE || "0.5"),
+  replyMinScore: 0
+};
+
+export function getQualityPolicy(brandRef = {}) {
+  return { ...QUALITY_DEFAULTS, ...getBrandSettings('quality', brandRef) };
+}
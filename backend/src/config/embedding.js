@@ -0,0 +1,221 @@
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Embedding providers (EMBEDDING_PROVIDER)
+ * - openai: OpenAI embeddings API. text-embedding-3-* models are shortened to
+ *   EMBEDDING_DIMENSIONS with the `dimensions` parameter.
+ * - openai-compatible: any server with an OpenAI-style /embeddings endpoint
+ *   (EMBEDDING_BASE_URL, e.g. Ollama or vLLM). Without EMBEDDING_DIMENSIONS
+ *   the dimension is measured at startup.
+ * - hash: deterministic feature-hashing vectors, no network - for offline
+ *   development and tests. Texts sharing words get similar vectors.
+ *
+ * A provider is { name, model, dimensions, maxInputs, embed(inputs) }. embed
+ * makes a single request; retries, batching and pacing live in
+ * services/embedding.js.
+ */
+const PROVIDER_NAME = (process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+
+// Index size when EMBEDDING_DIMENSIONS isn't set
+const DEFAULT_DIMENSIONS = 1536;
+
+// Native sizes of OpenAI embedding models; `shortenable` ones accept `dimensions`
+const OPENAI_MODELS = {
+  'text-embedding-3-large': { dimensions: 3072, shortenable: true },
+  'text-embedding-3-small': { dimensions: 1536, shortenable: true },
+  'text-embedding-ada-002': { dimensions: 1536, shortenable: false }
+};
+
+const configuredDimensions = process.env.EMBEDDING_DIMENSIONS
+  ? parseInt(process.env.EMBEDDING_DIMENSIONS)
+  : null;
+
+/**
+ * Single request to an OpenAI-style embeddings endpoint
+ * Errors are axios errors (error.response.status) for the caller's retries.
+ * @returns {Promise<number[][]>} Embeddings in input order
+ */
+async function requestOpenAIEmbeddings({ endpoint, apiKey, model, dimensions }, inputs) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(
+    endpoint,
+    {
+      model,
+      input: inputs,
+      ...(dimensions && { dimensions }),
+      encoding_format: "float"
+    },
+    { headers, timeout: 60000 }
+  );
+
+  // Results carry the index of their input - map them back by it
+  const embeddings = new Array(inputs.length);
+  for (const item of response.data?.data || []) {
+    embeddings[item.index] = item.embedding;
+  }
+
+  if (embeddings.some(embedding => !embedding)) {
+    throw new Error(`No embedding values in response for ${embeddings.filter(e => !e).length}/${inputs.length} inputs`);
+  }
+  return embeddings;
+}
+
+function createOpenAIProvider() {
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
+  const known = OPENAI_MODELS[model];
+  const dimensions = configuredDimensions || (known?.shortenable ? DEFAULT_DIMENSIONS : known?.dimensions) || DEFAULT_DIMENSIONS;
+
+  if (known && !known.shortenable && dimensions !== known.dimensions) {
+    throw new Error(`${model} always returns ${known.dimensions} dimensions - EMBEDDING_DIMENSIONS=${dimensions} is not possible with it`);
+  }
+  if (known && dimensions > known.dimensions) {
+    throw new Error(`${model} returns at most ${known.dimensions} dimensions - EMBEDDING_DIMENSIONS=${dimensions} is too large`);
+  }
+
+  const request = {
+    endpoint: "https://api.openai.com/v1/embeddings",
+    model,
+    // Only sent when it shortens the vectors (older models reject the parameter)
+    dimensions: known && !known.shortenable ? null : dimensions
+  };
+
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+    maxInputs: 2048,
+    embed(inputs) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error("OPENAI_API_KEY not configured");
+      }
+      return requestOpenAIEmbeddings({ ...request, apiKey: process.env.OPENAI_API_KEY }, inputs);
+    }
+  };
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = process.env.EMBEDDING_BASE_URL;
+  const model = process.env.EMBEDDING_MODEL;
+  if (!baseUrl || !model) {
+    throw new Error("EMBEDDING_BASE_URL and EMBEDDING_MODEL are required for EMBEDDING_PROVIDER=openai-compatible");
+  }
+
+  const request = {
+    endpoint: `${baseUrl.replace(/\/+$/, '')}/embeddings`,
+    apiKey: process.env.EMBEDDING_API_KEY,
+    model,
+    dimensions: configuredDimensions
+  };
+
+  return {
+    name: 'openai-compatible',
+    model,
+    // Measured by verifyEmbeddingProvider when not configured
+    dimensions: configuredDimensions,
+    maxInputs: parseInt(process.env.EMBEDDING_MAX_INPUTS || "256"),
+    embed(inputs) {
+      return requestOpenAIEmbeddings(request, inputs);
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Feature-hashing vector: every word and word pair adds ±1 to one bucket,
+ * then the vector is normalized
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [text];
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    // Words cancelled out - cosine indexes reject zero vectors
+    vector[fnv1a(text) % dimensions] = 1;
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+function createHashProvider() {
+  const dimensions = configuredDimensions || DEFAULT_DIMENSIONS;
+
+  return {
+    name: 'hash',
+    model: 'hash-v1',
+    dimensions,
+    maxInputs: 2048,
+    async embed(inputs) {
+      return inputs.map(text => hashEmbedding(text, dimensions));
+    }
+  };
+}
+
+const PROVIDERS = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'hash': createHashProvider
+};
+
+let provider = null;
+
+/**
+ * The configured embedding provider (created on first use)
+ */
+export function getEmbeddingProvider() {
+  if (!provider) {
+    const create = PROVIDERS[PROVIDER_NAME];
+    if (!create) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${PROVIDER_NAME}" - use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = create();
+  }
+  return provider;
+}
+
+/**
+ * Embed a probe text once and check the provider returns the dimension it
+ * is configured for (or learn it, for openai-compatible servers without
+ * EMBEDDING_DIMENSIONS). Called at startup, before the index is checked.
+ * @returns {Promise<object>} { provider, model, dimensions }
+ */
+export async function verifyEmbeddingProvider() {
+  const current = getEmbeddingProvider();
+  const [probe] = await current.embed(["dimension check"]);
+
+  if (!current.dimensions) {
+    current.dimensions = probe.length;
+  } else if (probe.length !== current.dimensions) {
+    throw new Error(
+      `Embedding provider ${current.name} (${current.model}) returned ${probe.length} dimensions, ` +
+      `but is configured for ${current.dimensions}. Set EMBEDDING_DIMENSIONS=${probe.length} or choose a model that supports ${current.dimensions}.`
+    );
+  }
+
+  console.log(`✅ Embedding provider: ${current.name} (${current.model}, ${current.dimensions} dimensions)`);
+  return { provider: current.name, model: current.model, dimensions: current.dimensions };
+}
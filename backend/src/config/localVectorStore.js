@@ -0,0 +1,330 @@
+import path from "path";
+import { open } from "lmdb";
+import { getEmbeddingProvider } from "./embedding.js";
+
+/**
+ * Local vector store (VECTOR_STORE=local)
+ * Vectors are saved in an LMDB database in DATA_DIR/vector-store and kept in
+ * memory for search. Queries compare the query with every vector (cosine
+ * similarity), which is fine for tens of thousands of vectors - larger
+ * knowledge bases belong in Pinecone. Metadata filters support the Pinecone
+ * operators ($eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $and, $or).
+ */
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const STORE_PATH = path.join(DATA_DIR, 'vector-store');
+const INDEX_NAME = "zendesk-kb";
+
+let root = null;
+let catalog = null;
+// Loaded indexes: name → { db, entries: Map id → { vector, norm, metadata } }
+const loaded = new Map();
+
+// Index used for reads and writes - config/vectorStore.js switches it after a migration
+let indexName = INDEX_NAME;
+
+/**
+ * Open the database (on first use)
+ * The catalog records every index's dimension; each index is its own table.
+ */
+function getCatalog() {
+  if (!root) {
+    root = open({ path: STORE_PATH, compression: false });
+    catalog = root.openDB({ name: 'indexes' });
+  }
+  return catalog;
+}
+
+/**
+ * Load an index into memory (on first use)
+ */
+function getLocalIndex(name) {
+  getCatalog();
+  if (!loaded.has(name)) {
+    const db = root.openDB({ name });
+    const entries = new Map();
+    for (const { key, value } of db.getRange()) {
+      entries.set(key, toEntry(value.values, value.metadata));
+    }
+    loaded.set(name, { db, entries });
+  }
+  return loaded.get(name);
+}
+
+/**
+ * In-memory entry: float32 values, their norm and the metadata
+ */
+function toEntry(values, metadata) {
+  const vector = values instanceof Uint8Array
+    ? new Float32Array(values.buffer.slice(values.byteOffset, values.byteOffset + values.byteLength))
+    : Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  return { vector, norm: Math.sqrt(norm), metadata: metadata || {} };
+}
+
+/**
+ * Create an index
+ * @param {string} name - Index name
+ * @param {number} dimension - Vector size
+ */
+export async function createNamedIndex(name, dimension) {
+  await getCatalog().put(name, { dimension, createdAt: new Date().toISOString() });
+  console.log(`✅ Local index created with dimension: ${dimension} (${name})`);
+}
+
+/**
+ * Describe an index by name
+ * @returns {Promise<object|null>} { name, dimension, vectorCount }, null if it doesn't exist
+ */
+export async function describeNamedIndex(name) {
+  const info = getCatalog().get(name);
+  if (!info) return null;
+  return { name, dimension: info.dimension, vectorCount: getLocalIndex(name).entries.size };
+}
+
+/**
+ * Delete an index by name
+ */
+export async function deleteNamedIndex(name) {
+  const { db, entries } = getLocalIndex(name);
+  await db.clearAsync();
+  await getCatalog().remove(name);
+  entries.clear();
+  loaded.delete(name);
+  console.log(`✅ Local index deleted: ${name}`);
+}
+
+/**
+ * Open an index for reads and writes, creating it with the embedding
+ * provider's dimension when it doesn't exist. An existing index is never
+ * changed - config/vectorStore.js reports a dimension mismatch.
+ * @param {string} name - Index name (default: the current one)
+ * @returns {Promise<object>} { name, dimension }
+ */
+export async function initializeIndex(name = indexName) {
+  let existing = await describeNamedIndex(name);
+  if (!existing) {
+    await createNamedIndex(name, getEmbeddingProvider().dimensions);
+    existing = await describeNamedIndex(name);
+  }
+
+  indexName = name;
+  console.log(`✅ Local index ready: ${name} (${existing.vectorCount} vectors, ${existing.dimension} dimensions)`);
+  return { name, dimension: existing.dimension };
+}
+
+/**
+ * Delete the current index (recreated on the next start)
+ */
+export async function deleteIndex() {
+  await deleteNamedIndex(indexName);
+}
+
+/**
+ * Index statistics
+ */
+export async function getIndexStats() {
+  const provider = getEmbeddingProvider();
+  const dimension = getCatalog().get(indexName)?.dimension || null;
+
+  return {
+    indexName: indexName,
+    dimension: dimension,
+    embedding: {
+      provider: provider.name,
+      model: provider.model,
+      dimensions: provider.dimensions
+    },
+    stats: {
+      dimension: dimension,
+      totalRecordCount: getLocalIndex(indexName).entries.size,
+      path: STORE_PATH
+    }
+  };
+}
+
+/**
+ * Delete all vectors (keeps the index)
+ */
+export async function resetKnowledgeBase() {
+  await clearIndex(indexName);
+}
+
+/**
+ * Delete all vectors of a named index (used by index migrations)
+ */
+export async function clearIndex(name) {
+  const { db, entries } = getLocalIndex(name);
+  await db.clearAsync();
+  entries.clear();
+  console.log("🗑️ Deleted all vectors from local index:", name);
+}
+
+/**
+ * Upsert vectors in batches
+ * @param {object[]} vectors - Vectors to upsert ({ id, values, metadata })
+ * @param {number} batchSize - Vectors per write transaction
+ * @param {function} onProgress - Optional callback (uploaded, total) after each batch
+ */
+export async function upsertVectors(vectors, batchSize = 100, onProgress = null) {
+  await upsertToIndex(indexName, vectors, batchSize, onProgress);
+}
+
+/**
+ * Upsert vectors into a named index (used by index migrations)
+ */
+export async function upsertToIndex(name, vectors, batchSize = 100, onProgress = null) {
+  const { db, entries } = getLocalIndex(name);
+  const dimension = getCatalog().get(name)?.dimension;
+
+  for (let i = 0; i < vectors.length; i += batchSize) {
+    const batch = vectors.slice(i, i + batchSize);
+
+    const wrongSize = batch.find(v => dimension && v.values.length !== dimension);
+    if (wrongSize) {
+      throw new Error(`Vector ${wrongSize.id} has ${wrongSize.values.length} dimensions, the index has ${dimension}`);
+    }
+
+    await root.transaction(() => {
+      for (const { id, values, metadata } of batch) {
+        db.put(id, { values: Buffer.from(Float32Array.from(values).buffer), metadata: metadata || {} });
+      }
+    });
+    for (const { id, values, metadata } of batch) {
+      entries.set(id, toEntry(values, metadata));
+    }
+    console.log(`✓ Uploaded batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(vectors.length/batchSize)}`);
+
+    if (onProgress) {
+      onProgress(Math.min(i + batchSize, vectors.length), vectors.length);
+    }
+  }
+}
+
+/**
+ * List all vector IDs that start with a prefix
+ * @param {string} prefix - ID prefix, e.g. 'auto-ticket-123-'
+ * @returns {Promise<string[]>} Matching vector IDs
+ */
+export async function listVectorIds(prefix) {
+  const { entries } = getLocalIndex(indexName);
+  return [...entries.keys()].filter(id => id.startsWith(prefix));
+}
+
+/**
+ * Delete vectors by ID
+ * @param {string[]} ids - Vector IDs to delete
+ */
+export async function deleteVectors(ids) {
+  await deleteFromIndex(indexName, ids);
+}
+
+/**
+ * Delete vectors by ID from a named index (used by index migrations)
+ */
+export async function deleteFromIndex(name, ids) {
+  if (!ids || ids.length === 0) return;
+
+  const { db, entries } = getLocalIndex(name);
+  await root.transaction(() => {
+    for (const id of ids) {
+      db.remove(id);
+    }
+  });
+  for (const id of ids) {
+    entries.delete(id);
+  }
+  console.log(`🗑️ Deleted ${ids.length} vectors`);
+}
+
+/**
+ * Read every vector of a named index, one page at a time
+ * @param {string} name - Index name
+ * @param {function} onPage - async ([{ id, metadata }]) => void
+ */
+export async function scanIndex(name, onPage) {
+  const ids = [...getLocalIndex(name).entries.keys()];
+
+  for (let i = 0; i < ids.length; i += 100) {
+    const { entries } = getLocalIndex(name);
+    const page = ids.slice(i, i + 100)
+      .filter(id => entries.has(id))
+      .map(id => ({ id, metadata: entries.get(id).metadata }));
+    await onPage(page);
+  }
+}
+
+/**
+ * Whether one metadata value satisfies one operator
+ * List values (e.g. agent_groups) match $eq / $in when any element does,
+ * and $ne / $nin when none does - as in Pinecone.
+ */
+function matchesOperator(value, operator, expected) {
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (operator) {
+    case '$eq': return values.includes(expected);
+    case '$ne': return !values.includes(expected);
+    case '$in': return values.some(v => expected.includes(v));
+    case '$nin': return !values.some(v => expected.includes(v));
+    case '$gt': return value !== undefined && value > expected;
+    case '$gte': return value !== undefined && value >= expected;
+    case '$lt': return value !== undefined && value < expected;
+    case '$lte': return value !== undefined && value <= expected;
+    case '$exists': return (value !== undefined) === expected;
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+/**
+ * Whether metadata matches a Pinecone-style filter
+ * (`{ field: value }` is short for `{ field: { $eq: value } }`)
+ */
+export function matchesFilter(metadata, filter) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return matchesOperator(metadata[key], '$eq', condition);
+    }
+    return Object.entries(condition).every(([operator, expected]) => matchesOperator(metadata[key], operator, expected));
+  });
+}
+
+/**
+ * Query vectors with optional metadata filtering (cosine similarity)
+ * @param {number[]} vector - Embedding vector
+ * @param {number} topK - Number of results to return
+ * @param {boolean} includeMetadata - Include metadata in results
+ * @param {object} filter - Metadata filter (e.g., { brand: { $eq: 'brand_name' } })
+ */
+export async function queryVectors(vector, topK = 5, includeMetadata = true, filter = null) {
+  const { entries } = getLocalIndex(indexName);
+  const query = Float32Array.from(vector);
+  let queryNorm = 0;
+  for (let i = 0; i < query.length; i++) queryNorm += query[i] * query[i];
+  queryNorm = Math.sqrt(queryNorm);
+
+  const scored = [];
+  for (const [id, entry] of entries) {
+    if (filter && !matchesFilter(entry.metadata, filter)) continue;
+
+    let dot = 0;
+    for (let i = 0; i < query.length; i++) dot += query[i] * entry.vector[i];
+    scored.push({ id, score: queryNorm && entry.norm ? dot / (queryNorm * entry.norm) : 0, entry });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return {
+    matches: scored.slice(0, topK).map(({ id, score, entry }) => ({
+      id,
+      score,
+      ...(includeMetadata && { metadata: entry.metadata })
+    }))
+  };
+}
+
+export { INDEX_NAME };
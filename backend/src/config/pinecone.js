@@ -1,5 +1,6 @@
 import { Pinecone } from "@pinecone-database/pinecone";
 import dotenv from "dotenv";
+import { getEmbeddingProvider } from "./embedding.js";
 
 dotenv.config();
 
@@ -9,115 +10,113 @@ if (!process.env.PINECONE_API_KEY) {
 }
 
 const INDEX_NAME = "zendesk-kb";
-const DIMENSION = 1536; // OpenAI text-embedding-3-small dimension
 
 const pc = new Pinecone({
   apiKey: process.env.PINECONE_API_KEY,
 });
 
+// Index used for reads and writes - config/vectorStore.js switches it after a migration
+let indexName = INDEX_NAME;
 let indexCache = null;
 
 /**
- * Initialize Pinecone index
+ * Create an index and wait until it is ready
+ * @param {string} name - Index name
+ * @param {number} dimension - Vector size
  */
-export async function initializeIndex() {
-  try {
-    const indexList = await pc.listIndexes();
-    const indexExists = indexList.indexes?.some(idx => idx.name === INDEX_NAME);
-
-    if (!indexExists) {
-      console.log(`📦 Creating new index: ${INDEX_NAME}`);
-      console.log(`⏳ This may take 30-60 seconds...`);
-      
-      await pc.createIndex({
-        name: INDEX_NAME,
-        dimension: DIMENSION,
-        metric: "cosine",
-        spec: {
-          serverless: {
-            cloud: "aws",
-            region: "us-east-1",
-          },
-        },
-      });
-      
-      console.log("⏳ Waiting for index to be ready...");
-      let ready = false;
-      let attempts = 0;
-      
-      while (!ready && attempts < 30) {
-        try {
-          const indexDesc = await pc.describeIndex(INDEX_NAME);
-          if (indexDesc.status?.ready) {
-            ready = true;
-          } else {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            attempts++;
-          }
-        } catch (e) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          attempts++;
-        }
-      }
-      
-      if (!ready) {
-        throw new Error("Index creation timeout. Please try again.");
+export async function createNamedIndex(name, dimension) {
+  console.log(`📦 Creating new index: ${name}`);
+  console.log(`⏳ This may take 30-60 seconds...`);
+
+  await pc.createIndex({
+    name,
+    dimension,
+    metric: "cosine",
+    spec: {
+      serverless: {
+        cloud: "aws",
+        region: "us-east-1",
+      },
+    },
+  });
+
+  console.log("⏳ Waiting for index to be ready...");
+  let ready = false;
+  let attempts = 0;
+
+  while (!ready && attempts < 30) {
+    try {
+      const indexDesc = await pc.describeIndex(name);
+      if (indexDesc.status?.ready) {
+        ready = true;
+      } else {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        attempts++;
       }
-      
-      console.log(`✅ Index created with dimension: ${DIMENSION}`);
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      attempts++;
+    }
+  }
+
+  if (!ready) {
+    throw new Error("Index creation timeout. Please try again.");
+  }
+
+  console.log(`✅ Index created with dimension: ${dimension}`);
+}
+
+/**
+ * Describe an index by name
+ * @returns {Promise<object|null>} { name, dimension, vectorCount }, null if it doesn't exist
+ */
+export async function describeNamedIndex(name) {
+  const indexList = await pc.listIndexes();
+  const description = indexList.indexes?.find(idx => idx.name === name);
+  if (!description) return null;
+
+  const stats = await pc.index(name).describeIndexStats();
+  return { name, dimension: description.dimension, vectorCount: stats.totalRecordCount || 0 };
+}
+
+/**
+ * Delete an index by name
+ */
+export async function deleteNamedIndex(name) {
+  console.log(`🗑️ Deleting index: ${name}`);
+  await pc.deleteIndex(name);
+  if (name === indexName) {
+    indexCache = null;
+  }
+  console.log(`✅ Index deleted successfully`);
+}
+
+/**
+ * Open an index for reads and writes, creating it with the embedding
+ * provider's dimension when it doesn't exist (run verifyEmbeddingProvider
+ * first for providers that measure it). An existing index is never changed -
+ * config/vectorStore.js reports a dimension mismatch.
+ * @param {string} name - Index name (default: the current one)
+ * @returns {Promise<object>} { name, dimension }
+ */
+export async function initializeIndex(name = indexName) {
+  try {
+    let dimension;
+    const existing = await describeNamedIndex(name);
+
+    if (!existing) {
+      dimension = getEmbeddingProvider().dimensions;
+      await createNamedIndex(name, dimension);
     } else {
-      console.log(`✅ Index already exists: ${INDEX_NAME}`);
-      
-      try {
-        const indexDesc = await pc.describeIndex(INDEX_NAME);
-        const indexDimension = indexDesc.dimension;
-        
-        console.log(`🔍 Index dimension: ${indexDimension}`);
-        
-        if (indexDimension !== DIMENSION) {
-          console.error(`\n⚠️ Dimension mismatch detected!`);
-          console.error(`   Index has: ${indexDimension} dimensions`);
-          console.error(`   Model needs: ${DIMENSION} dimensions`);
-          console.error(`\n� Auto-fixing: Deleting old index and creating new one...`);
-          
-          // Auto-delete and recreate
-          await pc.deleteIndex(INDEX_NAME);
-          console.log(`✅ Old index deleted`);
-          
-          // Wait for deletion
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          
-          console.log(`📦 Creating new index with ${DIMENSION} dimensions...`);
-          await pc.createIndex({
-            name: INDEX_NAME,
-            dimension: DIMENSION,
-            metric: "cosine",
-            spec: {
-              serverless: {
-                cloud: "aws",
-                region: "us-east-1"
-              }
-            }
-          });
-          
-          console.log(`✅ New index created successfully!`);
-          // Wait for new index to be ready
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-        
-        console.log(`✅ Dimension verified: ${DIMENSION}`);
-      } catch (err) {
-        if (err.message.includes('Dimension mismatch')) {
-          throw err;
-        }
-        console.warn(`⚠️ Could not verify dimension:`, err.message);
-      }
+      dimension = existing.dimension;
+      console.log(`✅ Index already exists: ${name}`);
+      console.log(`🔍 Index dimension: ${dimension}`);
     }
 
-    const index = pc.index(INDEX_NAME);
-    indexCache = index;
-    console.log("✅ Index ready:", INDEX_NAME);
-    return index;
+    indexName = name;
+    indexCache = pc.index(name);
+    console.log("✅ Index ready:", name);
+    return { name, dimension };
   } catch (err) {
     console.error("❌ Failed to initialize index:", err);
     throw err;
@@ -129,7 +128,7 @@ export async function initializeIndex() {
  */
 export async function getIndex() {
   if (!indexCache) {
-    indexCache = await initializeIndex();
+    await initializeIndex();
   }
   return indexCache;
 }
@@ -138,10 +137,7 @@ export async function getIndex() {
  * Force delete index (for resetting)
  */
 export async function deleteIndex() {
-  console.log(`🗑️ Deleting index: ${INDEX_NAME}`);
-  await pc.deleteIndex(INDEX_NAME);
-  indexCache = null;
-  console.log(`✅ Index deleted successfully`);
+  await deleteNamedIndex(indexName);
 }
 
 /**
@@ -151,8 +147,13 @@ export async function getIndexStats() {
   const index = await getIndex();
   const stats = await index.describeIndexStats();
   return {
-    indexName: INDEX_NAME,
-    dimension: DIMENSION,
+    indexName: indexName,
+    dimension: stats.dimension,
+    embedding: {
+      provider: getEmbeddingProvider().name,
+      model: getEmbeddingProvider().model,
+      dimensions: getEmbeddingProvider().dimensions
+    },
     stats: stats,
   };
 }
@@ -163,20 +164,109 @@ export async function getIndexStats() {
 export async function resetKnowledgeBase() {
   const index = await getIndex();
   await index.deleteAll();
-  console.log("🗑️ Deleted all vectors from index:", INDEX_NAME);
+  console.log("🗑️ Deleted all vectors from index:", indexName);
 }
 
 /**
  * Upsert vectors in batches
+ * @param {object[]} vectors - Vectors to upsert
+ * @param {number} batchSize - Vectors per upsert request
+ * @param {function} onProgress - Optional callback (uploaded, total) after each batch
  */
-export async function upsertVectors(vectors, batchSize = 100) {
-  const index = await getIndex();
-  
+export async function upsertVectors(vectors, batchSize = 100, onProgress = null) {
+  await upsertBatches(await getIndex(), vectors, batchSize, onProgress);
+}
+
+/**
+ * Upsert vectors into a named index (used by index migrations)
+ */
+export async function upsertToIndex(name, vectors, batchSize = 100) {
+  await upsertBatches(pc.index(name), vectors, batchSize);
+}
+
+/**
+ * Delete all vectors of a named index (used by index migrations)
+ */
+export async function clearIndex(name) {
+  await pc.index(name).deleteAll();
+  console.log("🗑️ Deleted all vectors from index:", name);
+}
+
+async function upsertBatches(index, vectors, batchSize, onProgress = null) {
   for (let i = 0; i < vectors.length; i += batchSize) {
     const batch = vectors.slice(i, i + batchSize);
     await index.upsert(batch);
     console.log(`✓ Uploaded batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(vectors.length/batchSize)}`);
+
+    if (onProgress) {
+      onProgress(Math.min(i + batchSize, vectors.length), vectors.length);
+    }
+  }
+}
+
+/**
+ * List all vector IDs that start with a prefix (serverless indexes only)
+ * @param {string} prefix - ID prefix, e.g. 'auto-ticket-123-'
+ * @returns {Promise<string[]>} Matching vector IDs
+ */
+export async function listVectorIds(prefix) {
+  const index = await getIndex();
+  const ids = [];
+  let paginationToken;
+
+  do {
+    const page = await index.listPaginated({ prefix, limit: 100, paginationToken });
+    ids.push(...(page.vectors || []).map(v => v.id));
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+
+  return ids;
+}
+
+/**
+ * Delete vectors by ID in batches
+ * @param {string[]} ids - Vector IDs to delete
+ * @param {number} batchSize - IDs per delete request (Pinecone max is 1000)
+ */
+export async function deleteVectors(ids, batchSize = 1000) {
+  await deleteBatches(await getIndex(), ids, batchSize);
+}
+
+/**
+ * Delete vectors by ID from a named index (used by index migrations)
+ */
+export async function deleteFromIndex(name, ids, batchSize = 1000) {
+  await deleteBatches(pc.index(name), ids, batchSize);
+}
+
+async function deleteBatches(index, ids, batchSize) {
+  if (!ids || ids.length === 0) return;
+
+  for (let i = 0; i < ids.length; i += batchSize) {
+    await index.deleteMany(ids.slice(i, i + batchSize));
   }
+  console.log(`🗑️ Deleted ${ids.length} vectors`);
+}
+
+/**
+ * Read every vector of a named index, one page at a time
+ * @param {string} name - Index name
+ * @param {function} onPage - async ([{ id, metadata }]) => void
+ */
+export async function scanIndex(name, onPage) {
+  const index = pc.index(name);
+  let paginationToken;
+
+  do {
+    const page = await index.listPaginated({ limit: 100, paginationToken });
+    const ids = (page.vectors || []).map(v => v.id);
+
+    if (ids.length > 0) {
+      const { records } = await index.fetch(ids);
+      await onPage(Object.values(records || {}).map(record => ({ id: record.id, metadata: record.metadata || {} })));
+    }
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
 }
 
 /**
@@ -202,4 +292,4 @@ export async function queryVectors(vector, topK = 5, includeMetadata = true, fil
   return await index.query(queryConfig);
 }
 
-export { INDEX_NAME, DIMENSION, pc };
\ No newline at end of file
+export { INDEX_NAME, pc };
\ No newline at end of file
@@ -0,0 +1,287 @@
+import dotenv from "dotenv";
+import { getEmbeddingProvider } from "./embedding.js";
+import { readStore, writeStore } from "../services/localStore.js";
+
+dotenv.config();
+
+/**
+ * Vector store selected by VECTOR_STORE
+ * - pinecone (default): the Pinecone index (config/pinecone.js)
+ * - local: vectors on disk with brute-force cosine search
+ *   (config/localVectorStore.js) - no Pinecone key needed
+ *
+ * Both backends export the same functions; controllers and services import
+ * them from here. The backend module is loaded on first use, so the Pinecone
+ * client (and its API key check) is only created when it is selected.
+ *
+ * The index in use is saved in DATA_DIR/vector-index.json ({ activeIndex,
+ * previousIndex, migration }); services/indexMigration.js moves it to a new
+ * index. An index is never deleted or recreated implicitly - when its
+ * dimension doesn't match the embedding provider, queries and writes fail
+ * with an error pointing to the migration endpoint.
+ */
+const INDEX_STATE_STORE = 'vector-index';
+const BACKENDS = {
+  'pinecone': () => import("./pinecone.js"),
+  'local': () => import("./localVectorStore.js")
+};
+
+export const VECTOR_STORE = (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+let backend = null;
+
+// { indexName, indexDimension, providerDimension } when the active index doesn't fit the provider
+let dimensionMismatch = null;
+
+async function getBackend() {
+  if (!backend) {
+    const load = BACKENDS[VECTOR_STORE];
+    if (!load) {
+      throw new Error(`Unknown VECTOR_STORE "${VECTOR_STORE}" - use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    backend = await load();
+  }
+  return backend;
+}
+
+/**
+ * Saved index state: { activeIndex, previousIndex, migration }
+ */
+export function getIndexState() {
+  return readStore(INDEX_STATE_STORE, { activeIndex: null, previousIndex: null, migration: null });
+}
+
+/**
+ * Save changes to the index state
+ */
+export function updateIndexState(changes) {
+  const state = { ...getIndexState(), ...changes };
+  writeStore(INDEX_STATE_STORE, state);
+  return state;
+}
+
+/**
+ * Check an opened index against the embedding provider
+ */
+function checkDimension({ name, dimension }) {
+  const provider = getEmbeddingProvider();
+  dimensionMismatch = null;
+
+  if (dimension && dimension !== provider.dimensions) {
+    dimensionMismatch = { indexName: name, indexDimension: dimension, providerDimension: provider.dimensions };
+    console.error(`\n⚠️ Dimension mismatch detected!`);
+    console.error(`   Index ${name} has: ${dimension} dimensions`);
+    console.error(`   Embedding provider ${provider.name} (${provider.model}) returns: ${provider.dimensions} dimensions`);
+    console.error(`   Nothing was deleted. Queries and imports fail until you either:`);
+    console.error(`   • set EMBEDDING_DIMENSIONS=${dimension} (or a model of that size), or`);
+    console.error(`   • re-embed the index into a new one: POST /index-migrations\n`);
+  } else {
+    console.log(`✅ Dimension verified: ${provider.dimensions}`);
+  }
+}
+
+/**
+ * Fail with a clear message when the active index doesn't fit the provider
+ */
+function assertDimension() {
+  if (dimensionMismatch) {
+    const { indexName, indexDimension, providerDimension } = dimensionMismatch;
+    throw new Error(
+      `Index ${indexName} has ${indexDimension} dimensions but the embedding provider returns ${providerDimension}. ` +
+      `Set EMBEDDING_DIMENSIONS=${indexDimension} or re-embed the index with POST /index-migrations.`
+    );
+  }
+}
+
+/**
+ * Index that receives copies of all writes while a migration runs
+ */
+function migrationTarget() {
+  const { migration } = getIndexState();
+  return migration?.status === 'running' ? migration.toIndex : null;
+}
+
+/**
+ * Change the IDs deleted while the migration runs - saved with the
+ * migration (pendingDeletes) and re-deleted from the new index before the switch
+ * @param {function} change - (ids: Set) => void
+ */
+function updateMigrationDeletes(change) {
+  const { migration } = getIndexState();
+  const ids = new Set(migration.pendingDeletes || []);
+  change(ids);
+  updateIndexState({ migration: { ...migration, pendingDeletes: [...ids] } });
+}
+
+/**
+ * Open the active index (creating it with the embedding provider's
+ * dimension on first start) and check its dimension
+ */
+export async function initializeIndex() {
+  console.log(`🗄️ Vector store: ${VECTOR_STORE}`);
+  const store = await getBackend();
+  const { activeIndex, migration } = getIndexState();
+
+  // The migration job is marked interrupted by the job queue - start it again to resume
+  if (migration?.status === 'running') {
+    updateIndexState({ migration: { ...migration, status: 'interrupted' } });
+    console.warn(`⚠️ Index migration to ${migration.toIndex} was interrupted - POST /index-migrations resumes it`);
+  }
+
+  const index = await store.initializeIndex(activeIndex || store.INDEX_NAME);
+  checkDimension(index);
+  return index;
+}
+
+/**
+ * Switch reads and writes to another index and save it as the active one
+ * @param {string} name - Index to use
+ * @param {object} changes - Other state changes saved with the switch
+ */
+export async function switchIndex(name, changes = {}) {
+  const store = await getBackend();
+  const index = await store.initializeIndex(name);
+  updateIndexState({ ...changes, activeIndex: name });
+  checkDimension(index);
+  console.log(`🔀 Switched to index: ${name}`);
+  return index;
+}
+
+/**
+ * Name of the index in use
+ */
+export async function getActiveIndexName() {
+  return getIndexState().activeIndex || (await getBackend()).INDEX_NAME;
+}
+
+/**
+ * Delete the whole index (recreated on the next start)
+ */
+export async function deleteIndex() {
+  return (await getBackend()).deleteIndex();
+}
+
+/**
+ * Index statistics ({ store, indexName, dimension, embedding, stats })
+ */
+export async function getIndexStats() {
+  return {
+    store: VECTOR_STORE,
+    ...await (await getBackend()).getIndexStats(),
+    dimensionMismatch: dimensionMismatch
+  };
+}
+
+/**
+ * Delete all vectors (keeps the index)
+ */
+export async function resetKnowledgeBase() {
+  if (migrationTarget()) {
+    throw new Error("An index migration is running - wait for it to finish or roll it back first");
+  }
+  return (await getBackend()).resetKnowledgeBase();
+}
+
+/**
+ * Upsert vectors ({ id, values, metadata }) in batches
+ * While a migration runs they are also written to the new index (only
+ * there, when the active index has another dimension).
+ * @param {object[]} vectors - Vectors to upsert
+ * @param {number} batchSize - Vectors per upsert request
+ * @param {function} onProgress - Optional callback (uploaded, total) after each batch
+ */
+export async function upsertVectors(vectors, batchSize = 100, onProgress = null) {
+  const store = await getBackend();
+  const target = migrationTarget();
+
+  if (target) {
+    await store.upsertToIndex(target, vectors, batchSize);
+    updateMigrationDeletes(ids => vectors.forEach(vector => ids.delete(vector.id)));
+    if (dimensionMismatch) {
+      if (onProgress) onProgress(vectors.length, vectors.length);
+      return;
+    }
+  }
+
+  assertDimension();
+  return store.upsertVectors(vectors, batchSize, onProgress);
+}
+
+/**
+ * List all vector IDs that start with a prefix
+ * @param {string} prefix - ID prefix, e.g. 'auto-ticket-123-'
+ * @returns {Promise<string[]>} Matching vector IDs
+ */
+export async function listVectorIds(prefix) {
+  return (await getBackend()).listVectorIds(prefix);
+}
+
+/**
+ * Delete vectors by ID
+ * @param {string[]} ids - Vector IDs to delete
+ */
+export async function deleteVectors(ids) {
+  const store = await getBackend();
+  const target = migrationTarget();
+
+  if (target && ids?.length) {
+    await store.deleteFromIndex(target, ids);
+    updateMigrationDeletes(pending => ids.forEach(id => pending.add(id)));
+  }
+  return store.deleteVectors(ids);
+}
+
+/**
+ * Query vectors with optional metadata filtering
+ * @param {number[]} vector - Embedding vector
+ * @param {number} topK - Number of results to return
+ * @param {boolean} includeMetadata - Include metadata in results
+ * @param {object} filter - Metadata filter (e.g., { brand: { $eq: 'brand_name' } })
+ * @returns {Promise<object>} { matches: [{ id, score, metadata }] }
+ */
+export async function queryVectors(vector, topK = 5, includeMetadata = true, filter = null) {
+  assertDimension();
+  return (await getBackend()).queryVectors(vector, topK, includeMetadata, filter);
+}
+
+/**
+ * IDs deleted since the migration started (see services/indexMigration.js)
+ */
+export function takeMigrationDeletes() {
+  const ids = [];
+  updateMigrationDeletes(pending => {
+    ids.push(...pending);
+    pending.clear();
+  });
+  return ids;
+}
+
+/* Named-index operations for services/indexMigration.js */
+
+export async function describeNamedIndex(name) {
+  return (await getBackend()).describeNamedIndex(name);
+}
+
+export async function createNamedIndex(name, dimension) {
+  return (await getBackend()).createNamedIndex(name, dimension);
+}
+
+export async function deleteNamedIndex(name) {
+  return (await getBackend()).deleteNamedIndex(name);
+}
+
+export async function scanIndex(name, onPage) {
+  return (await getBackend()).scanIndex(name, onPage);
+}
+
+export async function upsertToIndex(name, vectors) {
+  return (await getBackend()).upsertToIndex(name, vectors);
+}
+
+export async function deleteFromIndex(name, ids) {
+  return (await getBackend()).deleteFromIndex(name, ids);
+}
+
+export async function clearIndex(name) {
+  return (await getBackend()).clearIndex(name);
+}
@@ -8,11 +8,18 @@ if (!process.env.ZENDESK_EMAIL || !process.env.ZENDESK_API_TOKEN || !process.env
   console.warn("💡 Add ZENDESK_EMAIL, ZENDESK_API_TOKEN, and ZENDESK_DOMAIN to .env file");
 }
 
+/**
+ * Check whether Zendesk credentials are configured
+ */
+export function hasZendeskCredentials() {
+  return !!(process.env.ZENDESK_EMAIL && process.env.ZENDESK_API_TOKEN && process.env.ZENDESK_DOMAIN);
+}
+
 /**
  * Create Zendesk API client
  */
 export function createZendeskClient() {
-  if (!process.env.ZENDESK_EMAIL || !process.env.ZENDESK_API_TOKEN || !process.env.ZENDESK_DOMAIN) {
+  if (!hasZendeskCredentials()) {
     throw new Error("Zendesk credentials not configured");
   }
 
@@ -37,8 +44,11 @@ function sleep(ms) {
 /**
  * Fetch tickets using SEARCH API with DATE FILTERING
  * Handles Zendesk's 1000 ticket limit by rolling the start date
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} searchTerms - Extra search terms appended to the query (e.g. "status:solved -tags:spam")
  */
-export async function fetchTicketsByDateRange(startDate, endDate) {
+export async function fetchTicketsByDateRange(startDate, endDate, searchTerms = '') {
   const zendeskClient = createZendeskClient();
 
   const formatDate = (dateStr) => new Date(dateStr).toISOString().split('T')[0];
@@ -47,6 +57,9 @@ export async function fetchTicketsByDateRange(startDate, endDate) {
   const endFormatted = formatDate(endDate);
 
   console.log(`📅 Fetching tickets from ${currentStart} → ${endFormatted}`);
+  if (searchTerms) {
+    console.log(`🔎 Search filters: ${searchTerms}`);
+  }
 
   let allTickets = [];
   let batchCount = 0;
@@ -55,7 +68,7 @@ export async function fetchTicketsByDateRange(startDate, endDate) {
     batchCount++;
     console.log(`\n🔄 Batch ${batchCount} | Range: ${currentStart} → ${endFormatted}`);
 
-    const query = `type:ticket created>=${currentStart} created<=${endFormatted}`;
+    const query = `type:ticket created>=${currentStart} created<=${endFormatted} ${searchTerms}`.trim();
     const encodedQuery = encodeURIComponent(query);
 
     let page = 1;
@@ -143,11 +156,245 @@ export async function fetchTicketsByDateRange(startDate, endDate) {
   return allTickets;
 }
 
+/**
+ * Fetch tickets created or updated since the last sync using the
+ * cursor-based incremental ticket export
+ * Pass either a cursor from a previous run or a start time for the first run.
+ * Deleted tickets are included with status 'deleted'.
+ * @param {object} options
+ * @param {string} options.cursor - after_cursor from the previous export
+ * @param {number} options.startTime - Unix timestamp (seconds) for the first export
+ * @returns {Promise<{tickets: object[], afterCursor: string}>}
+ */
+export async function fetchIncrementalTickets({ cursor = null, startTime = null } = {}) {
+  const zendeskClient = createZendeskClient();
+
+  if (!cursor && startTime === null) {
+    throw new Error("Either cursor or startTime is required for incremental export");
+  }
+
+  const PAGE_DELAY = 6000; // Incremental export allows 10 requests per minute
+  const ticketsById = new Map();
+  let afterCursor = cursor;
+  let page = 1;
+
+  console.log(cursor
+    ? `📡 Incremental export from saved cursor`
+    : `📡 Incremental export from ${new Date(startTime * 1000).toISOString()}`);
+
+  while (true) {
+    const url = afterCursor
+      ? `/incremental/tickets/cursor.json?cursor=${encodeURIComponent(afterCursor)}&per_page=1000`
+      : `/incremental/tickets/cursor.json?start_time=${startTime}&per_page=1000`;
+
+    try {
+      console.log(`   📄 Page ${page}...`);
+      const res = await zendeskClient.get(url);
+      const tickets = res.data.tickets || [];
+
+      // The same ticket can appear on several pages; keep the latest version
+      for (const ticket of tickets) {
+        ticketsById.set(ticket.id, ticket);
+      }
+
+      console.log(`      ✓ ${tickets.length} tickets`);
+
+      if (res.data.after_cursor) {
+        afterCursor = res.data.after_cursor;
+      }
+
+      if (res.data.end_of_stream) {
+        console.log(`      ✓ End of stream reached`);
+        break;
+      }
+
+      page++;
+      await sleep(PAGE_DELAY);
+
+    } catch (err) {
+      if (err.response?.status === 429) {
+        const wait = parseInt(err.response.headers?.['retry-after'] || 60) * 1000;
+        console.warn(`   ⚠️ Rate limited → waiting ${wait / 1000}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      console.error(`   ❌ Incremental export failed on page ${page}:`, err.message);
+      throw err;
+    }
+  }
+
+  const tickets = [...ticketsById.values()];
+  console.log(`\n✅ Incremental export: ${tickets.length} changed tickets`);
+
+  return { tickets, afterCursor };
+}
+
+/**
+ * Fetch tickets by ID (used to retry failed tickets)
+ * Tickets that no longer exist are simply missing from the result.
+ * @param {number[]} ticketIds
+ * @returns {Promise<object[]>}
+ */
+export async function fetchTicketsByIds(ticketIds) {
+  const zendeskClient = createZendeskClient();
+  const BATCH_SIZE = 100; // show_many accepts up to 100 IDs
+  const tickets = [];
+  let i = 0;
+
+  console.log(`📡 Fetching ${ticketIds.length} tickets by ID...`);
+
+  while (i < ticketIds.length) {
+    const ids = ticketIds.slice(i, i + BATCH_SIZE);
+
+    try {
+      const res = await zendeskClient.get(`/tickets/show_many.json?ids=${ids.join(',')}`);
+      tickets.push(...(res.data.tickets || []));
+      i += BATCH_SIZE;
+
+      if (i < ticketIds.length) {
+        await sleep(300);
+      }
+    } catch (err) {
+      if (err.response?.status === 429) {
+        const wait = parseInt(err.response.headers?.['retry-after'] || 60) * 1000;
+        console.warn(`   ⚠️ Rate limited → waiting ${wait / 1000}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      console.error(`   ❌ Failed to fetch tickets by ID:`, err.message);
+      throw err;
+    }
+  }
+
+  console.log(`✅ Fetched ${tickets.length}/${ticketIds.length} tickets`);
+  return tickets;
+}
+
+/**
+ * Fetch ticket metrics (reopens, replies) by ticket ID
+ * show_many with the metric_sets sideload gives the metrics of 100 tickets
+ * per call. Tickets without metrics are missing from the result.
+ * @param {number[]} ticketIds
+ * @returns {Promise<Map>} ticket ID → { reopens, replies }
+ */
+export async function fetchTicketMetrics(ticketIds) {
+  const zendeskClient = createZendeskClient();
+  const BATCH_SIZE = 100; // show_many accepts up to 100 IDs
+  const metrics = new Map();
+  let i = 0;
+
+  while (i < ticketIds.length) {
+    const ids = ticketIds.slice(i, i + BATCH_SIZE);
+
+    try {
+      const res = await zendeskClient.get(`/tickets/show_many.json?ids=${ids.join(',')}&include=metric_sets`);
+      for (const metricSet of res.data.metric_sets || []) {
+        metrics.set(metricSet.ticket_id, { reopens: metricSet.reopens ?? 0, replies: metricSet.replies ?? 0 });
+      }
+      i += BATCH_SIZE;
+    } catch (err) {
+      if (err.response?.status === 429) {
+        const wait = parseInt(err.response.headers?.['retry-after'] || 60) * 1000;
+        console.warn(`   ⚠️ Rate limited → waiting ${wait / 1000}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      console.error(`   ❌ Failed to fetch ticket metrics:`, err.message);
+      throw err;
+    }
+  }
+
+  return metrics;
+}
+
 /**
  * Cache for form fields (to avoid redundant API calls)
  */
 let formFieldsCache = null;
 
+/**
+ * Follow next_page links of a list endpoint and collect every item
+ * @param {string} url - First page (relative to /api/v2)
+ * @param {string} key - Response key holding the items ('articles', 'sections', 'macros')
+ */
+async function fetchAllPages(url, key) {
+  const zendeskClient = createZendeskClient();
+  const items = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    try {
+      const res = await zendeskClient.get(nextUrl);
+      items.push(...(res.data[key] || []));
+      nextUrl = res.data.next_page || null;
+
+      if (nextUrl) {
+        await sleep(300);
+      }
+    } catch (err) {
+      if (err.response?.status === 429) {
+        const wait = parseInt(err.response.headers?.['retry-after'] || 60) * 1000;
+        console.warn(`   ⚠️ Rate limited → waiting ${wait / 1000}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      console.error(`   ❌ Failed to fetch ${key}:`, err.message);
+      throw err;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Fetch Help Center sections of a locale
+ * @returns {Promise<object>} Map of section ID → { name, category_id, html_url }
+ */
+export async function fetchHelpCenterSections(locale) {
+  const sections = await fetchAllPages(`/help_center/${locale}/sections.json?per_page=100`, 'sections');
+  console.log(`✅ Fetched ${sections.length} Help Center sections (${locale})`);
+
+  return Object.fromEntries(sections.map(section => [section.id, section]));
+}
+
+/**
+ * Fetch Help Center articles of a locale, optionally only from some sections
+ * Drafts are included - callers decide what to import.
+ * @param {object} options - { locale, sectionIds }
+ */
+export async function fetchHelpCenterArticles({ locale, sectionIds = [] }) {
+  console.log(`📚 Fetching Help Center articles (${locale}${sectionIds.length ? `, sections ${sectionIds.join(', ')}` : ''})...`);
+
+  const urls = sectionIds.length > 0
+    ? sectionIds.map(id => `/help_center/${locale}/sections/${id}/articles.json?per_page=100`)
+    : [`/help_center/${locale}/articles.json?per_page=100`];
+
+  const articles = [];
+  for (const url of urls) {
+    articles.push(...await fetchAllPages(url, 'articles'));
+  }
+
+  console.log(`✅ Fetched ${articles.length} Help Center articles`);
+  return articles;
+}
+
+/**
+ * Fetch active macros shared with agents (personal macros are left out)
+ * @returns {Promise<object[]>} Macros with their actions
+ */
+export async function fetchSharedMacros() {
+  console.log(`🧩 Fetching active shared macros...`);
+
+  const macros = await fetchAllPages(`/macros/active.json?access=shared&per_page=100`, 'macros');
+
+  console.log(`✅ Fetched ${macros.length} macros`);
+  return macros;
+}
+
 /**
  * Fetch all ticket form fields with retry logic for rate limiting
  */
@@ -408,35 +655,210 @@ export async function fetchTicketComments(ticketId) {
         await sleep(retryDelay);
         continue;
       }
-      // For other errors, return empty array (don't fail the entire import)
+      // For other errors, let the caller fall back to ticket data without
+      // comments (the import continues and flags the ticket)
       else {
         console.error(`❌ Error fetching comments for ticket ${ticketId}:`, err.message);
-        return [];
+        throw err;
       }
     }
   }
   
   // If we exhausted retries
   console.error(`❌ Failed to fetch comments for ticket ${ticketId} after ${MAX_RETRIES} retries`);
-  return [];
+  throw new Error(`Failed to fetch comments after ${MAX_RETRIES} retries: ${lastError?.message}`);
+}
+
+/**
+ * Cache of comment authors (user ID → { role, groupId }), shared by all
+ * imports. Roles rarely change, so entries live for an hour; the oldest
+ * entries are dropped past USER_CACHE_MAX_SIZE.
+ */
+const userCache = new Map();
+const USER_CACHE_TTL_MS = 60 * 60 * 1000;
+const USER_CACHE_MAX_SIZE = 20000;
+
+/**
+ * Cache for group names (group ID → name)
+ */
+let groupNamesCache = null;
+
+// Zendesk writes trigger/automation comments as user -1
+const SYSTEM_USER_ID = -1;
+
+function getCachedUser(userId) {
+  const entry = userCache.get(userId);
+  if (!entry || Date.now() - entry.cachedAt > USER_CACHE_TTL_MS) {
+    return undefined;
+  }
+  return entry.user;
+}
+
+function cacheUser(userId, user) {
+  userCache.delete(userId);
+  userCache.set(userId, { user, cachedAt: Date.now() });
+
+  while (userCache.size > USER_CACHE_MAX_SIZE) {
+    userCache.delete(userCache.keys().next().value);
+  }
+}
+
+/**
+ * Look up users in batches of 100 (users/show_many) and cache their role
+ * and default group. Cached users are not fetched again; deleted users are
+ * cached as null.
+ * @param {number[]} userIds
+ * @returns {Promise<Map>} user ID → { role, groupId } (or null)
+ */
+export async function fetchUsersByIds(userIds) {
+  const ids = [...new Set(userIds.filter(id => Number.isInteger(id) && id > 0))];
+  const missing = ids.filter(id => getCachedUser(id) === undefined);
+  const BATCH_SIZE = 100; // show_many accepts up to 100 IDs
+
+  if (missing.length > 0) {
+    const zendeskClient = createZendeskClient();
+    let i = 0;
+
+    while (i < missing.length) {
+      const batch = missing.slice(i, i + BATCH_SIZE);
+
+      try {
+        const res = await zendeskClient.get(`/users/show_many.json?ids=${batch.join(',')}`);
+        const found = new Map((res.data.users || []).map(user => [user.id, user]));
+
+        for (const id of batch) {
+          const user = found.get(id);
+          cacheUser(id, user ? { role: user.role, groupId: user.default_group_id || null } : null);
+        }
+        i += BATCH_SIZE;
+      } catch (err) {
+        if (err.response?.status === 429) {
+          const wait = parseInt(err.response.headers?.['retry-after'] || 60) * 1000;
+          console.warn(`   ⚠️ Rate limited → waiting ${wait / 1000}s`);
+          await sleep(wait);
+          continue;
+        }
+
+        console.error(`   ❌ Failed to fetch users:`, err.message);
+        throw err;
+      }
+    }
+  }
+
+  return new Map(ids.map(id => [id, getCachedUser(id)]));
+}
+
+/**
+ * Fetch group names (cached for the lifetime of the process)
+ * Agents' groups are context only - without access to groups, names are left out.
+ */
+async function fetchGroupNames() {
+  if (groupNamesCache) {
+    return groupNamesCache;
+  }
+
+  try {
+    const groups = await fetchAllPages('/groups.json?per_page=100', 'groups');
+    groupNamesCache = Object.fromEntries(groups.map(group => [group.id, group.name]));
+  } catch (err) {
+    console.warn(`⚠️ Could not fetch groups, agent groups are left out:`, err.message);
+    groupNamesCache = {};
+  }
+  return groupNamesCache;
+}
+
+/**
+ * Role of a comment's author: 'end-user', 'agent', 'admin' or 'system'
+ * Trigger and automation comments are 'system' whoever they are attributed
+ * to. Unknown (e.g. deleted) users fall back to comparing with the requester.
+ */
+function commentAuthorRole(comment, users, requesterId) {
+  const source = comment.via?.source?.rel;
+  if (comment.author_id === SYSTEM_USER_ID || comment.via?.channel === 'rule' || source === 'trigger' || source === 'automation') {
+    return 'system';
+  }
+
+  const user = users.get(comment.author_id);
+  if (user?.role) {
+    return user.role;
+  }
+  return comment.author_id === requesterId ? 'end-user' : 'agent';
+}
+
+const ROLE_LABELS = {
+  'end-user': 'Customer',
+  agent: 'Agent',
+  admin: 'Agent',
+  system: 'System'
+};
+
+/**
+ * Resolve comment authors to roles (and agents to their default group)
+ * Users are fetched with batched, cached show_many calls. When the lookup
+ * fails, authors fall back to the requester comparison.
+ * @returns {Promise<object[]>} [{ role, group }] in comment order
+ */
+async function resolveCommentAuthors(comments, requesterId) {
+  let users = new Map();
+  let groupNames = {};
+
+  try {
+    users = await fetchUsersByIds(comments.map(c => c.author_id));
+    if ([...users.values()].some(user => user?.groupId)) {
+      groupNames = await fetchGroupNames();
+    }
+  } catch (err) {
+    console.warn(`⚠️ User lookup failed, guessing comment authors from the requester:`, err.message);
+  }
+
+  return comments.map(comment => {
+    const role = commentAuthorRole(comment, users, requesterId);
+    const groupId = users.get(comment.author_id)?.groupId;
+    const isStaff = role === 'agent' || role === 'admin';
+    return { role, group: isStaff && groupId ? groupNames[groupId] || null : null };
+  });
+}
+
+/**
+ * Prefetch the users of a batch of tickets (requesters, assignees, CCs and
+ * followers) into the user cache, so enriching each ticket rarely needs its
+ * own lookup
+ */
+export async function prefetchTicketUsers(tickets) {
+  const userIds = tickets.flatMap(ticket => [
+    ticket.requester_id,
+    ticket.submitter_id,
+    ticket.assignee_id,
+    ...(ticket.collaborator_ids || []),
+    ...(ticket.follower_ids || [])
+  ]);
+  await fetchUsersByIds(userIds);
 }
 
 /**
  * Enrich ticket with comments and form fields
+ * Every message keeps its `public` flag, so internal notes can be chunked
+ * apart from public comments, and its author's role and group (see
+ * resolveCommentAuthors).
  */
 export async function enrichTicketWithComments(ticket, fieldsMap = null) {
   const comments = await fetchTicketComments(ticket.id);
+  const authors = await resolveCommentAuthors(comments, ticket.requester_id);
   
-  const conversation = comments.map(comment => ({
-    author: comment.author_id === ticket.requester_id ? 'Customer' : 'Agent',
+  const conversation = comments.map((comment, idx) => ({
+    author: ROLE_LABELS[authors[idx].role] || 'Agent',
+    role: authors[idx].role,
+    group: authors[idx].group,
     message: comment.plain_body || comment.body || '',
     created_at: comment.created_at,
     public: comment.public
   }));
   
-  const agentComments = conversation.filter(c => c.author === 'Agent' && c.message.trim());
-  const resolution = agentComments.length > 0 
-    ? agentComments[agentComments.length - 1].message 
+  // The resolution is the last public reply by an agent or admin - internal
+  // notes, CCs and trigger comments are never the answer
+  const agentReplies = conversation.filter(c => (c.role === 'agent' || c.role === 'admin') && c.public !== false && c.message.trim());
+  const resolution = agentReplies.length > 0 
+    ? agentReplies[agentReplies.length - 1].message 
     : null;
   
   // Map custom fields if fieldsMap is provided
@@ -450,6 +872,7 @@ export async function enrichTicketWithComments(ticket, fieldsMap = null) {
     description: ticket.description || '',
     status: ticket.status,
     priority: ticket.priority,
+    satisfaction: ticket.satisfaction_rating?.score || 'unoffered',
     tags: ticket.tags || [],
     created_at: ticket.created_at,
     updated_at: ticket.updated_at,
@@ -502,6 +925,10 @@ export async function createCustomObjectType() {
       { key: 'start_date', type: 'date', title: 'Start Date' },
       { key: 'end_date', type: 'date', title: 'End Date' },
       { key: 'ticket_count', type: 'integer', title: 'Ticket Count' },
+      { key: 'chunk_count', type: 'integer', title: 'Chunk Count' },
+      { key: 'processing_time', type: 'text', title: 'Processing Time' },
+      { key: 'filters', type: 'text', title: 'Ticket Filters' },
+      { key: 'redaction_count', type: 'integer', title: 'PII Redactions' },
       { key: 'source', type: 'text', title: 'Source' }
     ];
     
@@ -606,6 +1033,7 @@ export async function createErrorCustomObjectType() {
 
 /**
  * Create import record in Zendesk
+ * @param {object} importData - { startDate, endDate, ticketCount, source, filters }
  */
 export async function createZendeskImportRecord(importData = {}) {
   try {
@@ -614,7 +1042,8 @@ export async function createZendeskImportRecord(importData = {}) {
       startDate,
       endDate,
       ticketCount = 0,
-      source = 'auto_import'
+      source = 'auto_import',
+      filters = null
     } = importData;
 
     const today = new Date().toISOString().split('T')[0];
@@ -645,7 +1074,8 @@ export async function createZendeskImportRecord(importData = {}) {
           start_date: startDate,
           end_date: endDate,
           ticket_count: ticketCount,
-          source: source
+          source: source,
+          ...(filters && { filters: JSON.stringify(filters) })
         }
       }
     };
@@ -665,8 +1095,39 @@ export async function createZendeskImportRecord(importData = {}) {
 }
 
 /**
- * Create import record in Zendesk
+ * Update import record with results once the import has finished
+ * @param {string} recordId - kb_import_log_v3 record ID
+ * @param {object} results - { ticketCount, chunkCount, processingTime, redactionCount }
  */
+export async function updateZendeskImportRecord(recordId, results = {}) {
+  if (!recordId) {
+    return null;
+  }
+
+  try {
+    const zendeskClient = createZendeskClient();
+    const { ticketCount, chunkCount, processingTime, redactionCount } = results;
+
+    const fields = {};
+    if (ticketCount !== undefined) fields.ticket_count = ticketCount;
+    if (chunkCount !== undefined) fields.chunk_count = chunkCount;
+    if (processingTime !== undefined) fields.processing_time = processingTime;
+    if (redactionCount !== undefined) fields.redaction_count = redactionCount;
+
+    const updateResponse = await zendeskClient.patch(
+      `/custom_objects/kb_import_log_v3/records/${recordId}`,
+      { custom_object_record: { custom_object_fields: fields } }
+    );
+
+    console.log(`✅ Import record ${recordId} updated with results`);
+    return updateResponse.data.custom_object_record;
+
+  } catch (err) {
+    console.warn(`⚠️ Could not update import record:`, err.message);
+    return null;
+  }
+}
+
 /**
  * Create error record in Zendesk
  */
@@ -1,12 +1,104 @@
 import { generateContent } from "../config/openai.js";
-import { queryVectors } from "../config/pinecone.js";
+import { queryVectors } from "../config/vectorStore.js";
 import { embedText } from "../services/embedding.js";
-import { buildReplyPrompt } from "../utils/prompts.js";
-import { buildTranslationPrompt } from "../utils/prompts.js";
+import { getInternalNotePolicy, getQualityPolicy } from "../config/brands.js";
+import { buildReplyPrompt, buildTranslationPrompt } from "../utils/prompts.js";
+import { detectLanguage, languageName } from "../utils/language.js";
+
+// Macros are only suggested when they match the ticket closely
+const MACRO_MIN_SCORE = 0.75;
+const MAX_SUGGESTED_MACROS = 3;
+
+// Cross-language search: non-KB_LANGUAGE queries are also searched translated
+const CROSS_LANGUAGE_SEARCH = process.env.CROSS_LANGUAGE_SEARCH === 'true';
+const KB_LANGUAGE = process.env.KB_LANGUAGE || 'en';
+
+// Ticket matches lose up to this share of their score for a low quality score
+const QUALITY_WEIGHT = 0.2;
+
+/**
+ * Drop ticket matches below the brand's replyMinScore and re-rank the rest by
+ * relevance weighted with their ticket's quality score (see
+ * services/ticketQuality.js). Vectors imported before scoring are left as is.
+ */
+function rankByQuality(matches, replyMinScore) {
+  return matches
+    .filter(m => m.metadata?.quality_score === undefined || m.metadata.quality_score >= replyMinScore)
+    .map(m => ({ match: m, rank: m.score * (1 - QUALITY_WEIGHT * (1 - (m.metadata?.quality_score ?? 1))) }))
+    .sort((a, b) => b.rank - a.rank)
+    .map(({ match }) => match);
+}
+
+/**
+ * Embeddings to search with: the query itself, plus the query translated
+ * into KB_LANGUAGE when crossLanguage is on and the query is written in
+ * another language. A failed translation only loses the second search.
+ * @returns {Promise<object>} { embeddings, queryLanguage, translatedTo }
+ */
+async function buildQueryEmbeddings(queryText, crossLanguage) {
+  const queryLanguage = detectLanguage(queryText);
+  const embeddings = [await embedText(queryText)];
+
+  if (!crossLanguage || !queryLanguage || queryLanguage === KB_LANGUAGE) {
+    return { embeddings, queryLanguage, translatedTo: null };
+  }
+
+  try {
+    const prompt = buildTranslationPrompt(queryText, languageName(KB_LANGUAGE));
+    const translated = await generateContent(prompt, { temperature: 0.1 });
+    embeddings.push(await embedText(translated.trim()));
+    console.log(`🌐 Query translated ${queryLanguage} → ${KB_LANGUAGE} for cross-language search`);
+    return { embeddings, queryLanguage, translatedTo: KB_LANGUAGE };
+  } catch (err) {
+    console.warn(`⚠️ Query translation failed, searching in ${queryLanguage} only:`, err.message);
+    return { embeddings, queryLanguage, translatedTo: null };
+  }
+}
+
+/**
+ * Query Pinecone with every embedding and merge the matches
+ * (a vector found by both queries keeps its best score)
+ */
+async function queryMerged(embeddings, topK, filter) {
+  const results = await Promise.all(embeddings.map(embedding => queryVectors(embedding, topK, true, filter)));
+
+  const byId = new Map();
+  for (const match of results.flatMap(result => result.matches)) {
+    if (!byId.has(match.id) || byId.get(match.id).score < match.score) {
+      byId.set(match.id, match);
+    }
+  }
+  return { matches: [...byId.values()].sort((a, b) => b.score - a.score) };
+}
+
+/**
+ * Search indexed macros (not brand-filtered - macros are shared across brands)
+ * @returns {Promise<object[]>} Best match per macro, highest score first
+ */
+async function findMatchingMacros(queryEmbeddings) {
+  const results = await queryMerged(queryEmbeddings, 10, { source: { $eq: "macro" } });
+
+  const bestByMacro = new Map();
+  for (const match of results.matches.filter(m => m.score >= MACRO_MIN_SCORE)) {
+    const macroId = match.metadata?.macro_id;
+    if (macroId && !bestByMacro.has(macroId)) {
+      bestByMacro.set(macroId, match);
+    }
+  }
+
+  return [...bestByMacro.values()].slice(0, MAX_SUGGESTED_MACROS);
+}
 
 /**
  * Compose RAG-based reply for ticket
- * Priority: Manually uploaded KB > Ticket conversations
+ * Priority: Knowledge base (manual uploads + Help Center articles) > Ticket conversations
+ * Matching macros are added to the context as approved answers and returned
+ * as `macros`, so the agent can apply them.
+ * Internal notes are left out of the context unless the brand's internal
+ * note policy allows them (replyContext). Ticket conversations are ranked
+ * with their quality score.
+ * With crossLanguage (default CROSS_LANGUAGE_SEARCH), a query that is not in
+ * KB_LANGUAGE is also searched translated, and the results are merged.
  */
 export async function composeReply(req, res) {
   try {
@@ -16,17 +108,29 @@ export async function composeReply(req, res) {
       return res.status(400).json({ error: "Invalid ticket payload - subject and description required" });
     }
 
-    // Generate query embedding
-    const queryEmbedding = await embedText(`${ticket.subject} ${ticket.description}`);
+    // Generate query embeddings (original, and translated for cross-language search)
+    const crossLanguage = ticket.crossLanguage === undefined
+      ? CROSS_LANGUAGE_SEARCH
+      : ticket.crossLanguage === true || ticket.crossLanguage === 'true';
+    const { embeddings: queryEmbeddings, queryLanguage, translatedTo } = await buildQueryEmbeddings(
+      `${ticket.subject} ${ticket.description}`,
+      crossLanguage
+    );
 
     // Build brand filter if brand is provided
-    const filter = ticket.brand ? { brand: { $eq: ticket.brand } } : null;
+    const filter = ticket.brand ? { brand: { $eq: ticket.brand } } : {};
+
+    const notePolicy = getInternalNotePolicy({ brand: ticket.brand, brandId: ticket.brandId });
+    if (!notePolicy.replyContext) {
+      filter.type = { $ne: "internal_note" };
+    }
 
-    // ==================== PHASE 1: Search manually uploaded KB first ====================
-    console.log("📚 PHASE 1: Searching manually uploaded knowledge base...");
+    // ==================== PHASE 1: Search knowledge base first ====================
+    console.log("📚 PHASE 1: Searching knowledge base (manual uploads + Help Center)...");
     
-    const kbFilter = filter ? { ...filter, source: { $eq: "manual_upload" } } : { source: { $eq: "manual_upload" } };
-    const kbResults = await queryVectors(queryEmbedding, 10, true, kbFilter);
+    const kbSources = { source: { $in: ["manual_upload", "help_center"] } };
+    const kbFilter = { ...filter, ...kbSources };
+    const kbResults = await queryMerged(queryEmbeddings, 10, kbFilter);
     
     // Filter results with good relevance score (cosine > 0.7)
     const relevantKBMatches = kbResults.matches.filter(m => m.score >= 0.7);
@@ -38,26 +142,30 @@ export async function composeReply(req, res) {
     if (relevantKBMatches.length > 0) {
       // ✅ Use manually uploaded KB results
       finalResults = { matches: relevantKBMatches.slice(0, 5) };
-      console.log("✅ Using manually uploaded KB for reply generation");
+      console.log("✅ Using knowledge base for reply generation");
     } else {
       // ==================== PHASE 2: Fall back to ticket conversations if KB not sufficient ====================
       console.log("⚠️  PHASE 2: No good KB matches found. Searching ticket conversations...");
       
-      const chatFilter = filter ? { ...filter, source: { $eq: "ticket_chat" } } : { source: { $eq: "ticket_chat" } };
-      const chatResults = await queryVectors(queryEmbedding, 10, true, chatFilter);
+      const chatFilter = { ...filter, source: { $eq: "ticket_chat" } };
+      const chatResults = await queryMerged(queryEmbeddings, 10, chatFilter);
       
-      const relevantChatMatches = chatResults.matches.filter(m => m.score >= 0.6);
-      console.log(`✅ Found ${relevantChatMatches.length} relevant chat conversations (score >= 0.6)`);
+      const { replyMinScore } = getQualityPolicy({ brand: ticket.brand, brandId: ticket.brandId });
+      const relevantChatMatches = rankByQuality(chatResults.matches.filter(m => m.score >= 0.6), replyMinScore);
+      console.log(`✅ Found ${relevantChatMatches.length} relevant chat conversations (score >= 0.6, quality >= ${replyMinScore})`);
       
       finalResults = { matches: relevantChatMatches.slice(0, 5) };
       searchSource = "ticket_chat";
     }
 
-    // Extract relevant context from best source
-    const kbChunks = finalResults.matches
-      .map(match => match.metadata?.content || "")
-      .filter(Boolean)
-      .join("\n\n") || "No relevant knowledge found.";
+    const macroMatches = await findMatchingMacros(queryEmbeddings);
+    console.log(`🧩 Found ${macroMatches.length} matching macros (score >= ${MACRO_MIN_SCORE})`);
+
+    // Extract relevant context: approved macros first, then the best source
+    const kbChunks = [
+      ...macroMatches.map(match => `[Approved macro] ${match.metadata?.content || ""}`),
+      ...finalResults.matches.map(match => match.metadata?.content || "").filter(Boolean)
+    ].join("\n\n") || "No relevant knowledge found.";
 
     const prompt = buildReplyPrompt(ticket, ticket.tone || "professional", kbChunks);
     console.log("📝 Generating reply for ticket:", ticket.ticketId, `[Brand: ${ticket.brand || 'default'}, Source: ${searchSource}]`);
@@ -68,16 +176,38 @@ export async function composeReply(req, res) {
       topK: 40,
     });
 
+    const sourceLanguages = [...macroMatches, ...finalResults.matches]
+      .map(m => m.metadata?.language)
+      .filter(Boolean);
+
     res.json({
       ticketId: ticket.ticketId,
       reply: replyText,
       source: searchSource,
+      languages: {
+        query: queryLanguage,
+        translatedTo,
+        sources: [...new Set(sourceLanguages)]
+      },
       sources: finalResults.matches.map(m => ({
         title: m.metadata?.subject || m.metadata?.title,
         type: m.metadata?.type,
         source: m.metadata?.source,
+        url: m.metadata?.url,
+        heading: m.metadata?.heading,
+        page: m.metadata?.page,
+        fileName: m.metadata?.file_name,
+        qualityScore: m.metadata?.quality_score,
+        language: m.metadata?.language,
         score: m.score
       })).filter(s => s.title),
+      macros: macroMatches.map(m => ({
+        id: m.metadata.macro_id,
+        title: m.metadata.title,
+        fieldChanges: m.metadata.field_changes ? m.metadata.field_changes.split("; ") : [],
+        language: m.metadata.language,
+        score: m.score
+      })),
     });
   } catch (err) {
     console.error("❌ RAG reply error:", err);
@@ -87,17 +217,19 @@ export async function composeReply(req, res) {
 
 /**
  * Debug search endpoint for testing retrieval
+ * Agent-only, so internal notes are included unless includeInternalNotes is false
  */
 export async function debugSearch(req, res) {
   try {
-    const { query } = req.body;
+    const { query, includeInternalNotes = true } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: "query required" });
     }
 
     const queryEmbedding = await embedText(query);
-    const results = await queryVectors(queryEmbedding, 10, true);
+    const filter = includeInternalNotes === false ? { type: { $ne: "internal_note" } } : null;
+    const results = await queryVectors(queryEmbedding, 10, true, filter);
 
     res.json({
       query: query,
@@ -106,6 +238,8 @@ export async function debugSearch(req, res) {
         score: match.score,
         type: match.metadata?.type,
         ticket_id: match.metadata?.ticket_id,
+        quality_score: match.metadata?.quality_score,
+        language: match.metadata?.language,
         subject: match.metadata?.subject || match.metadata?.title,
         content: match.metadata?.content?.slice(0, 200) + "...",
       })),
@@ -1,568 +1,563 @@
-import { 
-  fetchTicketsByDateRange, 
-  enrichTicketWithComments, 
-  createZendeskImportRecord, 
-  createZendeskErrorImportRecord,
-  fetchFormFields
-} from "../config/zendesk.js";
-import { upsertVectors, resetKnowledgeBase, getIndexStats } from "../config/pinecone.js";
-import { embedTextBatch, clearEmbeddingCache, getCacheStats } from "../services/embedding.js";
-import { chunkTicketData, extractTicketsFromJSON } from "../services/chunking.js";
-import { extractTextFromFile, cleanupFile } from "../services/fileProcessor.js";
+import { resetKnowledgeBase, getIndexStats, getIndexState } from "../config/vectorStore.js";
+import {
+  planMigration,
+  runIndexMigration,
+  getMigrationStatus,
+  rollbackMigration,
+  confirmMigration
+} from "../services/indexMigration.js";
+import { clearEmbeddingCache, pruneEmbeddingCache, getEmbeddingCacheStats } from "../services/embeddingCache.js";
+import {
+  runAutoImport,
+  runHelpCenterImport,
+  runMacroImport,
+  ingestArticles,
+  runFileImport,
+  runTicketSync,
+  runRetryFailed,
+  runImportPreview,
+  runFilePreview,
+  getSyncState
+} from "../services/importPipeline.js";
+import { getImportHistory } from "../services/importHistory.js";
+import { normalizeTicketFilters } from "../services/ticketFilters.js";
+import { validateColumnMapping } from "../services/csvTickets.js";
+import { cleanupFile } from "../services/fileProcessor.js";
+import { normalizeChunkingOptions } from "../services/chunking.js";
+import { RESOLUTION_EXTRACTION_ENABLED } from "../services/resolutionExtraction.js";
+import { parseList } from "../utils/validation.js";
+import { getCheckpoint, CHECKPOINT_STATUS } from "../services/importCheckpoints.js";
+import {
+  enqueueJob,
+  getJob,
+  listJobs,
+  serializeJob,
+  subscribeToJob,
+  isJobFinished,
+  findActiveJob
+} from "../services/jobQueue.js";
 
+/**
+ * Response body for a freshly queued job
+ */
+function queuedJobResponse(job, status) {
+  return {
+    status,
+    jobId: job.id,
+    jobStatus: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  };
+}
+
+/**
+ * Parse a boolean flag from a JSON body or a multipart form field
+ */
+function isFlagSet(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Whether a ticket import extracts resolutions (request flag, else
+ * RESOLUTION_EXTRACTION) - quick mode has no comments to extract from
+ * @returns {object} { enabled, error }
+ */
+function resolveExtractResolutions(value, mode) {
+  const enabled = value === undefined ? RESOLUTION_EXTRACTION_ENABLED : isFlagSet(value);
+
+  if (enabled && mode === 'quick') {
+    return value === undefined
+      ? { enabled: false, error: null }
+      : { enabled: false, error: "extractResolutions needs comments - use standard mode" };
+  }
+  return { enabled, error: null };
+}
+
+/**
+ * Queue auto-import of tickets from Zendesk
+ * Returns immediately with a job ID - poll /jobs/:id or stream /jobs/:id/events
+ * With dryRun, the job only fetches and chunks, and returns a ticket/chunk/
+ * token/cost/time estimate (sampleSize tickets are enriched, default 50).
+ * Optional filters: { status, includeTags, excludeTags, brandId, formId,
+ * channel, satisfaction, minComments } (see services/ticketFilters.js)
+ * extractResolutions turns LLM resolution extraction on or off for this
+ * import (default: RESOLUTION_EXTRACTION)
+ */
 export async function autoImportTickets(req, res) {
-  const startTime = Date.now();
-  
   try {
-    const { startDate, endDate, mode = 'standard' } = req.body;
+    const { startDate, endDate, mode = 'standard', dryRun = false, sampleSize } = req.body;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ error: "startDate and endDate are required" });
     }
-    
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🚀 AUTO-IMPORT STARTED`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📅 Date Range: ${startDate} to ${endDate}`);
-    console.log(`⚙️  Mode: ${mode === 'quick' ? 'Quick (no enrichment)' : 'Standard (full enrichment)'}`);
-    console.log(`${'='.repeat(60)}\n`);
-    
-    console.log(`📋 Step 1: Fetching form field mappings...`);
-    const fieldsMap = await fetchFormFields();
-    console.log(`✅ Form fields loaded: ${Object.keys(fieldsMap).length} fields available\n`);
-    
-    console.log(`📡 Step 2: Fetching tickets...`);
-    const tickets = await fetchTicketsByDateRange(startDate, endDate);
-    console.log(`✅ Fetched ${tickets.length} tickets\n`);
-    const customRecord = await createZendeskImportRecord({
-      startDate: startDate,
-      endDate: endDate,
-      ticketCount: tickets.length,
-      source: 'auto_import'
-    });
-    
-    if (tickets.length === 0) {
-      const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
-      return res.json({
-        status: "No tickets found in date range",
-        ticketsProcessed: 0,
-        totalChunks: 0,
-        processingTime: processingTime,
-        zendeskRecordId: customRecord?.id || null,
-        dateRange: {
-          start: startDate,
-          end: endDate
-        }
-      });
+
+    const { filters, error: filterError } = normalizeTicketFilters(req.body.filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
-    
-    // Step 3: Enrich tickets in batches
-    console.log(`🔄 Step 3: Enriching tickets...`);
-    const enrichedTickets = [];
-    const failedEnrichments = [];
-    const skipEnrichment = mode === 'quick';
-    const ENRICHMENT_BATCH_SIZE = 10;
-    
-    for (let i = 0; i < tickets.length; i += ENRICHMENT_BATCH_SIZE) {
-      const batch = tickets.slice(i, i + ENRICHMENT_BATCH_SIZE);
-      const batchNum = Math.floor(i / ENRICHMENT_BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(tickets.length / ENRICHMENT_BATCH_SIZE);
-      
-      console.log(`   📦 Enriching batch ${batchNum}/${totalBatches} (tickets ${i + 1}-${Math.min(i + ENRICHMENT_BATCH_SIZE, tickets.length)}/${tickets.length})`);
-      
-      for (const ticket of batch) {
-        try {
-          if (skipEnrichment) {
-            // Quick mode: minimal data
-            enrichedTickets.push({
-              ticket_id: ticket.id,
-              subject: ticket.subject || '',
-              description: ticket.description || '',
-              status: ticket.status,
-              priority: ticket.priority,
-              tags: ticket.tags || [],
-              created_at: ticket.created_at,
-              updated_at: ticket.updated_at,
-              conversation: [],
-              resolution: null,
-              custom_fields: {}
-            });
-          } else {
-            // Full enrichment with error recovery
-            try {
-              const enriched = await enrichTicketWithComments(ticket, fieldsMap);
-              if (!enriched || typeof enriched !== 'object') {
-                throw new Error('Invalid enrichment result');
-              }
-              enrichedTickets.push(enriched);
-            } catch (enrichError) {
-              console.warn(`      ⚠️  Full enrichment failed for ticket ${ticket.id}, using fallback...`);
-              enrichedTickets.push({
-                ticket_id: ticket.id,
-                subject: ticket.subject || '',
-                description: ticket.description || '',
-                status: ticket.status,
-                priority: ticket.priority,
-                tags: ticket.tags || [],
-                created_at: ticket.created_at,
-                updated_at: ticket.updated_at,
-                conversation: [],
-                resolution: null,
-                custom_fields: {}
-              });
-              failedEnrichments.push({
-                ticketId: ticket.id,
-                error: enrichError.message
-              });
-            }
-          }
-        } catch (error) {
-          console.error(`      ❌ Failed to process ticket ${ticket.id}:`, error.message);
-          failedEnrichments.push({
-            ticketId: ticket.id,
-            error: error.message
-          });
-          // Continue with next ticket
-        }
-      }
-      
-      // Small delay between enrichment batches
-      if (i + ENRICHMENT_BATCH_SIZE < tickets.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
+
+    if (filters?.minComments && mode === 'quick') {
+      return res.status(400).json({ error: "minComments needs comments - use standard mode" });
     }
-    
-    if (failedEnrichments.length > 0) {
-      console.warn(`⚠️  ${failedEnrichments.length} tickets had enrichment issues (using fallback)\n`);
+
+    const extractResolutions = resolveExtractResolutions(req.body.extractResolutions, mode);
+    if (extractResolutions.error) {
+      return res.status(400).json({ error: extractResolutions.error });
     }
-    console.log(`✅ Enriched ${enrichedTickets.length}/${tickets.length} tickets successfully\n`);
-    
-    // Step 4: Create chunks
-    console.log(`✂️  Step 4: Creating chunks...`);
-    const allChunks = [];
-    const failedChunking = [];
-    
-    for (const ticket of enrichedTickets) {
-      try {
-        const chunks = chunkTicketData(ticket);
-        
-        if (!Array.isArray(chunks) || chunks.length === 0) {
-          console.warn(`      ⚠️  No chunks created for ticket ${ticket.ticket_id}`);
-          failedChunking.push({
-            ticketId: ticket.ticket_id,
-            reason: 'No chunks generated'
-          });
-          continue;
-        }
-        
-        allChunks.push(...chunks.map((chunk, i) => ({
-          chunk,
-          ticketId: ticket.ticket_id,
-          chunkIndex: i
-        })));
-      } catch (error) {
-        console.error(`      ❌ Chunking failed for ticket ${ticket.ticket_id}:`, error.message);
-        failedChunking.push({
-          ticketId: ticket.ticket_id,
-          error: error.message
-        });
-      }
+
+    if (isFlagSet(dryRun)) {
+      const params = { startDate, endDate, mode, sampleSize, filters, dryRun: true };
+      const job = enqueueJob('import_preview', params, (job, report) => runImportPreview(params, job, report));
+
+      return res.status(202).json(queuedJobResponse(job, "Dry run queued"));
     }
-    
-    if (failedChunking.length > 0) {
-      console.warn(`⚠️  ${failedChunking.length} tickets failed chunking (skipped)\n`);
+
+    const params = { startDate, endDate, mode, filters, extractResolutions: extractResolutions.enabled };
+    const job = enqueueJob('auto_import', params, (job, report) => runAutoImport(params, job, report));
+
+    res.status(202).json(queuedJobResponse(job, "Import queued"));
+  } catch (err) {
+    console.error("❌ Failed to queue auto-import:", err);
+    res.status(500).json({ error: "Failed to queue auto-import", details: err.message });
+  }
+}
+
+/**
+ * Queue an import of Zendesk Help Center (Guide) articles
+ * Body (all optional): { locale, sectionIds, labels, brand, force }
+ * Unchanged articles (same updated_at) are skipped unless force is set.
+ */
+export async function importHelpCenter(req, res) {
+  try {
+    const { locale = 'en-us', brand = null, force = false } = req.body || {};
+    const sectionIds = parseList(req.body?.sectionIds).map(Number);
+    const labels = parseList(req.body?.labels);
+
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(locale)) {
+      return res.status(400).json({ error: "locale must look like 'en-us'" });
     }
-    
-    if (allChunks.length === 0) {
-      console.error(`❌ No chunks generated from any ticket!`);
-      return res.status(400).json({ 
-        error: "No chunks could be generated from tickets",
-        enrichedCount: enrichedTickets.length,
-        chunksGenerated: 0
-      });
+
+    if (sectionIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: "sectionIds must be Help Center section IDs" });
     }
-    
-    console.log(`✅ Created ${allChunks.length} chunks (avg ${(allChunks.length / enrichedTickets.length).toFixed(1)} per ticket)\n`);
-    
-    // Step 5: Generate embeddings with smart batching and rate limiting
-    console.log(`🧮 Step 5: Generating embeddings for ${allChunks.length} chunks...`);
-    console.log(`⚙️  Using smart rate limiting to avoid API limits...\n`);
-    
-    const texts = allChunks.map(({ chunk }) => chunk.text);
-    
-    // Configure OpenAI embedding settings - much faster than Google
-    const embeddingConfig = mode === 'quick' 
-      ? { batchSize: 100, batchDelay: 1000 }  // Quick mode: 100 per batch, 1 sec delay
-      : { batchSize: 50, batchDelay: 5000 };  // Standard mode: 50 per batch, 5 sec delay
-    
-    let embeddings;
-    try {
-      embeddings = await embedTextBatch(texts, {
-        ...embeddingConfig,
-        onProgress: (current, total) => {
-          if (current % 50 === 0) {
-            console.log(`   ⏳ Embedding progress: ${current}/${total} (${Math.round(current / total * 100)}%)`);
-          }
-        }
+
+    const activeJob = findActiveJob('help_center_import');
+    if (activeJob) {
+      return res.status(409).json({
+        error: "A Help Center import is already in progress",
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`
       });
-      
-      if (!Array.isArray(embeddings) || embeddings.length === 0) {
-        throw new Error('No embeddings generated');
-      }
-      
-      if (embeddings.length !== texts.length) {
-        console.warn(`⚠️  Embedding count mismatch: got ${embeddings.length}, expected ${texts.length}`);
-      }
-      
-    } catch (error) {
-      console.error(`❌ Embedding generation failed:`, error.message);
-      
-      // Check if it's a rate limit or API key issue
-      if (error.message.includes('429') || error.message.includes('rate')) {
-        throw new Error(`Rate limited by OpenAI API: ${error.message}`);
-      } else if (error.message.includes('401') || error.message.includes('invalid')) {
-        throw new Error(`OpenAI API authentication failed: ${error.message}`);
-      } else {
-        throw new Error(`Embedding generation failed: ${error.message}`);
-      }
     }
-    
-    console.log(`✅ Generated ${embeddings.length} embeddings\n`);
-    
-    // Step 6: Prepare vectors
-    console.log(`📦 Step 6: Preparing vectors for Pinecone...`);
-    let vectors;
-    try {
-      const timestamp = Date.now();
-      vectors = embeddings.map((embedding, idx) => {
-        const { chunk, ticketId, chunkIndex } = allChunks[idx];
-        
-        if (!embedding || embedding.length === 0) {
-          throw new Error(`Invalid embedding at index ${idx}`);
-        }
-        
-        return {
-          id: `auto-ticket-${ticketId}-chunk-${chunkIndex}-${timestamp}`,
-          values: embedding,
-          metadata: {
-            ...chunk.metadata,
-            content: chunk.text,
-            source: 'ticket_chat',
-            importDate: new Date().toISOString(),
-            created_at: chunk.metadata?.created_at,
-            updated_at: chunk.metadata?.updated_at
-          }
-        };
+
+    const params = { locale: locale.toLowerCase(), sectionIds, labels, brand, force: isFlagSet(force) };
+    const job = enqueueJob('help_center_import', params, (job, report) => runHelpCenterImport(params, job, report));
+
+    res.status(202).json(queuedJobResponse(job, "Help Center import queued"));
+  } catch (err) {
+    console.error("❌ Failed to queue Help Center import:", err);
+    res.status(500).json({ error: "Failed to queue Help Center import", details: err.message });
+  }
+}
+
+/**
+ * Queue an import of active shared Zendesk macros
+ * Re-running it re-indexes changed macros and drops inactive ones.
+ */
+export async function importMacros(req, res) {
+  try {
+    const activeJob = findActiveJob('macro_import');
+    if (activeJob) {
+      return res.status(409).json({
+        error: "A macro import is already in progress",
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`
       });
-      
-      if (vectors.length === 0) {
-        throw new Error('No vectors prepared');
-      }
-      
-      console.log(`✅ Prepared ${vectors.length} vectors\n`);
-    } catch (error) {
-      console.error(`❌ Vector preparation failed:`, error.message);
-      throw new Error(`Vector preparation failed: ${error.message}`);
     }
-    
-    // Step 7: Upload to Pinecone
-    console.log(`📤 Step 7: Uploading ${vectors.length} vectors to Pinecone...`);
-    try {
-      const uploadResult = await upsertVectors(vectors);
-      console.log(`✅ Upload complete (${uploadResult?.upsertedCount || vectors.length} vectors upserted)\n`);
-    } catch (error) {
-      console.error(`❌ Pinecone upload failed:`, error.message);
-      throw new Error(`Pinecone upload failed: ${error.message}`);
+
+    const job = enqueueJob('macro_import', {}, (job, report) => runMacroImport({}, job, report));
+
+    res.status(202).json(queuedJobResponse(job, "Macro import queued"));
+  } catch (err) {
+    console.error("❌ Failed to queue macro import:", err);
+    res.status(500).json({ error: "Failed to queue macro import", details: err.message });
+  }
+}
+
+/**
+ * Queue an incremental ticket sync
+ * Picks up tickets created or updated since the last sync (cursor is persisted).
+ * Body (all optional): { startDate, mode, resetCursor }
+ * startDate is only used for the first sync or after resetCursor.
+ */
+export async function syncTickets(req, res) {
+  try {
+    const { startDate = null, mode = 'standard', resetCursor = false } = req.body || {};
+
+    const extractResolutions = resolveExtractResolutions(req.body?.extractResolutions, mode);
+    if (extractResolutions.error) {
+      return res.status(400).json({ error: extractResolutions.error });
     }
-    
-    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
-    const cacheStats = getCacheStats();
-    
-    console.log(`${'='.repeat(60)}`);
-    console.log(`✅ AUTO-IMPORT COMPLETED`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📊 Statistics:`);
-    console.log(`   • Tickets Processed: ${enrichedTickets.length}`);
-    console.log(`   • Total Chunks: ${vectors.length}`);
-    console.log(`   • Avg Chunks/Ticket: ${(vectors.length / enrichedTickets.length).toFixed(1)}`);
-    console.log(`   • Processing Time: ${processingTime}`);
-    console.log(`   • Cache Hits: ${cacheStats.size} entries`);
-    console.log(`${'='.repeat(60)}\n`);
-    
+
+    const activeJob = findActiveJob('ticket_sync');
+    if (activeJob) {
+      return res.status(409).json({
+        error: "A sync is already in progress",
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`
+      });
+    }
+
+    const params = { startDate, mode, resetCursor: !!resetCursor, extractResolutions: extractResolutions.enabled };
+    const job = enqueueJob('ticket_sync', params, (job, report) => runTicketSync(params, job, report));
+
+    res.status(202).json({
+      ...queuedJobResponse(job, "Sync queued"),
+      lastSyncAt: getSyncState().lastSyncAt
+    });
+  } catch (err) {
+    console.error("❌ Failed to queue sync:", err);
+    res.status(500).json({ error: "Failed to queue sync", details: err.message });
+  }
+}
+
+/**
+ * Get incremental sync state (last sync time, cursor presence)
+ */
+export async function getSyncStatus(req, res) {
+  try {
+    const state = getSyncState();
+    const activeJob = findActiveJob('ticket_sync');
+
     res.json({
-      status: "Import completed successfully",
-      ticketsProcessed: enrichedTickets.length,
-      totalChunks: vectors.length,
-      processingTime: processingTime,
-      cacheHits: cacheStats.size,
-      zendeskRecordId: customRecord?.id || null,
-      dateRange: {
-        start: startDate,
-        end: endDate
-      }
+      lastSyncAt: state.lastSyncAt,
+      lastJobId: state.lastJobId,
+      ticketsSynced: state.ticketsSynced,
+      hasCursor: !!state.cursor,
+      activeJobId: activeJob?.id || null
     });
-    
   } catch (err) {
-    console.error("\n" + "=".repeat(60));
-    console.error("❌ AUTO-IMPORT ERROR");
-    console.error("=".repeat(60));
-    console.error("Error Message:", err.message);
-    console.error("Stack:", err.stack);
-    console.error("=".repeat(60) + "\n");
-    
-    // Create error record
-    try {
-      const errorRecord = await createZendeskErrorImportRecord({
-        startDate: req.body?.startDate || 'N/A',
-        endDate: req.body?.endDate || 'N/A',
-        errorMessage: err.message,
-        errorDetails: err.stack || err.toString(),
-        source: 'auto_import'
-      });
-      
-      return res.status(500).json({ 
-        error: "Auto-import failed", 
-        details: err.message,
-        step: err.step || 'unknown',
-        zendeskErrorRecordId: errorRecord?.id || null,
-        suggestion: getSuggestionForError(err.message)
-      });
-    } catch (recordError) {
-      console.error("Failed to create error record:", recordError.message);
-      return res.status(500).json({ 
-        error: "Auto-import failed", 
-        details: err.message,
-        step: err.step || 'unknown',
-        suggestion: getSuggestionForError(err.message)
-      });
-    }
+    console.error("❌ Sync state error:", err);
+    res.status(500).json({ error: "Failed to get sync state", details: err.message });
   }
 }
 
 /**
- * Suggest fix based on error message
+ * Resolve an import ID from either the import ID itself or the ID of any
+ * job that ran it (resume jobs carry the original importId in their params)
  */
-function getSuggestionForError(message) {
-  if (message.includes('rate')) {
-    return 'Rate limited - wait a few minutes and try again';
-  } else if (message.includes('401') || message.includes('authentication')) {
-    return 'Check your API credentials (OPENAI_API_KEY, ZENDESK_API_TOKEN)';
-  } else if (message.includes('No tickets')) {
-    return 'No tickets found in the specified date range - try a different date range';
-  } else if (message.includes('chunks')) {
-    return 'Chunking failed - tickets might have invalid data';
-  } else if (message.includes('embedding')) {
-    return 'Embedding failed - check OpenAI API key and balance';
-  } else if (message.includes('Pinecone')) {
-    return 'Pinecone error - check connection and API key';
+function resolveImportId(id) {
+  return getJob(id)?.params?.importId || id;
+}
+
+/**
+ * Find a queued or running job of an import (its first run, resumes or retries)
+ */
+function findRunningImportJob(importId, checkpoint) {
+  return [...(checkpoint?.jobIds || []), importId]
+    .map(getJob)
+    .find(job => job && !isJobFinished(job)) || null;
+}
+
+/**
+ * Get the checkpoint of an import (how far it got, what's left, failed tickets)
+ */
+export async function getImportStatus(req, res) {
+  const importId = resolveImportId(req.params.id);
+  const checkpoint = getCheckpoint(importId);
+
+  if (!checkpoint) {
+    return res.status(404).json({ error: "Import not found", importId });
   }
-  return 'Check the error details above';
+
+  const { completedTicketIds, ...rest } = checkpoint;
+  res.json({
+    ...rest,
+    completedTickets: completedTicketIds.length
+  });
 }
 
 /**
- * Import file to knowledge base
- * OPTIMIZED: Uses batched embeddings instead of parallel queue
+ * Resume a failed or interrupted auto-import from its last checkpoint
+ * Tickets completed by earlier runs are skipped, so finished work is not
+ * re-embedded. Returns a new job ID to follow.
  */
-export async function importFile(req, res) {
-  let filePath = null;
-  
+export async function resumeImport(req, res) {
   try {
-    if (!req.file) {
-      console.error("❌ No file in request");
-      console.error("Request keys:", Object.keys(req));
-      console.error("File:", req.file);
-      return res.status(400).json({ 
-        error: "No file uploaded",
-        received: {
-          hasFile: !!req.file,
-          requestKeys: Object.keys(req)
-        }
-      });
+    const importId = resolveImportId(req.params.id);
+    const checkpoint = getCheckpoint(importId);
+    const originalJob = getJob(importId);
+
+    if (!checkpoint && !originalJob) {
+      return res.status(404).json({ error: "Import not found", importId });
     }
 
-    filePath = req.file.path;
-    const fileName = req.file.originalname;
-    const fileType = req.file.mimetype;
-
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`📄 FILE UPLOAD STARTED`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📄 File Name: ${fileName}`);
-    console.log(`📋 MIME Type: ${fileType}`);
-    console.log(`📦 File Path: ${filePath}`);
-    console.log(`${'='.repeat(60)}\n`);
-
-    const fileData = await extractTextFromFile(filePath, fileType, fileName);
-    const timestamp = Date.now();
-
-    if (fileData.type === 'tickets') {
-      const tickets = extractTicketsFromJSON(fileData.data);
-      console.log(`🎫 Found ${tickets.length} tickets in JSON\n`);
-      
-      // Create all chunks
-      console.log(`✂️  Creating chunks...`);
-      const allChunks = [];
-      for (const ticket of tickets) {
-        const chunks = chunkTicketData(ticket);
-        allChunks.push(...chunks.map((chunk, i) => ({
-          chunk,
-          ticketId: ticket.ticket_id,
-          chunkIndex: i
-        })));
-      }
-      console.log(`✅ Created ${allChunks.length} chunks\n`);
-      
-      // Generate embeddings with batching
-      console.log(`🧮 Generating embeddings for ${allChunks.length} chunks...`);
-      const texts = allChunks.map(({ chunk }) => chunk.text);
-      
-      const embeddings = await embedTextBatch(texts, {
-        batchSize: 100,
-        batchDelay: 2000,
-        onProgress: (current, total) => {
-          if (current % 50 === 0) {
-            console.log(`   ⏳ Progress: ${current}/${total} (${Math.round(current / total * 100)}%)`);
-          }
-        }
-      });
-      
-      console.log(`✅ Generated ${embeddings.length} embeddings\n`);
-      
-      // Prepare vectors
-      const vectors = embeddings.map((embedding, idx) => {
-        const { chunk, ticketId, chunkIndex } = allChunks[idx];
-        return {
-          id: `ticket-${ticketId}-chunk-${chunkIndex}-${timestamp}`,
-          values: embedding,
-          metadata: {
-            ...chunk.metadata,
-            content: chunk.text,
-            source: 'manual_upload',
-            fileName: fileName,
-            uploadedAt: new Date().toISOString()
-          }
-        };
-      });
-      
-      console.log(`📤 Uploading ${vectors.length} vectors to Pinecone...`);
-      await upsertVectors(vectors);
-      console.log(`✅ Upload complete\n`);
-      
-      const customRecord = await createZendeskImportRecord({
-        startDate: new Date().toISOString().split('T')[0],
-        endDate: new Date().toISOString().split('T')[0],
-        ticketCount: tickets.length,
-        source: 'file_import'
+    const type = checkpoint?.type || originalJob.type;
+    if (type !== 'auto_import') {
+      return res.status(400).json({
+        error: `Imports of type '${type}' cannot be resumed`,
+        suggestion: {
+          ticket_sync: 'Run /sync-tickets again - the cursor is only saved after a successful sync',
+          file_import: 'Upload the file again - unchanged chunks are not re-embedded',
+          import_preview: 'Dry runs import nothing - just run the preview again'
+        }[type]
       });
-      
-      res.json({
-        status: "File imported successfully",
-        fileName: fileName,
-        type: "tickets",
-        ticketsProcessed: tickets.length,
-        totalChunks: embeddings.length,
-        zendeskRecordId: customRecord?.id || null
-      });
-      
-    } else {
-      // Simple text file
-      const chunks = [fileData.data];
-      
-      console.log(`🧮 Generating embeddings...`);
-      const embeddings = await embedTextBatch(chunks, {
-        batchSize: 100,
-        batchDelay: 2000
-      });
-      
-      const vectors = embeddings.map((embedding, i) => ({
-        id: `file-${timestamp}-${i}`,
-        values: embedding,
-        metadata: {
-          title: fileName,
-          content: chunks[i],
-          source: 'manual_upload',
-          uploadedAt: new Date().toISOString()
-        }
-      }));
-      
-      await upsertVectors(vectors);
-      
-      const customRecord = await createZendeskImportRecord({
-        startDate: new Date().toISOString().split('T')[0],
-        endDate: new Date().toISOString().split('T')[0],
-        ticketCount: 0,
-        source: 'file_import'
+    }
+
+    if (checkpoint?.status === CHECKPOINT_STATUS.COMPLETED) {
+      return res.status(409).json({ error: "Import already completed", importId });
+    }
+
+    // Refuse while an earlier run of this import is still going
+    const runningJob = findRunningImportJob(importId, checkpoint);
+    if (runningJob) {
+      return res.status(409).json({
+        error: "Import is still running",
+        jobId: runningJob.id,
+        statusUrl: `/jobs/${runningJob.id}`
       });
-      
-      res.json({
-        status: "File imported successfully",
-        fileName: fileName,
-        type: "text",
-        chunks: chunks.length,
-        zendeskRecordId: customRecord?.id || null
+    }
+
+    const params = { ...(checkpoint?.params || originalJob.params), importId };
+    const job = enqueueJob('auto_import', params, (job, report) => runAutoImport(params, job, report));
+
+    res.status(202).json({
+      ...queuedJobResponse(job, "Import resume queued"),
+      importId,
+      completedTickets: checkpoint?.completedTicketIds.length || 0
+    });
+  } catch (err) {
+    console.error("❌ Failed to resume import:", err);
+    res.status(500).json({ error: "Failed to resume import", details: err.message });
+  }
+}
+
+/**
+ * Re-run only the failed tickets of an import or sync
+ * Includes tickets that were indexed with fallback data (no comments)
+ */
+export async function retryFailedTickets(req, res) {
+  try {
+    const importId = resolveImportId(req.params.id);
+    const checkpoint = getCheckpoint(importId);
+
+    if (!checkpoint) {
+      return res.status(404).json({ error: "Import not found", importId });
+    }
+
+    if (checkpoint.type !== 'auto_import' && checkpoint.type !== 'ticket_sync') {
+      return res.status(400).json({ error: `Imports of type '${checkpoint.type}' have no Zendesk tickets to retry` });
+    }
+
+    const failedTickets = checkpoint.failedTickets || [];
+    if (failedTickets.length === 0) {
+      return res.status(409).json({ error: "No failed tickets to retry", importId });
+    }
+
+    const runningJob = findRunningImportJob(importId, checkpoint);
+    if (runningJob) {
+      return res.status(409).json({
+        error: "Import is still running",
+        jobId: runningJob.id,
+        statusUrl: `/jobs/${runningJob.id}`
       });
     }
 
+    const params = { importId };
+    const job = enqueueJob('retry_failed', params, (job, report) => runRetryFailed(params, job, report));
+
+    res.status(202).json({
+      ...queuedJobResponse(job, "Retry of failed tickets queued"),
+      importId,
+      failedTickets: failedTickets.length,
+      degradedTickets: failedTickets.filter(f => f.degraded).length
+    });
   } catch (err) {
-    console.error("\n" + "=".repeat(60));
-    console.error("❌ FILE IMPORT ERROR");
-    console.error("=".repeat(60));
-    console.error("Error Message:", err.message);
-    console.error("Error Code:", err.code);
-    console.error("Stack:", err.stack);
-    console.error("=".repeat(60) + "\n");
+    console.error("❌ Failed to queue retry:", err);
+    res.status(500).json({ error: "Failed to queue retry", details: err.message });
+  }
+}
+
+/**
+ * Get the import timeline (successful imports and errors, most recent first)
+ * Query: page, perPage, type ('import' | 'error'), source, from, to (YYYY-MM-DD)
+ */
+export async function getHistory(req, res) {
+  try {
+    const { page, perPage, type, source, from, to } = req.query;
 
+    if (type && type !== 'import' && type !== 'error') {
+      return res.status(400).json({ error: "type must be 'import' or 'error'" });
+    }
+
+    const history = await getImportHistory({ page, perPage, type, source, from, to });
+    res.json(history);
+  } catch (err) {
+    console.error("❌ Import history error:", err);
+    res.status(500).json({ error: "Failed to get import history", details: err.message });
+  }
+}
+
+/**
+ * Queue import of an uploaded file to the knowledge base
+ * The file stays in uploads/ until the job has processed it
+ * Form field dryRun=true only parses and chunks the file and returns an estimate.
+ * Form field columnMapping (JSON) overrides the detected columns of a CSV ticket export.
+ * Form fields chunkSize and chunkOverlap (characters) override the document chunking defaults.
+ */
+export async function importFile(req, res) {
+  if (!req.file) {
+    console.error("❌ No file in request");
+    console.error("Request keys:", Object.keys(req));
+    console.error("File:", req.file);
+    return res.status(400).json({ 
+      error: "No file uploaded",
+      received: {
+        hasFile: !!req.file,
+        requestKeys: Object.keys(req)
+      }
+    });
+  }
+
+  let columnMapping = null;
+  if (req.body?.columnMapping) {
     try {
-      const errorRecord = await createZendeskErrorImportRecord({
-        startDate: 'N/A',
-        endDate: 'N/A',
-        errorMessage: err.message,
-        errorDetails: err.stack || err.toString(),
-        source: 'file_import'
-      });
+      columnMapping = typeof req.body.columnMapping === 'string'
+        ? JSON.parse(req.body.columnMapping)
+        : req.body.columnMapping;
+    } catch (err) {
+      cleanupFile(req.file.path);
+      return res.status(400).json({ error: "columnMapping must be valid JSON", details: err.message });
+    }
 
-      return res.status(500).json({ 
-        error: "File import failed", 
-        details: err.message,
-        step: err.step || 'unknown',
-        zendeskErrorRecordId: errorRecord?.id || null,
-        suggestion: getFileUploadSuggestion(err.message)
-      });
-    } catch (recordError) {
-      console.error("Failed to create error record:", recordError.message);
-      return res.status(500).json({ 
-        error: "File import failed", 
-        details: err.message,
-        suggestion: getFileUploadSuggestion(err.message)
-      });
+    const mappingError = validateColumnMapping(columnMapping);
+    if (mappingError) {
+      cleanupFile(req.file.path);
+      return res.status(400).json({ error: mappingError });
     }
-  } finally {
-    if (filePath) {
-      cleanupFile(filePath);
+  }
+
+  const { options: chunking, error: chunkingError } = normalizeChunkingOptions(req.body || {});
+  if (chunkingError) {
+    cleanupFile(req.file.path);
+    return res.status(400).json({ error: chunkingError });
+  }
+
+  const file = {
+    filePath: req.file.path,
+    fileName: req.file.originalname,
+    fileType: req.file.mimetype,
+    columnMapping,
+    chunking
+  };
+
+  try {
+    if (isFlagSet(req.body?.dryRun)) {
+      const job = enqueueJob(
+        'import_preview',
+        { fileName: file.fileName, fileType: file.fileType, dryRun: true },
+        (job, report) => runFilePreview(file, job, report)
+      );
+
+      return res.status(202).json({
+        ...queuedJobResponse(job, "Dry run queued"),
+        fileName: file.fileName
+      });
     }
+
+    const job = enqueueJob(
+      'file_import',
+      { fileName: file.fileName, fileType: file.fileType },
+      (job, report) => runFileImport(file, job, report)
+    );
+
+    res.status(202).json({
+      ...queuedJobResponse(job, "File import queued"),
+      fileName: file.fileName
+    });
+  } catch (err) {
+    console.error("❌ Failed to queue file import:", err);
+    res.status(500).json({ error: "Failed to queue file import", details: err.message });
   }
 }
 
-function getFileUploadSuggestion(message) {
-  if (message.includes('No file')) {
-    return 'Make sure you selected a file before uploading';
-  } else if (message.includes('rate')) {
-    return 'Rate limited - wait a few minutes and try again';
-  } else if (message.includes('JSON')) {
-    return 'File must be valid JSON format if uploading tickets';
-  } else if (message.includes('embedding')) {
-    return 'Embedding failed - check OpenAI API key and balance';
-  } else if (message.includes('Pinecone')) {
-    return 'Pinecone error - check connection and API key';
-  } else if (message.includes('file')) {
-    return 'File may be corrupted or in unsupported format';
+/**
+ * Get job status and progress
+ */
+export async function getJobStatus(req, res) {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: req.params.id });
+  }
+
+  res.json(serializeJob(job));
+}
+
+/**
+ * List recent jobs
+ */
+export async function getJobs(req, res) {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({ jobs: listJobs(limit) });
+}
+
+/**
+ * Stream job progress as Server-Sent Events
+ * Events: 'progress' on every update, 'done' once the job completes or fails
+ */
+export async function streamJobEvents(req, res) {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: req.params.id });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Send current state right away so late subscribers catch up
+  send('progress', serializeJob(job));
+
+  if (isJobFinished(job)) {
+    send('done', serializeJob(job));
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, (snapshot) => {
+    send('progress', snapshot);
+
+    if (isJobFinished(snapshot)) {
+      send('done', snapshot);
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
   }
-  return 'Check the error details above';
+
+  req.on('close', cleanup);
 }
 
 /**
  * Ingest knowledge base articles
- * OPTIMIZED: Uses batched embeddings
+ * Articles are chunked by heading (no truncation), PII is redacted, and
+ * chunks are stored as manual_upload. Re-ingesting only embeds changed chunks.
  */
 export async function ingestKB(req, res) {
   try {
@@ -575,46 +570,22 @@ export async function ingestKB(req, res) {
       return res.status(400).json({ error: "articles array is empty" });
     }
 
-    console.log(`\n📚 Processing ${articles.length} articles...`);
-    
-    // Prepare texts
-    const processedArticles = articles.map(article => ({
-      article,
-      cleanText: article.content.replace(/<[^>]+>/g, "").slice(0, 2000)
-    }));
-    
-    const texts = processedArticles.map(p => p.cleanText);
-    
-    // Generate embeddings with batching
-    console.log(`🧮 Generating embeddings...`);
-    const embeddings = await embedTextBatch(texts, {
-      batchSize: 100,
-      batchDelay: 2000,
-      onProgress: (current, total) => {
-        if (current % 25 === 0) {
-          console.log(`   ⏳ Progress: ${current}/${total} (${Math.round(current / total * 100)}%)`);
-        }
-      }
-    });
-    
-    // Prepare vectors
-    const vectors = embeddings.map((embedding, idx) => {
-      const { article, cleanText } = processedArticles[idx];
-      return {
-        id: `article-${article.id}`,
-        values: embedding,
-        metadata: {
-          title: article.title,
-          content: cleanText,
-        }
-      };
-    });
+    const invalid = articles.find(article => article?.id === undefined || !article.title || !article.content);
+    if (invalid) {
+      return res.status(400).json({ error: "every article needs id, title and content" });
+    }
 
-    console.log(`📤 Uploading ${vectors.length} vectors to Pinecone...`);
-    await upsertVectors(vectors);
+    console.log(`\n📚 Processing ${articles.length} articles...`);
+    const { totalChunks, reindex, redactions } = await ingestArticles(articles);
 
-    console.log(`✅ Successfully ingested ${vectors.length} articles\n`);
-    res.json({ status: "KB ingested successfully", count: vectors.length });
+    console.log(`✅ Successfully ingested ${articles.length} articles (${totalChunks} chunks)\n`);
+    res.json({
+      status: "KB ingested successfully",
+      count: articles.length,
+      totalChunks,
+      ...reindex,
+      redactions
+    });
   } catch (err) {
     console.error("❌ KB ingestion error:", err);
     res.status(500).json({ error: "KB ingestion failed", details: err.message });
@@ -626,11 +597,9 @@ export async function ingestKB(req, res) {
  */
 export async function resetKB(req, res) {
   try {
+    // The embedding cache is kept - re-importing after a reset reuses it
     await resetKnowledgeBase();
-    
-    // Clear embedding cache on reset
-    clearEmbeddingCache();
-    
+
     res.json({ status: "KB reset successfully" });
   } catch (err) {
     console.error("❌ Reset error:", err);
@@ -644,14 +613,10 @@ export async function resetKB(req, res) {
 export async function getStats(req, res) {
   try {
     const stats = await getIndexStats();
-    const cacheStats = getCacheStats();
-    
+
     res.json({
       ...stats,
-      cache: {
-        entries: cacheStats.size,
-        estimatedMemoryMB: cacheStats.estimatedMemoryMB
-      }
+      cache: getEmbeddingCacheStats()
     });
   } catch (err) {
     console.error("❌ Stats error:", err);
@@ -660,17 +625,15 @@ export async function getStats(req, res) {
 }
 
 /**
- * Clear embedding cache (new endpoint)
+ * Clear the embedding cache
  */
 export async function clearCache(req, res) {
   try {
-    const statsBefore = getCacheStats();
-    clearEmbeddingCache();
-    
-    res.json({ 
+    const entriesCleared = await clearEmbeddingCache();
+
+    res.json({
       status: "Cache cleared successfully",
-      entriesCleared: statsBefore.size,
-      memoryFreedMB: statsBefore.estimatedMemoryMB
+      entriesCleared
     });
   } catch (err) {
     console.error("❌ Cache clear error:", err);
@@ -679,58 +642,126 @@ export async function clearCache(req, res) {
 }
 
 /**
- * Test pagination - fetches tickets without chunking/embedding
- * Useful for testing large date ranges and pagination
+ * Prune the embedding cache
+ * Body: { maxSizeMB, olderThanDays } - at least one
  */
-export async function testPagination(req, res) {
-  const startTime = Date.now();
-  
+export async function pruneCache(req, res) {
   try {
-    const { startDate, endDate } = req.body;
-    
-    if (!startDate || !endDate) {
-      return res.status(400).json({ error: "startDate and endDate are required" });
+    const { maxSizeMB = null, olderThanDays = null } = req.body || {};
+
+    if (maxSizeMB === null && olderThanDays === null) {
+      return res.status(400).json({ error: "maxSizeMB or olderThanDays is required" });
     }
-    
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🧪 PAGINATION TEST STARTED`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📅 Date Range: ${startDate} to ${endDate}`);
-    console.log(`${'='.repeat(60)}\n`);
-    
-    // Only fetch tickets - no chunking, no embedding
-    console.log(`📡 Fetching tickets...`);
-    const tickets = await fetchTicketsByDateRange(startDate, endDate);
-    
-    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
-    
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`✅ PAGINATION TEST COMPLETED`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📊 Results:`);
-    console.log(`   • Total Tickets: ${tickets.length}`);
-    console.log(`   • Processing Time: ${processingTime}`);
-    console.log(`   • Avg per ticket: ${((Date.now() - startTime) / Math.max(tickets.length, 1)).toFixed(0)}ms`);
-    console.log(`${'='.repeat(60)}\n`);
-    
-    return res.json({
-      status: "Pagination test completed",
-      ticketsCount: tickets.length,
-      processingTime: processingTime,
-      dateRange: {
-        start: startDate,
-        end: endDate
-      },
-      avgTimePerTicket: `${((Date.now() - startTime) / Math.max(tickets.length, 1)).toFixed(0)}ms`
+    for (const [name, value] of Object.entries({ maxSizeMB, olderThanDays })) {
+      if (value !== null && (typeof value !== 'number' || !(value >= 0))) {
+        return res.status(400).json({ error: `${name} must be a non-negative number` });
+      }
+    }
+
+    const result = await pruneEmbeddingCache({ maxSizeMB, olderThanDays });
+
+    res.json({
+      status: "Cache pruned successfully",
+      ...result
     });
   } catch (err) {
-    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
-    console.error("❌ Pagination test error:", err.message);
-    
-    res.status(500).json({
-      status: "Pagination test failed",
-      error: err.message,
-      processingTime: processingTime
+    console.error("❌ Cache prune error:", err);
+    res.status(500).json({ error: "Failed to prune cache", details: err.message });
+  }
+}
+
+/**
+ * Queue an index migration: re-embed every chunk into a new versioned index
+ * and switch reads to it when done (the old index is kept)
+ */
+export async function startIndexMigration(req, res) {
+  try {
+    const activeJob = findActiveJob('index_migration');
+    if (activeJob) {
+      return res.status(409).json({
+        error: "An index migration is already in progress",
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`
+      });
+    }
+
+    const { previousIndex } = getIndexState();
+    if (previousIndex) {
+      return res.status(409).json({
+        error: `Confirm or roll back the last migration first (${previousIndex} is still kept)`,
+        previousIndex
+      });
+    }
+
+    const plan = await planMigration();
+    const job = enqueueJob('index_migration', plan, (job, report) => runIndexMigration(plan, job, report));
+
+    res.status(202).json({
+      ...queuedJobResponse(job, plan.resumed ? "Index migration resumed" : "Index migration queued"),
+      fromIndex: plan.fromIndex,
+      toIndex: plan.toIndex
     });
+  } catch (err) {
+    console.error("❌ Failed to queue index migration:", err);
+    res.status(500).json({ error: "Failed to queue index migration", details: err.message });
+  }
+}
+
+/**
+ * Index migration state: { activeIndex, previousIndex, migration }
+ */
+export async function getIndexMigration(req, res) {
+  try {
+    res.json(await getMigrationStatus());
+  } catch (err) {
+    console.error("❌ Index migration status error:", err);
+    res.status(500).json({ error: "Failed to get index migration status", details: err.message });
+  }
+}
+
+/**
+ * Roll back the last index migration (see rollbackMigration)
+ */
+export async function rollbackIndexMigration(req, res) {
+  try {
+    if (findActiveJob('index_migration')) {
+      return res.status(409).json({ error: "An index migration is in progress - wait for it to finish" });
+    }
+
+    const { previousIndex, migration } = getIndexState();
+    if (!previousIndex && !['failed', 'interrupted'].includes(migration?.status)) {
+      return res.status(400).json({ error: "Nothing to roll back" });
+    }
+    if (migration?.status === 'rolled_back') {
+      return res.status(400).json({ error: `Already rolled back - ${previousIndex} missed the writes since, confirm to delete it` });
+    }
+
+    res.json({ status: "Index migration rolled back", ...await rollbackMigration() });
+  } catch (err) {
+    console.error("❌ Index migration rollback error:", err);
+    res.status(500).json({ error: "Failed to roll back index migration", details: err.message });
+  }
+}
+
+/**
+ * Confirm the last index migration by deleting the previous index
+ * Body: { deleteIndex: "<previous index name>" }
+ */
+export async function confirmIndexMigration(req, res) {
+  try {
+    const { previousIndex } = getIndexState();
+    if (!previousIndex) {
+      return res.status(400).json({ error: "No previous index to delete" });
+    }
+
+    const { deleteIndex } = req.body || {};
+    if (deleteIndex !== previousIndex) {
+      return res.status(400).json({ error: `deleteIndex must be "${previousIndex}" to confirm` });
+    }
+
+    res.json({ status: `Deleted ${previousIndex}`, ...await confirmMigration(deleteIndex) });
+  } catch (err) {
+    console.error("❌ Index migration confirm error:", err);
+    res.status(500).json({ error: "Failed to confirm index migration", details: err.message });
   }
-}
\ No newline at end of file
+}
@@ -1,8 +1,11 @@
 import { generateContent } from "../config/openai.js";
 import { buildSummaryPrompt, buildTranslationPrompt } from "../utils/prompts.js";
+import { getInternalNotePolicy } from "../config/brands.js";
 
 /**
  * Summarize a ticket
+ * Internal notes in `comments` are used unless the brand's internal note
+ * policy turns them off (summary: false).
  */
 export async function summarizeTicket(req, res) {
   try {
@@ -12,7 +15,12 @@ export async function summarizeTicket(req, res) {
       return res.status(400).json({ error: "Invalid ticket payload - ticketId required" });
     }
 
-    let prompt = buildSummaryPrompt(ticket);
+    const notePolicy = getInternalNotePolicy({ brand: ticket.brand, brandId: ticket.brandId });
+    const comments = Array.isArray(ticket.comments)
+      ? ticket.comments.filter(c => notePolicy.summary || c.public !== false)
+      : [];
+
+    let prompt = buildSummaryPrompt(ticket, comments);
 
     if (ticket.language) {
       prompt += `\nPlease provide the summary in ${ticket.language} language.`;
@@ -4,29 +4,78 @@ import {
   autoImportTickets,
   importFile,
   ingestKB,
+  importHelpCenter,
+  importMacros,
   resetKB,
   getStats,
-  testPagination
+  clearCache,
+  pruneCache,
+  startIndexMigration,
+  getIndexMigration,
+  rollbackIndexMigration,
+  confirmIndexMigration,
+  syncTickets,
+  getSyncStatus,
+  getHistory,
+  getImportStatus,
+  resumeImport,
+  retryFailedTickets,
+  getJobs,
+  getJobStatus,
+  streamJobEvents
 } from "../controllers/navbar.js";
 
 const router = express.Router();
 
-// Auto-import tickets from Zendesk by date range
+// Auto-import tickets from Zendesk by date range (queues a background job)
+// dryRun: fetch + chunk only, returns a cost/time estimate
 router.post("/auto-import-tickets", autoImportTickets);
 
-// Test pagination - only fetch tickets, no chunking/embedding
-router.post("/test-pagination", testPagination);
+// Incremental sync of changed tickets (queues a background job)
+router.post("/sync-tickets", syncTickets);
+router.get("/sync-state", getSyncStatus);
 
-// Import file to knowledge base
+// Checkpointed imports: inspect progress, resume after a failure or restart,
+// retry only the tickets that failed
+router.get("/imports/:id", getImportStatus);
+router.post("/imports/:id/resume", resumeImport);
+router.post("/imports/:id/retry-failed", retryFailedTickets);
+
+// Import history (local log merged with Zendesk custom object records)
+router.get("/import-history", getHistory);
+
+// Import file to knowledge base (queues a background job)
 router.post("/import-file", upload.single('file'), importFile);
 
+// Background import jobs
+router.get("/jobs", getJobs);
+router.get("/jobs/:id", getJobStatus);
+router.get("/jobs/:id/events", streamJobEvents);
+
 // Ingest knowledge base articles
 router.post("/ingest-kb", ingestKB);
 
+// Import Zendesk Help Center articles by locale/section/label (queues a background job)
+router.post("/import-help-center", importHelpCenter);
+
+// Import active shared macros as answer snippets (queues a background job)
+router.post("/import-macros", importMacros);
+
 // Reset knowledge base
 router.delete("/reset-kb", resetKB);
 
 // Get index statistics
 router.get("/index-stats", getStats);
 
-export default router;
\ No newline at end of file
+// Embedding cache: clear it, or prune by size / last use
+router.delete("/embedding-cache", clearCache);
+router.post("/embedding-cache/prune", pruneCache);
+
+// Index migration: re-embed into a new index (job), then confirm (deletes the
+// old index) or roll back
+router.post("/index-migrations", startIndexMigration);
+router.get("/index-migrations", getIndexMigration);
+router.post("/index-migrations/rollback", rollbackIndexMigration);
+router.post("/index-migrations/confirm", confirmIndexMigration);
+
+export default router;
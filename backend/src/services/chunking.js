@@ -1,37 +1,70 @@
-export function chunkTicketData(ticket) {
-  const chunks = [];
-  const MAX_CHUNK_SIZE = 3000;
-  
-  // Helper: clean metadata by removing null/undefined values
-  function cleanMetadata(meta) {
-    const cleaned = {};
-    for (const [key, value] of Object.entries(meta)) {
-      if (value !== null && value !== undefined && value !== '') {
-        cleaned[key] = value;
-      }
-    }
-    return cleaned;
+import { splitHtmlByHeadings, htmlToText } from "../utils/html.js";
+import { countTokens, truncateToTokens, splitByTokens } from "../utils/tokens.js";
+
+const MAX_CHUNK_SIZE = 3000;
+
+/**
+ * Default document chunk size and overlap in characters (per upload
+ * overridable, see normalizeChunkingOptions)
+ */
+export const DOCUMENT_CHUNKING = {
+  size: parseInt(process.env.DOCUMENT_CHUNK_SIZE || "1500"),
+  overlap: parseInt(process.env.DOCUMENT_CHUNK_OVERLAP || "200")
+};
+
+/**
+ * Conversation part size and overlap in tokens
+ * Parts are cut between messages; the overlap repeats the last messages of
+ * the previous part, so a question stays next to its answer.
+ */
+export const CONVERSATION_CHUNKING = {
+  maxTokens: parseInt(process.env.CONVERSATION_CHUNK_TOKENS || "800"),
+  overlapTokens: parseInt(process.env.CONVERSATION_CHUNK_OVERLAP_TOKENS || "150")
+};
+
+// Chunks larger than this retrieve poorly and get close to the embedding input limit
+const MAX_DOCUMENT_CHUNK_SIZE = 8000;
+const MIN_DOCUMENT_CHUNK_SIZE = 200;
+
+/**
+ * Validate chunk size/overlap from a request, falling back to DOCUMENT_CHUNKING
+ * @param {object} input - { chunkSize, chunkOverlap } (strings from form fields are fine)
+ * @returns {object} { options: { size, overlap }, error }
+ */
+export function normalizeChunkingOptions({ chunkSize, chunkOverlap } = {}) {
+  const size = chunkSize ? Number(chunkSize) : DOCUMENT_CHUNKING.size;
+  const overlap = chunkOverlap !== undefined && chunkOverlap !== '' ? Number(chunkOverlap) : Math.min(DOCUMENT_CHUNKING.overlap, Math.floor(size / 2));
+
+  if (!Number.isInteger(size) || size < MIN_DOCUMENT_CHUNK_SIZE || size > MAX_DOCUMENT_CHUNK_SIZE) {
+    return { options: null, error: `chunkSize must be an integer between ${MIN_DOCUMENT_CHUNK_SIZE} and ${MAX_DOCUMENT_CHUNK_SIZE}` };
   }
-  
-  function splitIfNeeded(text, maxSize = MAX_CHUNK_SIZE) {
-    if (text.length <= maxSize) {
-      return [text];
-    }
-    
-    const splitChunks = [];
-    let remaining = text;
-    let partNum = 1;
-    const totalParts = Math.ceil(text.length / maxSize);
-    
-    while (remaining.length > 0) {
-      const chunk = remaining.substring(0, maxSize);
-      splitChunks.push(`${chunk.trim()} [Part ${partNum}/${totalParts}]`);
-      remaining = remaining.substring(maxSize).trim();
-      partNum++;
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap > size / 2) {
+    return { options: null, error: "chunkOverlap must be an integer between 0 and half the chunk size" };
+  }
+
+  return { options: { size, overlap }, error: null };
+}
+
+// Helper: clean metadata by removing null/undefined values
+function cleanMetadata(meta) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (value !== null && value !== undefined && value !== '') {
+      cleaned[key] = value;
     }
-    
-    return splitChunks;
   }
+  return cleaned;
+}
+
+/**
+ * Chunk an enriched ticket
+ * Internal notes never share a chunk with public comments: they become
+ * 'internal_note' chunks, which compose-reply leaves out unless the brand
+ * allows it (see getInternalNotePolicy).
+ * @param {object} options - { indexInternalNotes } - false skips internal notes entirely
+ */
+export function chunkTicketData(ticket, { indexInternalNotes = true } = {}) {
+  const chunks = [];
   
   let customFieldsText = '';
   if (ticket.custom_fields && Object.keys(ticket.custom_fields).length > 0) {
@@ -65,33 +98,28 @@ Tags: ${ticket.tags?.join(', ') || 'None'}${customFieldsText}
     })
   });
   
-  // Conversation chunk - split if too long
+  // Conversation parts - whole messages, packed by tokens
   if (ticket.conversation && ticket.conversation.length > 0) {
-    const conversationText = ticket.conversation
-      .map((msg, idx) => `${idx + 1}. ${msg.author}: ${msg.message}`)
-      .join('\n\n');
-    
-    const conversationChunks = splitIfNeeded(`Ticket ${ticket.ticket_id} Conversation:\n\n${conversationText}`);
-    
-    conversationChunks.forEach((chunk, idx) => {
-      chunks.push({
-        text: chunk,
-        metadata: cleanMetadata({
-          type: 'conversation',
-          ticket_id: ticket.ticket_id,
-          subject: ticket.subject,
-          part: idx + 1,
-          totalParts: conversationChunks.length,
-          brand: ticket.brand || 'default',
-          brand_id: ticket.brand_id
-        })
-      });
-    });
+    chunks.push(...chunkConversation(ticket));
+    if (indexInternalNotes) {
+      chunks.push(...chunkConversation(ticket, CONVERSATION_CHUNKING, 'internal'));
+    }
   }
   
-  // Resolution chunk
+  // Resolution chunk - structured when it was extracted by the LLM
+  // (see services/resolutionExtraction.js)
   if (ticket.resolution) {
-    const resolutionText = `
+    const details = ticket.resolution_details?.actionable ? ticket.resolution_details : null;
+    const resolutionText = details
+      ? [
+          `Ticket ${ticket.ticket_id} Resolution:`,
+          `Problem: ${ticket.subject}`,
+          details.root_cause ? `Root cause: ${details.root_cause}` : null,
+          `Fix: ${details.fix}`,
+          details.steps.length > 0 ? `Steps:\n${details.steps.map((step, idx) => `${idx + 1}. ${step}`).join('\n')}` : null,
+          `Related Tags: ${ticket.tags?.join(', ') || 'None'}`
+        ].filter(Boolean).join('\n')
+      : `
 Ticket ${ticket.ticket_id} Resolution:
 Problem: ${ticket.subject}
 Solution: ${ticket.resolution}
@@ -105,6 +133,10 @@ Related Tags: ${ticket.tags?.join(', ') || 'None'}
         ticket_id: ticket.ticket_id,
         subject: ticket.subject,
         tags: ticket.tags?.join(', ') || '',
+        resolution_source: details ? 'llm' : 'last_agent_reply',
+        root_cause: details?.root_cause,
+        fix: details?.fix,
+        steps: details?.steps.length ? details.steps : null,
         brand: ticket.brand || 'default',
         brand_id: ticket.brand_id
       })
@@ -137,6 +169,414 @@ Related Tags: ${ticket.tags?.join(', ') || 'None'}
   return chunks;
 }
 
+const CUSTOMER_AUTHORS = /^(customer|requester|end[- ]?user)$/i;
+const AGENT_AUTHORS = /^(agent|support)$/i;
+const SYSTEM_AUTHORS = /^(system|bot|trigger|automation)$/i;
+
+/**
+ * Author role of a conversation message, as Zendesk names it ('end-user',
+ * 'agent', 'admin', 'system') or 'unknown'
+ * Zendesk tickets carry the looked-up role; uploaded tickets only have
+ * author names, so only the generic names map.
+ */
+function messageRole(message) {
+  if (message.role) return message.role;
+  const author = message.author || '';
+  if (CUSTOMER_AUTHORS.test(author)) return 'end-user';
+  if (AGENT_AUTHORS.test(author)) return 'agent';
+  if (/^admin$/i.test(author)) return 'admin';
+  if (SYSTEM_AUTHORS.test(author)) return 'system';
+  return 'unknown';
+}
+
+/**
+ * Split a message body into pieces of at most maxTokens tokens, at
+ * paragraphs, then sentences, then token boundaries
+ */
+function splitMessage(body, maxTokens) {
+  const units = [];
+  for (const paragraph of body.split(/\n{2,}/)) {
+    if (countTokens(paragraph) <= maxTokens) {
+      units.push({ text: paragraph, separator: '\n\n' });
+      continue;
+    }
+    splitLongParagraph(paragraph, Infinity)
+      .flatMap(unit => countTokens(unit.text) <= maxTokens ? [unit] : toUnits(splitByTokens(unit.text, maxTokens), unit.separator))
+      .forEach((unit, idx) => units.push({ text: unit.text, separator: idx === 0 ? '\n\n' : unit.separator }));
+  }
+
+  const pieces = [];
+  let current = '';
+  let currentTokens = 0;
+  for (const { text, separator } of units) {
+    const tokens = countTokens(text) + 1;
+    if (current && currentTokens + tokens > maxTokens) {
+      pieces.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    current = current ? `${current}${separator}${text}` : text;
+    currentTokens += tokens;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Last messages of a part that fit in the overlap, repeated at the start of
+ * the next part. When even the last message is too long, its end is used.
+ */
+function overlapMessages(entries, overlapTokens) {
+  if (overlapTokens <= 0) return [];
+
+  const carried = [];
+  let tokens = 0;
+  for (let i = entries.length - 1; i >= 0 && tokens + entries[i].tokens <= overlapTokens; i--) {
+    carried.unshift(entries[i]);
+    tokens += entries[i].tokens;
+  }
+  if (carried.length > 0) return carried;
+
+  const last = entries[entries.length - 1];
+  const tail = truncateToTokens(last.body, Math.max(overlapTokens - countTokens(last.label) - 4, 1), true);
+  const text = `${last.label} …${tail.trim()}`;
+  const tailTokens = countTokens(text) + 1;
+  return tailTokens <= overlapTokens ? [{ ...last, text, tokens: tailTokens }] : [];
+}
+
+/**
+ * Chunk the public comments or the internal notes of a ticket into
+ * token-limited parts
+ * Messages are never cut unless a single message is longer than a part.
+ * Every part starts with the ticket subject and repeats the last messages of
+ * the previous part (see CONVERSATION_CHUNKING). Messages keep their number
+ * in the full conversation; roles and timestamps are kept as metadata lists
+ * in message order, with the groups of the agents who wrote them.
+ * @param {object} ticket - Ticket with conversation [{ author, role?, group?, message, created_at, public }]
+ * @param {object} options - { maxTokens, overlapTokens }
+ * @param {string} visibility - 'public' (type 'conversation') or 'internal' (type 'internal_note')
+ * @returns {object[]} Chunks ({ text, metadata })
+ */
+export function chunkConversation(ticket, options = CONVERSATION_CHUNKING, visibility = 'public') {
+  const title = visibility === 'internal' ? 'Internal Notes' : 'Conversation';
+  const header = (part, totalParts) => [
+    `Ticket ${ticket.ticket_id} ${title}${totalParts > 1 ? ` (part ${part}/${totalParts})` : ''}`,
+    `Subject: ${ticket.subject || 'N/A'}`
+  ].join('\n');
+  // Room for the header, whatever the part numbers turn out to be
+  const budget = Math.max(options.maxTokens - countTokens(header(999, 999)) - 2, 50);
+  // Longer messages are split so the overlap still fits next to every piece
+  const maxMessageTokens = Math.max(budget - options.overlapTokens, Math.floor(budget / 2));
+
+  const entries = [];
+  ticket.conversation.forEach((message, idx) => {
+    const body = (message.message || '').trim();
+    if (!body || (message.public === false ? 'internal' : 'public') !== visibility) return;
+
+    const number = idx + 1;
+    const label = `${number}. ${message.author || 'Unknown'}:`;
+    const entry = { number, role: messageRole(message), group: message.group || null, createdAt: message.created_at || null, label, body };
+
+    const pieces = countTokens(`${label} ${body}`) <= maxMessageTokens
+      ? [body]
+      : splitMessage(body, Math.max(maxMessageTokens - countTokens(label) - 8, 1));
+    pieces.forEach((piece, pieceIdx) => {
+      const pieceLabel = pieces.length > 1 ? `${label.slice(0, -1)} [${pieceIdx + 1}/${pieces.length}]:` : label;
+      const text = `${pieceLabel} ${piece}`;
+      entries.push({ ...entry, label: pieceLabel, body: piece, text, tokens: countTokens(text) + 1 });
+    });
+  });
+
+  const parts = [];
+  let current = [];
+  let currentTokens = 0;
+  for (const entry of entries) {
+    if (current.length > 0 && currentTokens + entry.tokens > budget) {
+      parts.push(current);
+      current = overlapMessages(current, Math.min(options.overlapTokens, budget - entry.tokens));
+      currentTokens = current.reduce((sum, e) => sum + e.tokens, 0);
+    }
+    current.push(entry);
+    currentTokens += entry.tokens;
+  }
+  if (current.length > 0) parts.push(current);
+
+  return parts.map((partEntries, idx) => {
+    // A message split into pieces (or repeated as overlap) is listed once
+    const messages = [...new Map(partEntries.map(e => [e.number, e])).values()];
+    const timestamps = messages.map(m => m.createdAt).filter(Boolean);
+    const groups = [...new Set(messages.map(m => m.group).filter(Boolean))];
+    const text = `${header(idx + 1, parts.length)}\n\n${partEntries.map(e => e.text).join('\n\n')}`;
+
+    return {
+      text,
+      metadata: cleanMetadata({
+        type: visibility === 'internal' ? 'internal_note' : 'conversation',
+        ticket_id: ticket.ticket_id,
+        subject: ticket.subject,
+        visibility,
+        part: idx + 1,
+        totalParts: parts.length,
+        message_start: messages[0].number,
+        message_end: messages[messages.length - 1].number,
+        message_roles: messages.map(m => m.role),
+        agent_groups: groups.length > 0 ? groups : null,
+        message_timestamps: timestamps.length === messages.length ? timestamps : null,
+        first_message_at: timestamps[0],
+        last_message_at: timestamps[timestamps.length - 1],
+        tokens: countTokens(text),
+        brand: ticket.brand || 'default',
+        brand_id: ticket.brand_id
+      })
+    };
+  });
+}
+
+// Sentence ends ([.!?] after a word, before whitespace) and line breaks - dots in URLs, versions or decimals are no breaks
+const SENTENCE_BREAK = /(?<=[^\s.!?][.!?]+["')\]]*\s+|\n\s*)(?=\S)/;
+
+/**
+ * Units for pieces cut out of one text: the whitespace at each cut becomes
+ * the separator in front of the next unit, so joining separator + text of
+ * every unit gives back the text
+ */
+function toUnits(pieces, separator = '') {
+  const units = [];
+  let pending = separator;
+
+  for (const piece of pieces) {
+    const text = piece.trim();
+    if (!text) {
+      pending += piece;
+      continue;
+    }
+    const start = piece.indexOf(text);
+    units.push({ text, separator: pending + piece.slice(0, start) });
+    pending = piece.slice(start + text.length);
+  }
+  return units;
+}
+
+/**
+ * Split a paragraph that is too long at sentence ends (and line breaks),
+ * then at spaces; only text without any break is cut at maxSize
+ * @returns {object[]} Units ({ text, separator }) that keep the original text between them
+ */
+export function splitLongParagraph(paragraph, maxSize) {
+  const pieces = [];
+
+  for (const sentence of paragraph.split(SENTENCE_BREAK)) {
+    let rest = sentence;
+    while (rest.trim().length > maxSize) {
+      const cut = rest.lastIndexOf(' ', maxSize);
+      const end = cut > maxSize / 2 ? cut : maxSize;
+      pieces.push(rest.slice(0, end));
+      rest = rest.slice(end);
+    }
+    pieces.push(rest);
+  }
+
+  return toUnits(pieces);
+}
+
+/**
+ * Last ~overlap characters of a piece, starting at a word
+ */
+function overlapTail(piece, overlap) {
+  if (overlap <= 0) return '';
+  const tail = piece.slice(-overlap);
+  const wordStart = tail.indexOf(' ');
+  return wordStart >= 0 && tail.length === overlap ? tail.slice(wordStart + 1) : tail;
+}
+
+/**
+ * Pack paragraphs into pieces of at most maxSize characters
+ * Paragraphs longer than maxSize are split at sentences, then at words.
+ * With overlap, every piece after the first starts with the last ~overlap
+ * characters of the previous one, so text at a boundary is in both pieces.
+ */
+function packParagraphs(text, maxSize = MAX_CHUNK_SIZE, overlap = 0) {
+  // Leave room for the overlap (and its space) carried into the next piece
+  const unitSize = overlap > 0 ? Math.max(maxSize - overlap - 1, 1) : maxSize;
+  const units = [];
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    const parts = paragraph.length <= unitSize ? [{ text: paragraph }] : splitLongParagraph(paragraph, unitSize);
+    parts.forEach((part, idx) => units.push({ text: part.text, separator: idx === 0 ? '\n\n' : part.separator }));
+  }
+
+  const pieces = [];
+  let current = '';
+
+  for (const { text: unit, separator } of units) {
+    if (current && current.length + separator.length + unit.length > maxSize) {
+      pieces.push(current);
+      const tail = overlapTail(current, overlap);
+      current = tail ? `${tail} ${unit}` : unit;
+    } else {
+      current = current ? `${current}${separator}${unit}` : unit;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Chunk a knowledge base article by heading
+ * Every heading section becomes one chunk (long sections are split at
+ * paragraphs), prefixed with the article title and heading path.
+ * @param {object} article - { id, title, body (HTML), url, section, section_id, locale, updated_at, labels }
+ * @returns {object[]} Chunks ({ text, metadata })
+ */
+export function chunkArticle(article) {
+  const chunks = [];
+  const sections = splitHtmlByHeadings(article.body || '');
+
+  for (const section of sections) {
+    const header = section.headingPath ? `${article.title} > ${section.headingPath}` : article.title;
+    const pieces = packParagraphs(section.text, MAX_CHUNK_SIZE - header.length - 2);
+
+    pieces.forEach((piece, idx) => {
+      chunks.push({
+        text: `${header}\n\n${piece}`,
+        metadata: cleanMetadata({
+          type: 'article',
+          article_id: article.id,
+          title: article.title,
+          heading: section.headingPath,
+          part: pieces.length > 1 ? idx + 1 : null,
+          url: article.url,
+          section: article.section,
+          section_id: article.section_id,
+          locale: article.locale,
+          updated_at: article.updated_at,
+          labels: article.labels?.join(', '),
+          brand: article.brand
+        })
+      });
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk an extracted document (PDF, DOCX, HTML, markdown, text) by section
+ * Sections are split at paragraphs, then sentences, into pieces of about
+ * options.size characters that overlap by options.overlap characters.
+ * Like articles, chunks are prefixed with the document title and heading
+ * path. Heading, page, position and file name are kept in the metadata for citations.
+ * @param {object} document - { title, format, sections } (see services/documentExtractors.js)
+ * @param {string} fileName - Uploaded file name
+ * @param {object} options - { size, overlap } (see DOCUMENT_CHUNKING)
+ * @returns {object[]} Chunks ({ text, metadata })
+ */
+export function chunkDocument(document, fileName, options = DOCUMENT_CHUNKING) {
+  const chunks = [];
+
+  document.sections.forEach((section, sectionIdx) => {
+    // Documents titled by their first heading would repeat it ("Runbook > Runbook")
+    const repeatsTitle = section.headingPath === document.title || section.headingPath?.startsWith(`${document.title} > `);
+    const header = !section.headingPath ? document.title
+      : repeatsTitle ? section.headingPath
+      : `${document.title} > ${section.headingPath}`;
+    const pieceSize = Math.max(options.size - header.length - 2, Math.floor(options.size / 2));
+    const pieces = packParagraphs(section.text, pieceSize, options.overlap);
+
+    pieces.forEach((piece, idx) => {
+      chunks.push({
+        text: `${header}\n\n${piece}`,
+        metadata: cleanMetadata({
+          type: 'document',
+          title: document.title,
+          heading: section.headingPath,
+          page: section.page,
+          section_index: sectionIdx + 1,
+          part: pieces.length > 1 ? idx + 1 : null,
+          position: chunks.length + 1,
+          format: document.format,
+          file_name: fileName
+        })
+      });
+    });
+  });
+
+  return chunks;
+}
+
+// Macro action fields that aren't ticket field changes
+const MACRO_COMMENT_FIELDS = ['comment_value', 'comment_value_html', 'comment_mode_is_public'];
+
+/**
+ * Read a macro's actions: the comment it adds and the ticket fields it changes
+ * @param {object[]} actions - Zendesk macro actions ([{ field, value }])
+ * @param {object} fieldsMap - Ticket fields by ID (see fetchFormFields), for custom field names
+ * @returns {object} { comment, isPublic, fieldChanges: ["status → solved", ...] }
+ */
+export function parseMacroActions(actions = [], fieldsMap = null) {
+  let comment = '';
+  let isPublic = true;
+  const fieldChanges = [];
+
+  for (const { field, value } of actions) {
+    // Comment values are either the text or [channel, text]
+    const text = Array.isArray(value) ? value[value.length - 1] : value;
+
+    if (field === 'comment_value_html') {
+      comment = htmlToText(text);
+    } else if (field === 'comment_value') {
+      comment = comment || String(text || '').trim();
+    } else if (field === 'comment_mode_is_public') {
+      isPublic = String(value) !== 'false';
+    } else if (field === 'set_tags' || field === 'current_tags') {
+      fieldChanges.push(`tags + ${[].concat(value).join(' ')}`);
+    } else if (field === 'remove_tags') {
+      fieldChanges.push(`tags - ${[].concat(value).join(' ')}`);
+    } else if (field.startsWith('custom_fields_')) {
+      const fieldId = field.replace('custom_fields_', '');
+      const name = fieldsMap?.[fieldId]?.title || `Custom field ${fieldId}`;
+      fieldChanges.push(`${name} → ${[].concat(value).join(', ')}`);
+    } else if (!MACRO_COMMENT_FIELDS.includes(field)) {
+      fieldChanges.push(`${field} → ${[].concat(value).join(', ')}`);
+    }
+  }
+
+  return { comment, isPublic, fieldChanges };
+}
+
+/**
+ * Chunk a Zendesk macro as a reusable answer snippet
+ * The chunk holds the macro title, description and comment text; the field
+ * changes are kept in the metadata so a suggested macro can show what it does.
+ * Macros without comment text are not answers and give no chunks.
+ * @param {object} macro - Zendesk macro ({ id, title, description, actions, updated_at })
+ * @param {object} fieldsMap - Ticket fields by ID, for custom field names
+ * @returns {object[]} Chunks ({ text, metadata })
+ */
+export function chunkMacro(macro, fieldsMap = null) {
+  const { comment, isPublic, fieldChanges } = parseMacroActions(macro.actions, fieldsMap);
+  if (!comment) return [];
+
+  const header = [`Macro: ${macro.title}`, macro.description].filter(Boolean).join('\n');
+  const pieces = packParagraphs(comment, MAX_CHUNK_SIZE - header.length - 2);
+
+  return pieces.map((piece, idx) => ({
+    text: `${header}\n\n${piece}`,
+    metadata: cleanMetadata({
+      type: 'macro',
+      macro_id: macro.id,
+      title: macro.title,
+      part: pieces.length > 1 ? idx + 1 : null,
+      public_reply: isPublic,
+      field_changes: fieldChanges.join('; '),
+      updated_at: macro.updated_at
+    })
+  }));
+}
+
 /**
  * Extract tickets from various JSON formats
  * @param {object|array} jsonData - JSON data to extract from
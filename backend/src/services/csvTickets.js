@@ -0,0 +1,237 @@
+import { parse } from "csv-parse/sync";
+
+/**
+ * CSV ticket exports (Zendesk and other helpdesks)
+ * Rows are mapped to the ticket shape chunkTicketData expects. The column
+ * mapping is detected from the header row and can be overridden per upload:
+ * { ticket_id: 'Id', subject: 'Title', ..., customFields: ['Product [list]'] }
+ * Rows that fail validation are skipped and reported with their row number
+ * (the header is row 1).
+ */
+
+/**
+ * Ticket fields and the header names they are detected from (compared
+ * case-insensitively, ignoring spaces, '_' and '-')
+ */
+export const CSV_TICKET_FIELDS = {
+  ticket_id: ['ticket_id', 'id', 'ticket id', 'ticket #', 'ticket number', 'number'],
+  subject: ['subject', 'title', 'summary'],
+  description: ['description', 'body', 'first comment', 'message', 'details', 'question'],
+  conversation: ['conversation', 'comments', 'all comments', 'thread', 'messages'],
+  resolution: ['resolution', 'solution', 'answer', 'resolution notes'],
+  tags: ['tags', 'labels'],
+  status: ['status', 'state'],
+  priority: ['priority'],
+  brand: ['brand']
+};
+
+// Zendesk exports custom fields as "<title> [<type>]"
+const ZENDESK_CUSTOM_FIELD = /^(.+?)\s*\[(list|txt|int|dec|date|checkbox|regexp|textarea|tagger|multiselect|lookup)\]$/i;
+const CUSTOM_FIELD_PREFIX = /^(?:custom[ _]?fields?[.:]|cf[._])\s*(.+)$/i;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Custom field name for a column ("Product [list]" → "Product")
+ */
+function customFieldName(header) {
+  return header.match(ZENDESK_CUSTOM_FIELD)?.[1]
+    || header.match(CUSTOM_FIELD_PREFIX)?.[1]
+    || header;
+}
+
+/**
+ * Detect the column mapping from a header row
+ * @param {string[]} headers - Header row
+ * @returns {object} { ticket_id, subject, ..., customFields: [] } - unmatched fields are null
+ */
+export function detectColumnMapping(headers) {
+  const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const mapping = {};
+
+  for (const [field, aliases] of Object.entries(CSV_TICKET_FIELDS)) {
+    const alias = aliases.find(a => byNormalized.has(normalizeHeader(a)));
+    mapping[field] = alias ? byNormalized.get(normalizeHeader(alias)) : null;
+  }
+
+  mapping.customFields = headers.filter(h => ZENDESK_CUSTOM_FIELD.test(h) || CUSTOM_FIELD_PREFIX.test(h));
+  return mapping;
+}
+
+/**
+ * Check a column mapping override from a request (shape only - columns are
+ * checked against the file's headers when it is parsed)
+ * @returns {string|null} Error message
+ */
+export function validateColumnMapping(override) {
+  if (typeof override !== 'object' || Array.isArray(override)) {
+    return "columnMapping must be an object";
+  }
+
+  const allowed = [...Object.keys(CSV_TICKET_FIELDS), 'customFields'];
+  const unknown = Object.keys(override).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown columnMapping fields: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`;
+  }
+
+  if (override.customFields !== undefined && !Array.isArray(override.customFields)) {
+    return "columnMapping.customFields must be a list of column names";
+  }
+  return null;
+}
+
+/**
+ * Detected mapping with the override applied (an empty value unmaps a field)
+ */
+function resolveColumnMapping(headers, override = {}) {
+  const mapping = { ...detectColumnMapping(headers), ...override };
+  for (const field of Object.keys(CSV_TICKET_FIELDS)) {
+    mapping[field] = mapping[field] || null;
+  }
+  mapping.customFields = mapping.customFields || [];
+
+  const missing = [...Object.keys(CSV_TICKET_FIELDS).map(f => mapping[f]), ...mapping.customFields]
+    .filter(column => column && !headers.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV has no column ${missing.map(c => `'${c}'`).join(', ')} (columns: ${headers.join(', ')})`);
+  }
+
+  if (!mapping.ticket_id || (!mapping.subject && !mapping.description)) {
+    throw new Error(`Could not detect the CSV ticket columns - set columnMapping for ticket_id and subject or description (columns: ${headers.join(', ')})`);
+  }
+
+  return mapping;
+}
+
+/**
+ * Split a conversation cell into messages
+ * Accepts a JSON array ([{ author, message, public }]) or messages separated
+ * by blank lines, each optionally starting with "Author: ".
+ */
+function parseConversation(value) {
+  if (!value) return [];
+
+  if (value.trim().startsWith('[')) {
+    try {
+      const messages = JSON.parse(value);
+      if (Array.isArray(messages)) {
+        return messages
+          .map(m => typeof m === 'string'
+            ? { author: 'Unknown', message: m }
+            : { author: m.author || 'Unknown', message: m.message || m.body || '', public: m.public !== false && !m.internal })
+          .filter(m => m.message);
+      }
+    } catch {
+      // Not JSON - fall through to plain text
+    }
+  }
+
+  return value
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const match = block.match(/^([^:\n]{1,60}):\s+([\s\S]+)$/);
+      return match
+        ? { author: match[1].trim(), message: match[2].trim() }
+        : { author: 'Unknown', message: block };
+    });
+}
+
+/**
+ * Map one CSV row to a ticket
+ * @returns {object} { ticket, errors }
+ */
+function rowToTicket(values, headers, mapping) {
+  const cell = (column) => column ? (values[headers.indexOf(column)] ?? '').trim() : '';
+  const errors = [];
+
+  const ticketId = cell(mapping.ticket_id);
+  if (!ticketId) {
+    errors.push('missing ticket_id');
+  } else if (!/^[\w-]+$/.test(ticketId)) {
+    errors.push(`ticket_id '${ticketId}' may only contain letters, digits, '-' and '_'`);
+  }
+
+  const subject = cell(mapping.subject);
+  const description = cell(mapping.description);
+  if (!subject && !description) {
+    errors.push('needs a subject or description');
+  }
+
+  const customFields = {};
+  for (const column of mapping.customFields) {
+    const value = cell(column);
+    if (value) {
+      customFields[customFieldName(column)] = value;
+    }
+  }
+
+  const tags = cell(mapping.tags);
+
+  return {
+    errors,
+    ticket: {
+      ticket_id: ticketId,
+      subject: subject || description.slice(0, 100),
+      description: description,
+      conversation: parseConversation(cell(mapping.conversation)),
+      resolution: cell(mapping.resolution) || null,
+      tags: tags ? tags.split(/[\s,;]+/).filter(Boolean) : [],
+      status: cell(mapping.status) || null,
+      priority: cell(mapping.priority) || null,
+      brand: cell(mapping.brand) || null,
+      custom_fields: customFields
+    }
+  };
+}
+
+/**
+ * Parse a CSV ticket export
+ * @param {string} content - CSV text
+ * @param {object} columnMapping - Optional override of the detected mapping
+ * @returns {object} { tickets, columnMapping, headers, rowCount, rowErrors: [{ row, ticketId, errors }] }
+ */
+export function parseTicketCsv(content, columnMapping = null) {
+  let records;
+  try {
+    records = parse(content, { bom: true, skip_empty_lines: true, relax_column_count: true, info: true });
+  } catch (err) {
+    throw new Error(`Invalid CSV file: ${err.message}`);
+  }
+
+  if (records.length < 2) {
+    throw new Error('Invalid CSV file: needs a header row and at least one ticket row');
+  }
+
+  const headers = records[0].record.map(h => h.trim());
+  const mapping = resolveColumnMapping(headers, columnMapping || {});
+
+  const tickets = [];
+  const rowErrors = [];
+  const firstRowById = new Map();
+
+  records.slice(1).forEach(({ record: values }, idx) => {
+    const row = idx + 2;
+    const { ticket, errors } = rowToTicket(values, headers, mapping);
+
+    if (values.length !== headers.length) {
+      errors.push(`has ${values.length} columns, expected ${headers.length}`);
+    }
+    if (ticket.ticket_id && firstRowById.has(ticket.ticket_id)) {
+      errors.push(`duplicate ticket_id (first seen on row ${firstRowById.get(ticket.ticket_id)})`);
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, ticketId: ticket.ticket_id || null, errors });
+      return;
+    }
+
+    firstRowById.set(ticket.ticket_id, row);
+    tickets.push(ticket);
+  });
+
+  return { tickets, columnMapping: mapping, headers, rowCount: records.length - 1, rowErrors };
+}
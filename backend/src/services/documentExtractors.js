@@ -0,0 +1,229 @@
+import fs from "fs";
+import path from "path";
+import mammoth from "mammoth";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { splitHtmlByHeadings, htmlToText } from "../utils/html.js";
+import { splitMarkdownByHeadings } from "../utils/markdown.js";
+
+/**
+ * Extractors for PDF, DOCX, HTML, markdown and text documents
+ * Every extractor returns the same shape, which chunkDocument turns into chunks:
+ * { title, format, sections: [{ heading, headingPath, level, page, text }] }
+ * page is only set for PDFs (the other formats have no fixed pages).
+ */
+
+export const DOCUMENT_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+/**
+ * Document format of an uploaded file, or null for other files
+ */
+export function getDocumentFormat(mimetype, originalName) {
+  const byExtension = DOCUMENT_FORMATS[path.extname(originalName || '').toLowerCase()];
+  if (byExtension) return byExtension;
+
+  if (mimetype === 'application/pdf') return 'pdf';
+  if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+  if (mimetype === 'text/html') return 'html';
+  return null;
+}
+
+function titleFromFileName(originalName) {
+  return path.basename(originalName || 'Untitled', path.extname(originalName || ''));
+}
+
+/**
+ * Extract an HTML page: <head>, navigation and footers are dropped, the rest
+ * is split at its headings (tables become "cell | cell" rows)
+ */
+export function extractHtml(html, originalName) {
+  const title = htmlToText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+  const body = html.replace(/<(head|nav|footer)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  return {
+    title: title || titleFromFileName(originalName),
+    format: 'html',
+    sections: splitHtmlByHeadings(body).map(section => ({ ...section, page: null }))
+  };
+}
+
+/**
+ * Extract a markdown or plain text file, split at its markdown headings
+ * rawText is kept so vectors of the old single-chunk text import can be found.
+ * @param {string} format - 'markdown' or 'text'
+ */
+export function extractTextDocument(text, format, originalName) {
+  const sections = splitMarkdownByHeadings(text).map(section => ({ ...section, page: null }));
+  const firstHeading = sections.find(section => section.level === 1)?.heading;
+
+  return {
+    title: firstHeading || titleFromFileName(originalName),
+    format,
+    sections,
+    rawText: text
+  };
+}
+
+/**
+ * Extract a Word document: converted to HTML (Heading 1-4 styles become
+ * h1-h4, tables stay tables), then split like an HTML page
+ */
+export async function extractDocx(filePath, originalName) {
+  const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+  for (const message of messages.filter(m => m.type === 'error')) {
+    console.warn(`   ⚠️ DOCX: ${message.message}`);
+  }
+
+  const sections = splitHtmlByHeadings(html).map(section => ({ ...section, page: null }));
+  const firstHeading = sections.find(section => section.level === 1)?.heading;
+
+  return {
+    title: firstHeading || titleFromFileName(originalName),
+    format: 'docx',
+    sections
+  };
+}
+
+/**
+ * Group a page's text items into lines
+ * Items far apart on the same line are table cells and are joined with " | ".
+ * @returns {object[]} [{ text, size, y }]
+ */
+function pdfPageLines(items) {
+  const lines = [];
+  let line = null;
+
+  for (const item of items) {
+    // Whitespace items only fill gaps - the gap itself decides between " " and " | "
+    if (!item.str.trim()) continue;
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const size = Math.abs(item.transform[3]) || item.height || 0;
+
+    if (!line || Math.abs(y - line.y) > Math.max(size, line.size) * 0.5) {
+      line = { parts: [], size, y, end: x };
+      lines.push(line);
+    }
+
+    const gap = x - line.end;
+    if (line.parts.length > 0 && gap > size * 2) {
+      line.parts.push(' | ');
+    } else if (line.parts.length > 0 && gap > size * 0.15) {
+      line.parts.push(' ');
+    }
+    line.parts.push(item.str);
+    line.size = Math.max(line.size, size);
+    line.end = x + item.width;
+  }
+
+  return lines
+    .map(({ parts, size, y }) => ({ text: parts.join('').replace(/\s+/g, ' ').trim(), size, y }))
+    .filter(l => l.text);
+}
+
+/**
+ * Most common font size, weighted by text length (the body text size)
+ */
+function bodyFontSize(lines) {
+  const weights = new Map();
+  for (const { size, text } of lines) {
+    const key = Math.round(size * 2) / 2;
+    weights.set(key, (weights.get(key) || 0) + text.length);
+  }
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+}
+
+/**
+ * Extract a PDF page by page
+ * PDFs have no heading markup, so short lines set clearly larger than the
+ * body text are treated as headings (the largest size is level 1).
+ * A section never spans pages, so every chunk can cite its page.
+ */
+export async function extractPdf(filePath, originalName) {
+  const data = new Uint8Array(fs.readFileSync(filePath));
+  const pdf = await getDocument({ data, isEvalSupported: false, useSystemFonts: true, verbosity: 0 }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(pdfPageLines(content.items));
+      page.cleanup();
+    }
+
+    const allLines = pages.flat();
+    const bodySize = bodyFontSize(allLines);
+    const headingSizes = [...new Set(allLines
+      .filter(l => l.size >= bodySize * 1.2 && l.text.length <= 120)
+      .map(l => Math.round(l.size * 2) / 2))]
+      .sort((a, b) => b - a)
+      .slice(0, 4);
+    const headingLevel = (line) => line.text.length <= 120
+      ? headingSizes.indexOf(Math.round(line.size * 2) / 2) + 1
+      : 0;
+
+    const sections = [];
+    const stack = [];
+    pages.forEach((lines, idx) => {
+      let current = null;
+      let previous = null;
+
+      const startSection = () => {
+        current = {
+          heading: stack[stack.length - 1]?.heading || null,
+          headingPath: stack.map(h => h.heading).join(' > '),
+          level: stack[stack.length - 1]?.level || 0,
+          page: idx + 1,
+          text: ''
+        };
+        sections.push(current);
+      };
+
+      for (const line of lines) {
+        const level = headingLevel(line);
+        if (level > 0) {
+          while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+            stack.pop();
+          }
+          stack.push({ heading: line.text, level });
+          startSection();
+          previous = line;
+          continue;
+        }
+
+        if (!current) startSection();
+
+        // Wrapped lines are joined; a gap of more than ~1.5 lines starts a
+        // new paragraph and table rows stay on their own lines
+        const isTableRow = line.text.includes(' | ');
+        let separator = ' ';
+        if (!current.text) {
+          separator = '';
+        } else if (previous && Math.abs(previous.y - line.y) > line.size * 1.8) {
+          separator = '\n\n';
+        } else if (isTableRow || previous?.isTableRow) {
+          separator = '\n';
+        }
+        current.text += separator + line.text;
+        previous = { ...line, isTableRow };
+      }
+    });
+
+    const info = (await pdf.getMetadata().catch(() => null))?.info;
+
+    return {
+      title: info?.Title?.trim() || titleFromFileName(originalName),
+      format: 'pdf',
+      pages: pdf.numPages,
+      sections: sections.filter(section => section.text)
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -1,83 +1,103 @@
-import axios from "axios";
 import dotenv from "dotenv";
+import { createHash } from "crypto";
+import { getEmbeddingProvider } from "../config/embedding.js";
+import { countTokens, truncateToTokens } from "../utils/tokens.js";
+import { getCachedEmbedding, cacheEmbedding } from "./embeddingCache.js";
 
 dotenv.config();
 
-// Rate limiting configuration for OpenAI
+// OpenAI's input limit is 8192 tokens - chunkers stay well below it, this
+// only guards against oversized input (longer texts are truncated)
+export const MAX_EMBEDDING_TOKENS = 8000;
+
+// Retry configuration for embedding requests
 const RATE_LIMIT = {
-  requestsPerMinute: 3500,
-  delayBetweenRequests: 20,
   maxRetries: 5,
   baseRetryDelay: 1000
 };
 
-// Simple in-memory cache to avoid re-embedding identical text
-const embeddingCache = new Map();
+/**
+ * Batched embedding requests
+ * Batches hold up to the provider's maxInputs inputs (2048 for OpenAI) and
+ * are cut at maxBatchTokens. All requests share one tokens-per-minute budget
+ * (EMBEDDING_TOKENS_PER_MINUTE, your OpenAI tier's TPM limit).
+ */
+export const EMBEDDING_BATCH = {
+  maxBatchTokens: parseInt(process.env.EMBEDDING_BATCH_TOKENS || "50000"),
+  tokensPerMinute: parseInt(process.env.EMBEDDING_TOKENS_PER_MINUTE || "1000000")
+};
+
+/**
+ * Cache key of a text: the same text embedded by another provider, model or
+ * at another size is a different entry (see services/embeddingCache.js)
+ */
+function cacheKey(text) {
+  const { name, model, dimensions } = getEmbeddingProvider();
+  return createHash('sha256')
+    .update(`${name}\n${model}\n${dimensions}\n${text}`)
+    .digest('hex');
+}
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-export async function embedText(text, useCache = true) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY not configured");
-  }
+/**
+ * Tokens sent in the last minute ([{ at, tokens }], oldest first)
+ */
+const tokenWindow = [];
+
+/**
+ * Wait until `tokens` fit into the per-minute token budget, then book them
+ * A request larger than the whole budget waits for an empty window.
+ */
+async function acquireTokens(tokens) {
+  while (true) {
+    const now = Date.now();
+    while (tokenWindow.length > 0 && now - tokenWindow[0].at >= 60000) {
+      tokenWindow.shift();
+    }
+
+    const used = tokenWindow.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (used + tokens <= EMBEDDING_BATCH.tokensPerMinute || tokenWindow.length === 0) {
+      tokenWindow.push({ at: now, tokens });
+      return;
+    }
 
-  // Truncate text to 7000 chars (~1750 tokens) to be safe
-  // OpenAI limit is 8192 tokens, but we're conservative
-  const MAX_CHARS = 7000;
-  let processText = text;
-  if (text.length > MAX_CHARS) {
-    console.log(`⚠️  Truncating long chunk from ${text.length} to ${MAX_CHARS} chars`);
-    processText = text.substring(0, MAX_CHARS) + '... [truncated]';
+    // Wait for the oldest booking to leave the window
+    await sleep(60000 - (now - tokenWindow[0].at) + 10);
   }
+}
 
-  if (useCache && embeddingCache.has(processText)) {
-    console.log(`💾 Cache hit for text (${processText.substring(0, 30)}...)`);
-    return embeddingCache.get(processText);
+/**
+ * Text as it is sent to the API (longer texts are truncated) and its tokens
+ */
+function prepareInput(text) {
+  const tokens = countTokens(text);
+  if (tokens > MAX_EMBEDDING_TOKENS) {
+    console.log(`⚠️  Truncating long chunk from ${tokens} to ${MAX_EMBEDDING_TOKENS} tokens`);
+    return { text: truncateToTokens(text, MAX_EMBEDDING_TOKENS), tokens: MAX_EMBEDDING_TOKENS };
   }
+  return { text, tokens };
+}
 
-  const endpoint = `https://api.openai.com/v1/embeddings`;
-  
+/**
+ * One embeddings request for one or more inputs, with retries for rate
+ * limits, server errors, network errors and timeouts
+ * @param {string[]} inputs - Prepared texts
+ * @param {number} tokens - Their total tokens (booked once with the rate limiter, not per retry)
+ * @returns {Promise<number[][]>} Embeddings in input order
+ */
+async function requestEmbeddings(inputs, tokens) {
+  const provider = getEmbeddingProvider();
   let lastError = null;
-  
+
+  await acquireTokens(tokens);
+
   for (let attempt = 0; attempt < RATE_LIMIT.maxRetries; attempt++) {
+    let embeddings;
     try {
-      // Add delay between requests to respect rate limits
-      if (attempt > 0 || embeddingCache.size > 0) {
-        await sleep(RATE_LIMIT.delayBetweenRequests);
-      }
-      
-      const response = await axios.post(
-        endpoint,
-        {
-          model: "text-embedding-3-large",
-          input: processText,
-          encoding_format: "float"
-        },
-        {
-          headers: {
-            "Authorization": `Bearer ${apiKey}`,
-            "Content-Type": "application/json"
-          },
-          timeout: 60000
-        }
-      );
-
-      if (response.data && response.data.data && response.data.data[0]?.embedding) {
-        const embedding = response.data.data[0].embedding;
-        
-        // Cache the result (use processText as key)
-        if (useCache) {
-          embeddingCache.set(processText, embedding);
-        }
-        
-        return embedding;
-      }
-
-      throw new Error("No embedding values in response");
-      
+      embeddings = await provider.embed(inputs);
     } catch (error) {
       lastError = error;
       
@@ -103,9 +123,11 @@ export async function embedText(text, useCache = true) {
       // Handle 404 errors
       if (error.response?.status === 404) {
         console.error(`❌ 404 Error - Model not found`);
-        console.error(`   Endpoint: ${endpoint}`);
+        console.error(`   Provider: ${provider.name} (${provider.model})`);
         console.error(`   Response:`, error.response?.data);
-        throw new Error(`Model not available. The API returned: ${error.response?.data?.error?.message || 'Model not found'}`);
+        const notFound = new Error(`Model not available. The API returned: ${error.response?.data?.error?.message || 'Model not found'}`);
+        notFound.status = 404;
+        throw notFound;
       }
       
       // Handle server errors (500, 503) with exponential backoff
@@ -134,144 +156,200 @@ export async function embedText(text, useCache = true) {
       
       // For other errors, fail immediately
       console.error(`❌ Unrecoverable error: ${error.message}`);
+      error.status = error.status || error.response?.status;
       throw error;
     }
+
+    // Vectors of another size can't go into the index - not worth retrying
+    const wrongSize = embeddings.find(embedding => embedding.length !== provider.dimensions);
+    if (wrongSize) {
+      const mismatch = new Error(`Embedding provider ${provider.name} (${provider.model}) returned ${wrongSize.length} dimensions, expected ${provider.dimensions}`);
+      mismatch.code = 'EMBEDDING_DIMENSION_MISMATCH';
+      throw mismatch;
+    }
+    return embeddings;
   }
 
-  throw new Error(
+  const exhausted = new Error(
     `Failed to generate embedding after ${RATE_LIMIT.maxRetries} attempts: ${lastError?.message || 'Unknown error'}`
   );
+  exhausted.status = lastError?.response?.status;
+  throw exhausted;
+}
+
+/**
+ * Whether the API rejected a request for its input (too large or invalid) -
+ * only then can a smaller batch succeed
+ */
+function isInputError(error) {
+  const message = `${error.message} ${error.response?.data?.error?.message || ''}`;
+  return [400, 413].includes(error.status) || /maximum context length|too many tokens|token limit/i.test(message);
+}
+
+export async function embedText(text, useCache = true) {
+  const input = prepareInput(text);
+
+  const cached = useCache ? getCachedEmbedding(cacheKey(input.text)) : null;
+  if (cached) {
+    console.log(`💾 Cache hit for text (${input.text.substring(0, 30)}...)`);
+    return cached;
+  }
+
+  const [embedding] = await requestEmbeddings([input.text], input.tokens);
+
+  // Cache the result (use the sent text as key)
+  if (useCache) {
+    cacheEmbedding(cacheKey(input.text), embedding);
+  }
+
+  return embedding;
 }
 
 /**
- * Generate embeddings for multiple texts in batch with intelligent rate limiting
- * Uses OpenAI's text-embedding-3-small (fast and cheap)
+ * Split inputs into request batches of at most maxInputs inputs and
+ * maxBatchTokens tokens
+ * @param {object[]} inputs - [{ text, tokens, ... }]
+ */
+function planBatches(inputs) {
+  const { maxInputs } = getEmbeddingProvider();
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const input of inputs) {
+    if (current.length > 0 && (current.length >= maxInputs || currentTokens + input.tokens > EMBEDDING_BATCH.maxBatchTokens)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(input);
+    currentTokens += input.tokens;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * Embed one batch; when the API rejects its input (400, 413 or a token
+ * limit), the batch is split in half and each half is retried, down to
+ * single inputs (so one bad input only fails itself). Other errors - rate
+ * limits and outages after their retries, auth, missing model, dimensions -
+ * fail right away.
+ * @param {object[]} batch - [{ text, tokens }]
+ * @returns {Promise<number[][]>} Embeddings in batch order
+ */
+async function embedBatch(batch) {
+  const tokens = batch.reduce((sum, input) => sum + input.tokens, 0);
+
+  try {
+    return await requestEmbeddings(batch.map(input => input.text), tokens);
+  } catch (error) {
+    if (batch.length === 1 || !isInputError(error)) {
+      throw error;
+    }
+
+    const middle = Math.ceil(batch.length / 2);
+    console.warn(`⚠️ Embedding batch of ${batch.length} failed, retrying as ${middle} + ${batch.length - middle}...`);
+    const first = await embedBatch(batch.slice(0, middle));
+    const second = await embedBatch(batch.slice(middle));
+    return [...first, ...second];
+  }
+}
+
+/**
+ * Generate embeddings for multiple texts with batched requests
+ * Cached and duplicate texts are not sent again. Requests are paced by the
+ * shared tokens-per-minute limiter instead of fixed pauses.
  * @param {string[]} texts - Array of texts to embed
  * @param {object} options - Options for batch processing
- * @param {number} options.batchSize - Number of texts to process before a longer pause (default: 50 for OpenAI)
- * @param {number} options.batchDelay - Delay in ms between batches (default: 5000ms = 5 seconds for OpenAI)
+ * @param {number} options.concurrency - Requests in flight at once (default: 1)
  * @param {function} options.onProgress - Callback for progress updates (progress, total)
- * @returns {Promise<number[][]>} Array of embedding vectors (each 1536 dimensions)
+ * @returns {Promise<number[][]>} Array of embedding vectors, in text order
  */
 export async function embedTextBatch(texts, options = {}) {
   const {
-    batchSize = 50,
-    batchDelay = 5000,
+    concurrency = 1,
     onProgress = null
   } = options;
   
-  const embeddings = [];
   const totalTexts = texts.length;
-  
+  const embeddings = new Array(totalTexts);
+  let done = 0;
+
+  const progress = (count) => {
+    const before = done;
+    done += count;
+    if (onProgress && count > 0) {
+      onProgress(done, totalTexts);
+    }
+    // Log progress every 50 items
+    if (Math.floor(done / 50) > Math.floor(before / 50)) {
+      console.log(`✓ Processed ${done}/${totalTexts} embeddings (${Math.round(done / totalTexts * 100)}%)`);
+    }
+  };
+
+  // Cached texts are filled in right away; identical texts are sent once
+  const pending = new Map();
+  let cached = 0;
+  texts.forEach((text, idx) => {
+    const input = prepareInput(text);
+    const cachedEmbedding = pending.has(input.text) ? null : getCachedEmbedding(cacheKey(input.text));
+    if (cachedEmbedding) {
+      embeddings[idx] = cachedEmbedding;
+      cached++;
+    } else if (pending.has(input.text)) {
+      pending.get(input.text).indexes.push(idx);
+    } else {
+      pending.set(input.text, { ...input, indexes: [idx] });
+    }
+  });
+  progress(cached);
+
+  const batches = planBatches([...pending.values()]);
   console.log(`🔄 Starting batch embedding for ${totalTexts} texts...`);
-  console.log(`📊 Settings: ${batchSize} per batch, ${batchDelay}ms delay between batches`);
-  
-  for (let i = 0; i < totalTexts; i++) {
-    const text = texts[i];
-    
-    try {
-      const embedding = await embedText(text, true);
-      embeddings.push(embedding);
-      
-      // Progress callback
-      if (onProgress) {
-        onProgress(i + 1, totalTexts);
-      }
-      
-      // Log progress every 50 items
-      if ((i + 1) % 50 === 0) {
-        console.log(`✓ Processed ${i + 1}/${totalTexts} embeddings (${Math.round((i + 1) / totalTexts * 100)}%)`);
-      }
-      
-      // Longer pause between batches to avoid sustained rate limiting
-      if ((i + 1) % batchSize === 0 && i + 1 < totalTexts) {
-        console.log(`⏸️  Batch complete (${i + 1}/${totalTexts}). Pausing ${batchDelay}ms...`);
-        await sleep(batchDelay);
+  console.log(`📊 ${cached} cached, ${pending.size} to embed in ${batches.length} requests (≤${EMBEDDING_BATCH.maxBatchTokens} tokens each, concurrency ${concurrency})`);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const batch = batches[next++];
+      let batchEmbeddings;
+      try {
+        batchEmbeddings = await embedBatch(batch);
+      } catch (error) {
+        console.error(`❌ Failed to embed a batch of ${batch.length} texts:`, error.message);
+        console.error(`   Text preview: "${batch[0].text.substring(0, 100)}..."`);
+        throw error;
       }
-      
-    } catch (error) {
-      console.error(`❌ Failed to embed text ${i + 1}/${totalTexts}:`, error.message);
-      console.error(`   Text preview: "${text.substring(0, 100)}..."`);
-      
-      // Decide whether to fail fast or skip and continue
-      throw error; // Fail fast - you can change this to continue on error
+
+      batch.forEach((input, i) => {
+        cacheEmbedding(cacheKey(input.text), batchEmbeddings[i]);
+        for (const idx of input.indexes) {
+          embeddings[idx] = batchEmbeddings[i];
+        }
+      });
+      progress(batch.reduce((sum, input) => sum + input.indexes.length, 0));
     }
-  }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), batches.length) }, worker));
   
-  console.log(`✅ Batch embedding complete: ${embeddings.length}/${totalTexts} successful`);
-  console.log(`💾 Cache size: ${embeddingCache.size} entries`);
+  console.log(`✅ Batch embedding complete: ${done}/${totalTexts} successful`);
   
   return embeddings;
 }
 
 /**
- * Clear embedding cache
- */
-export function clearEmbeddingCache() {
-  const size = embeddingCache.size;
-  embeddingCache.clear();
-  console.log(`🗑️  Cleared ${size} cached embeddings`);
-}
-
-/**
- * Get cache statistics
- */
-export function getCacheStats() {
-  return {
-    size: embeddingCache.size,
-    estimatedMemoryMB: (embeddingCache.size * 768 * 8) / (1024 * 1024) // rough estimate
-  };
-}
-
-/**
- * Parallel batch embedding with controlled concurrency
- * WARNING: Use with caution - can quickly hit rate limits if concurrency is too high
+ * Batched embedding with several requests in flight
+ * All requests still share the tokens-per-minute budget.
  * @param {string[]} texts - Array of texts to embed
- * @param {number} concurrency - Number of parallel requests (default: 3, max recommended: 5)
+ * @param {number} concurrency - Number of parallel requests (default: 3)
  * @returns {Promise<number[][]>} Array of embedding vectors
  */
 export async function embedTextBatchParallel(texts, concurrency = 3) {
   console.log(`🚀 Starting parallel batch embedding (concurrency: ${concurrency})...`);
-  
-  const results = new Array(texts.length);
-  const chunks = [];
-  
-  // Split texts into chunks for parallel processing
-  for (let i = 0; i < texts.length; i += concurrency) {
-    chunks.push(texts.slice(i, i + concurrency));
-  }
-  
-  let processed = 0;
-  
-  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-    const chunk = chunks[chunkIndex];
-    
-    // Process chunk in parallel
-    const promises = chunk.map((text, idx) => {
-      const globalIndex = chunkIndex * concurrency + idx;
-      return embedText(text, true)
-        .then(embedding => {
-          results[globalIndex] = embedding;
-          processed++;
-          
-          if (processed % 50 === 0) {
-            console.log(`✓ Processed ${processed}/${texts.length} embeddings (${Math.round(processed / texts.length * 100)}%)`);
-          }
-        })
-        .catch(error => {
-          console.error(`❌ Failed to embed text ${globalIndex + 1}:`, error.message);
-          throw error;
-        });
-    });
-    
-    await Promise.all(promises);
-    
-    // Small delay between chunks
-    if (chunkIndex < chunks.length - 1) {
-      await sleep(200);
-    }
-  }
-  
-  console.log(`✅ Parallel embedding complete: ${results.length} embeddings`);
-  return results.filter(r => r !== undefined);
-}
\ No newline at end of file
+  return embedTextBatch(texts, { concurrency });
+}
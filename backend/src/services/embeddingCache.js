@@ -0,0 +1,180 @@
+import path from "path";
+import { open } from "lmdb";
+
+/**
+ * Persistent embedding cache (LMDB database in DATA_DIR/embedding-cache)
+ * Keys are built by the caller (services/embedding.js hashes the model,
+ * dimensions and text); values are float32 vectors. Last-use times live in
+ * a separate table, so eviction can find the least recently used entries
+ * without reading any vectors. Hit/miss counters are kept since the server
+ * started.
+ */
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const CACHE_PATH = path.join(DATA_DIR, 'embedding-cache');
+const MAX_SIZE_MB = parseInt(process.env.EMBEDDING_CACHE_MAX_MB || "1024");
+
+// Last-use times are only rewritten when older than this (hits stay read-only)
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Eviction trims the cache to this share of its limit, so it doesn't run on every write
+const EVICTION_TARGET = 0.9;
+
+// Writes between size checks
+const SIZE_CHECK_INTERVAL = 500;
+
+let cache = null;
+// Writes not committed yet (LMDB reads only see committed data)
+const pendingWrites = new Map();
+const counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+let writesSinceSizeCheck = 0;
+
+function getCache() {
+  if (!cache) {
+    const root = open({ path: CACHE_PATH, compression: false });
+    cache = {
+      root,
+      vectors: root.openDB({ name: 'vectors', encoding: 'binary' }),
+      lastUsed: root.openDB({ name: 'last-used' })
+    };
+  }
+  return cache;
+}
+
+/**
+ * Bytes used by the cache's tables
+ */
+function cacheSizeBytes() {
+  const { vectors, lastUsed } = getCache();
+  return [vectors, lastUsed].reduce((sum, db) => {
+    const stats = db.getStats();
+    return sum + (stats.treeBranchPageCount + stats.treeLeafPageCount + stats.overflowPages) * stats.pageSize;
+  }, 0);
+}
+
+/**
+ * Cached embedding for a key, or null
+ */
+export function getCachedEmbedding(key) {
+  if (pendingWrites.has(key)) {
+    counters.hits++;
+    return pendingWrites.get(key);
+  }
+
+  const { vectors, lastUsed } = getCache();
+  const buffer = vectors.get(key);
+
+  if (!buffer) {
+    counters.misses++;
+    return null;
+  }
+
+  counters.hits++;
+  if (Date.now() - (lastUsed.get(key) || 0) > TOUCH_INTERVAL_MS) {
+    lastUsed.put(key, Date.now());
+  }
+  // Copied, since LMDB buffers need not be 4-byte aligned
+  return Array.from(new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)));
+}
+
+/**
+ * Store an embedding (written in the background; the size limit is checked
+ * every SIZE_CHECK_INTERVAL writes)
+ */
+export function cacheEmbedding(key, embedding) {
+  const { vectors, lastUsed } = getCache();
+  pendingWrites.set(key, embedding);
+  vectors.put(key, Buffer.from(new Float32Array(embedding).buffer))
+    .catch(err => console.warn(`⚠️ Embedding cache write failed:`, err.message))
+    .finally(() => pendingWrites.delete(key));
+  lastUsed.put(key, Date.now());
+  counters.writes++;
+
+  if (++writesSinceSizeCheck >= SIZE_CHECK_INTERVAL) {
+    writesSinceSizeCheck = 0;
+    getCache().root.flushed
+      .then(() => {
+        if (cacheSizeBytes() > MAX_SIZE_MB * 1024 * 1024) {
+          return pruneEmbeddingCache({ maxSizeMB: MAX_SIZE_MB * EVICTION_TARGET });
+        }
+      })
+      .catch(err => console.warn(`⚠️ Embedding cache eviction failed:`, err.message));
+  }
+}
+
+/**
+ * Remove entries: those unused for olderThanDays, then the least recently
+ * used ones until the cache is below maxSizeMB
+ * @param {object} options - { maxSizeMB, olderThanDays } (both optional)
+ * @returns {Promise<object>} { removed, entries, sizeMB }
+ */
+export async function pruneEmbeddingCache({ maxSizeMB = null, olderThanDays = null } = {}) {
+  const { root, vectors, lastUsed } = getCache();
+  await root.flushed;
+
+  const entries = [...lastUsed.getRange()].map(({ key, value }) => ({ key, usedAt: value }));
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+
+  const toRemove = [];
+  if (olderThanDays !== null) {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    toRemove.push(...entries.filter(entry => entry.usedAt < cutoff));
+  }
+
+  if (maxSizeMB !== null) {
+    const sizeBytes = cacheSizeBytes();
+    const bytesPerEntry = entries.length ? sizeBytes / entries.length : 0;
+    const excess = Math.ceil((sizeBytes - maxSizeMB * 1024 * 1024) / Math.max(bytesPerEntry, 1));
+    const more = Math.max(excess - toRemove.length, 0);
+    toRemove.push(...entries.slice(toRemove.length, toRemove.length + more));
+  }
+
+  await root.transaction(() => {
+    for (const { key } of toRemove) {
+      vectors.remove(key);
+      lastUsed.remove(key);
+    }
+  });
+  counters.evictions += toRemove.length;
+
+  if (toRemove.length > 0) {
+    console.log(`🧹 Removed ${toRemove.length} cached embeddings`);
+  }
+
+  return {
+    removed: toRemove.length,
+    entries: vectors.getStats().entryCount,
+    sizeMB: Math.round(cacheSizeBytes() / (1024 * 1024) * 10) / 10
+  };
+}
+
+/**
+ * Remove every cached embedding
+ * @returns {Promise<number>} Entries removed
+ */
+export async function clearEmbeddingCache() {
+  const { vectors, lastUsed } = getCache();
+  const entries = vectors.getStats().entryCount;
+
+  pendingWrites.clear();
+  await vectors.clearAsync();
+  await lastUsed.clearAsync();
+  console.log(`🗑️  Cleared ${entries} cached embeddings`);
+  return entries;
+}
+
+/**
+ * Cache size and counters (since the server started)
+ */
+export function getEmbeddingCacheStats() {
+  const { vectors } = getCache();
+  const lookups = counters.hits + counters.misses;
+
+  return {
+    path: CACHE_PATH,
+    entries: vectors.getStats().entryCount,
+    sizeMB: Math.round(cacheSizeBytes() / (1024 * 1024) * 10) / 10,
+    maxSizeMB: MAX_SIZE_MB,
+    ...counters,
+    hitRate: lookups ? Math.round(counters.hits / lookups * 1000) / 1000 : null
+  };
+}
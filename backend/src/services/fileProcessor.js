@@ -1,19 +1,36 @@
 import fs from "fs";
+import { getDocumentFormat, extractPdf, extractDocx, extractHtml, extractTextDocument } from "./documentExtractors.js";
+import { parseTicketCsv } from "./csvTickets.js";
+
+// Documents are parsed, not read into one string, so they may be as large as multer allows
+const MAX_TEXT_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
 
 /**
  * Extract text or data from uploaded file
  * @param {string} filePath - Path to uploaded file
  * @param {string} mimetype - MIME type of file
  * @param {string} originalName - Original filename
+ * @param {object} options - { columnMapping } for CSV ticket exports
  * @returns {Promise<{type: string, data: any}>} Extracted data
+ * type is 'tickets' (JSON or CSV) or 'document' (PDF, DOCX, HTML, markdown and text - see documentExtractors.js).
+ * CSV results also have csv: { columnMapping, headers, rowCount, rowErrors }.
  */
-export async function extractTextFromFile(filePath, mimetype, originalName) {
+export async function extractTextFromFile(filePath, mimetype, originalName, options = {}) {
   console.log(`🔍 Reading file: ${filePath}`);
   
   const stats = fs.statSync(filePath);
   console.log(`📄 File size: ${stats.size} bytes`);
   
-  if (stats.size > 5 * 1024 * 1024) {
+  const documentFormat = getDocumentFormat(mimetype, originalName);
+  if (documentFormat) {
+    if (stats.size > MAX_DOCUMENT_SIZE) {
+      throw new Error('File too large. Maximum size is 10MB.');
+    }
+    return { type: 'document', data: await extractDocument(filePath, documentFormat, originalName) };
+  }
+
+  if (stats.size > MAX_TEXT_FILE_SIZE) {
     throw new Error('File too large. Maximum size is 5MB.');
   }
   
@@ -33,13 +50,56 @@ export async function extractTextFromFile(filePath, mimetype, originalName) {
     }
   }
   
-  // Handle text files
-  if (mimetype === 'text/plain' || mimetype === 'text/markdown' || mimetype === 'text/csv') {
-    return { type: 'text', data: fileContent.slice(0, 10000) };
+  // Handle CSV files (ticket exports)
+  if (mimetype === 'text/csv' || originalName.toLowerCase().endsWith('.csv')) {
+    console.log(`🔄 Parsing CSV file as ticket data...`);
+    const { tickets, ...csv } = parseTicketCsv(fileContent, options.columnMapping);
+    console.log(`✓ CSV parsed: ${tickets.length}/${csv.rowCount} rows valid`);
+
+    if (tickets.length === 0) {
+      const firstErrors = csv.rowErrors.slice(0, 3).map(e => `row ${e.row}: ${e.errors.join(', ')}`).join('; ');
+      throw new Error(`No valid ticket rows in CSV file (${firstErrors})`);
+    }
+    return { type: 'tickets', data: tickets, csv };
   }
-  
-  // Default to text
-  return { type: 'text', data: fileContent.slice(0, 10000) };
+
+  // Handle text and markdown files (and anything else) as documents split at markdown headings
+  const format = mimetype === 'text/markdown' || /\.(md|markdown)$/i.test(originalName) ? 'markdown' : 'text';
+  const document = extractTextDocument(fileContent, format, originalName);
+  if (document.sections.length === 0) {
+    throw new Error('No text found in file');
+  }
+
+  console.log(`✓ "${document.title}": ${document.sections.length} sections, ${fileContent.length} characters`);
+  return { type: 'document', data: document };
+}
+
+/**
+ * Extract a PDF, DOCX or HTML document into heading sections
+ */
+async function extractDocument(filePath, format, originalName) {
+  console.log(`🔄 Extracting ${format.toUpperCase()} document...`);
+
+  let document;
+  try {
+    if (format === 'pdf') {
+      document = await extractPdf(filePath, originalName);
+    } else if (format === 'docx') {
+      document = await extractDocx(filePath, originalName);
+    } else {
+      document = extractHtml(fs.readFileSync(filePath, 'utf8'), originalName);
+    }
+  } catch (err) {
+    console.error(`❌ Failed to read ${format.toUpperCase()}:`, err.message);
+    throw new Error(`Could not read ${format.toUpperCase()} file: ${err.message}`);
+  }
+
+  if (document.sections.length === 0) {
+    throw new Error(`No text found in ${format.toUpperCase()} file (scanned documents need OCR first)`);
+  }
+
+  console.log(`✓ "${document.title}": ${document.sections.length} sections${document.pages ? `, ${document.pages} pages` : ''}`);
+  return document;
 }
 
 /**
@@ -0,0 +1,138 @@
+import { readStore, writeStore } from "./localStore.js";
+import { createRedactionStats, mergeRedactionStats } from "./redaction.js";
+import { createQualityStats, mergeQualityStats } from "./ticketQuality.js";
+import { createResolutionStats, mergeResolutionStats } from "./resolutionExtraction.js";
+
+/**
+ * Import checkpoints
+ * Long imports save their progress after every ticket batch, so a run that
+ * dies halfway (rate limit, crash, restart) can be resumed from the last
+ * completed ticket instead of starting over.
+ * One store per import: data/checkpoints/<importId>.json
+ */
+export const CHECKPOINT_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed"
+};
+
+function checkpointStore(importId) {
+  return `checkpoints/${importId}`;
+}
+
+function emptyStats() {
+  return {
+    ticketsProcessed: 0,
+    skippedTickets: 0,
+    totalChunks: 0,
+    redactions: createRedactionStats(),
+    quality: createQualityStats(),
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    chunks: { embedded: 0, unchanged: 0, removed: 0 }
+  };
+}
+
+/**
+ * Create a new checkpoint
+ * @param {string} importId - ID of the import (the job ID of its first run)
+ * @param {object} data - { type, params }
+ */
+export function createCheckpoint(importId, { type, params }) {
+  const checkpoint = {
+    importId,
+    type,
+    params,
+    status: CHECKPOINT_STATUS.RUNNING,
+    jobIds: [],
+    totalTickets: 0,
+    completedTicketIds: [],
+    failedTickets: [],
+    stats: emptyStats(),
+    zendeskRecordId: null,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  return saveCheckpoint(checkpoint);
+}
+
+/**
+ * Get a checkpoint by import ID
+ */
+export function getCheckpoint(importId) {
+  return readStore(checkpointStore(importId), null);
+}
+
+/**
+ * Persist a checkpoint
+ */
+export function saveCheckpoint(checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  writeStore(checkpointStore(checkpoint.importId), checkpoint);
+  return checkpoint;
+}
+
+/**
+ * Replace the failure entries of processed tickets with their new failures
+ * Tickets that succeeded this time drop off the list, tickets that failed
+ * again keep a running attempt count.
+ * @param {object} checkpoint - Checkpoint to update
+ * @param {number[]} ticketIds - Tickets that were just processed
+ * @param {object[]} failures - [{ ticketId, reason, error, degraded }]
+ */
+function recordFailedTickets(checkpoint, ticketIds, failures) {
+  const processed = new Set(ticketIds);
+  const previous = checkpoint.failedTickets || [];
+  const attempts = new Map(previous.map(f => [f.ticketId, f.attempts || 1]));
+  const failedAt = new Date().toISOString();
+
+  checkpoint.failedTickets = previous
+    .filter(f => !processed.has(f.ticketId))
+    .concat(failures.map(f => ({
+      ...f,
+      attempts: (attempts.get(f.ticketId) || 0) + 1,
+      failedAt
+    })));
+}
+
+/**
+ * Record a completed ticket batch and persist the checkpoint
+ * @param {object} checkpoint - Checkpoint to update
+ * @param {object} batch - { ticketIds, ticketsProcessed, skippedTickets, redactions, quality, resolutions, totalChunks, reindex, failedTickets }
+ */
+export function completeCheckpointBatch(checkpoint, batch) {
+  const { stats } = checkpoint;
+
+  checkpoint.completedTicketIds.push(...batch.ticketIds);
+  recordFailedTickets(checkpoint, batch.ticketIds, batch.failedTickets || []);
+  stats.ticketsProcessed += batch.ticketsProcessed;
+  stats.skippedTickets = (stats.skippedTickets || 0) + (batch.skippedTickets || 0);
+  stats.redactions = mergeRedactionStats(stats.redactions || createRedactionStats(), batch.redactions);
+  stats.quality = mergeQualityStats(stats.quality || createQualityStats(), batch.quality);
+  if (batch.resolutions) {
+    stats.resolutions = mergeResolutionStats(stats.resolutions || createResolutionStats(), batch.resolutions);
+  }
+  stats.totalChunks += batch.totalChunks;
+  stats.added += batch.reindex.added;
+  stats.updated += batch.reindex.updated;
+  stats.unchanged += batch.reindex.unchanged;
+  stats.chunks.embedded += batch.reindex.chunks.embedded;
+  stats.chunks.unchanged += batch.reindex.chunks.unchanged;
+  stats.chunks.removed += batch.reindex.chunks.removed;
+
+  return saveCheckpoint(checkpoint);
+}
+
+/**
+ * Record a batch of retried tickets and persist the checkpoint
+ * Import stats are left alone - the tickets were already counted.
+ * @param {object} checkpoint - Checkpoint to update
+ * @param {object} batch - { ticketIds, failedTickets }
+ */
+export function completeRetryBatch(checkpoint, batch) {
+  recordFailedTickets(checkpoint, batch.ticketIds, batch.failedTickets || []);
+  return saveCheckpoint(checkpoint);
+}
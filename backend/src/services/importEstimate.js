@@ -0,0 +1,136 @@
+import { MAX_EMBEDDING_TOKENS, EMBEDDING_BATCH } from "./embedding.js";
+import { getEmbeddingProvider } from "../config/embedding.js";
+import { countTokens } from "../utils/tokens.js";
+
+/**
+ * Import cost & time estimates (used by dry runs)
+ * Tokens are counted with the embedding model's tokenizer. Timings are
+ * typical API latencies, not guarantees.
+ */
+
+// USD per 1M tokens for text-embedding-3-large - override for other models
+// or if pricing changes (self-hosted and hash providers default to 0)
+const OPENAI_PRICE_PER_1M_TOKENS = 0.13;
+
+const ESTIMATED_MS = {
+  commentFetch: 350,   // one Zendesk comments request per ticket
+  embedRequest: 1500,  // one batched embeddings request (up to EMBEDDING_BATCH.maxBatchTokens)
+  upsertBatch: 500     // one Pinecone upsert per 100 vectors
+};
+
+/**
+ * Embedding tokens for a chunk (after embedText's truncation)
+ */
+export function estimateTokens(text) {
+  return Math.min(countTokens(text), MAX_EMBEDDING_TOKENS);
+}
+
+/**
+ * Count chunks per type and their tokens
+ * @param {object[]} chunks - Chunks from chunkTicketData ({ text, metadata })
+ * @returns {object} { total, byType: { [type]: count }, tokens }
+ */
+export function summarizeChunks(chunks) {
+  const byType = {};
+  let tokens = 0;
+
+  for (const chunk of chunks) {
+    const type = chunk.metadata?.type || 'unknown';
+    byType[type] = (byType[type] || 0) + 1;
+    tokens += estimateTokens(chunk.text);
+  }
+
+  return { total: chunks.length, byType, tokens };
+}
+
+/**
+ * Scale counts measured on a sample up to the full ticket set
+ */
+export function extrapolate(value, sampleSize, totalSize) {
+  if (!sampleSize || sampleSize >= totalSize) return value;
+  return Math.round(value * totalSize / sampleSize);
+}
+
+/**
+ * Estimated embedding cost
+ * @param {number} tokens - Tokens to embed
+ */
+export function estimateCost(tokens) {
+  const { name, model } = getEmbeddingProvider();
+  const pricePer1MTokens = process.env.EMBEDDING_PRICE_PER_1M_TOKENS
+    ? parseFloat(process.env.EMBEDDING_PRICE_PER_1M_TOKENS)
+    : (name === 'openai' ? OPENAI_PRICE_PER_1M_TOKENS : 0);
+
+  return {
+    model: model,
+    pricePer1MTokens: pricePer1MTokens,
+    usd: Math.round(tokens / 1_000_000 * pricePer1MTokens * 10000) / 10000
+  };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Estimated wall-clock time of an import, mirroring how the pipeline paces
+ * its requests (enrichment batches, one embedTextBatch call per ticket batch
+ * with token-sized requests, the tokens-per-minute limit)
+ * @param {object} options
+ * @param {number} options.tickets - Tickets to process
+ * @param {number} options.chunksToEmbed - Chunks that need a new embedding
+ * @param {number} options.tokensToEmbed - Their tokens
+ * @param {number} options.chunksToUpsert - Vectors to upsert
+ * @param {boolean} options.enrich - Whether comments are fetched per ticket
+ * @param {object} options.enrichment - { batchSize, batchDelay } of enrichTickets
+ * @param {object} options.embeddingConfig - { concurrency } passed to embedTextBatch
+ * @param {number} options.ticketBatchSize - Tickets per enrich → embed → upsert round
+ * @param {number} options.fetchMs - Measured time to fetch the tickets (the import fetches again)
+ */
+export function estimateDuration(options) {
+  const {
+    tickets,
+    chunksToEmbed,
+    tokensToEmbed = 0,
+    chunksToUpsert = chunksToEmbed,
+    enrich,
+    enrichment,
+    embeddingConfig,
+    ticketBatchSize = tickets,
+    fetchMs = 0
+  } = options;
+
+  const ticketBatches = Math.max(Math.ceil(tickets / Math.max(ticketBatchSize, 1)), 1);
+
+  const enrichmentMs = enrich
+    ? tickets * ESTIMATED_MS.commentFetch
+      + Math.max(Math.ceil(tickets / enrichment.batchSize) - ticketBatches, 0) * enrichment.batchDelay
+    : 0;
+
+  // Every ticket batch sends its chunks in token-sized requests; past the
+  // first minute's token budget, the rate limit sets the pace
+  const requestsPerTicketBatch = chunksToEmbed > 0
+    ? Math.ceil(tokensToEmbed / ticketBatches / EMBEDDING_BATCH.maxBatchTokens) || 1
+    : 0;
+  const requestMs = ticketBatches * Math.ceil(requestsPerTicketBatch / Math.max(embeddingConfig.concurrency || 1, 1)) * ESTIMATED_MS.embedRequest;
+  const rateLimitMs = Math.max(tokensToEmbed - EMBEDDING_BATCH.tokensPerMinute, 0) / EMBEDDING_BATCH.tokensPerMinute * 60000;
+  const embeddingMs = Math.max(requestMs, rateLimitMs);
+
+  const upsertMs = Math.ceil(chunksToUpsert / 100) * ESTIMATED_MS.upsertBatch;
+  const totalMs = fetchMs + enrichmentMs + embeddingMs + upsertMs;
+
+  return {
+    fetchSeconds: Math.round(fetchMs / 1000),
+    enrichmentSeconds: Math.round(enrichmentMs / 1000),
+    embeddingSeconds: Math.round(embeddingMs / 1000),
+    upsertSeconds: Math.round(upsertMs / 1000),
+    totalSeconds: Math.round(totalMs / 1000),
+    formatted: formatDuration(totalMs)
+  };
+}
@@ -0,0 +1,171 @@
+import { randomUUID } from "crypto";
+import { readStore, writeStore } from "./localStore.js";
+import { hasZendeskCredentials, getImportRecords, getErrorRecords } from "../config/zendesk.js";
+
+/**
+ * Import history timeline
+ * Every import and import error is written to a local store, so history works
+ * without Zendesk credentials. When credentials are configured, records from
+ * the kb_import_log_v3 / kb_import_errors custom objects are merged in
+ * (records already known locally are not duplicated).
+ */
+const HISTORY_STORE = 'import-history';
+const MAX_HISTORY_ENTRIES = 1000;
+
+function appendEntry(entry) {
+  const history = readStore(HISTORY_STORE, []);
+  history.push(entry);
+  writeStore(HISTORY_STORE, history.slice(-MAX_HISTORY_ENTRIES));
+  return entry;
+}
+
+/**
+ * Record a finished import
+ * @param {object} data - { source, jobId, dateRange, ticketsProcessed, totalChunks, processingTime, zendeskRecordId, filters, ... }
+ */
+export function recordImport(data = {}) {
+  const {
+    source = 'auto_import',
+    jobId = null,
+    dateRange = null,
+    ticketsProcessed = 0,
+    totalChunks = 0,
+    processingTime = null,
+    zendeskRecordId = null,
+    ...details
+  } = data;
+
+  return appendEntry({
+    id: randomUUID(),
+    type: 'import',
+    source,
+    importDate: new Date().toISOString(),
+    jobId,
+    dateRange,
+    ticketsProcessed,
+    totalChunks,
+    processingTime,
+    zendeskRecordId,
+    ...details
+  });
+}
+
+/**
+ * Record a failed import
+ * @param {object} data - { source, jobId, dateRange, errorMessage, step, zendeskRecordId }
+ */
+export function recordImportError(data = {}) {
+  const {
+    source = 'auto_import',
+    jobId = null,
+    dateRange = null,
+    errorMessage = 'Unknown error',
+    step = 'unknown',
+    zendeskRecordId = null
+  } = data;
+
+  return appendEntry({
+    id: randomUUID(),
+    type: 'error',
+    source,
+    importDate: new Date().toISOString(),
+    jobId,
+    dateRange,
+    ticketsProcessed: 0,
+    totalChunks: 0,
+    processingTime: null,
+    errorMessage,
+    step,
+    zendeskRecordId
+  });
+}
+
+/**
+ * Map a Zendesk custom object record to a timeline entry
+ */
+function fromZendeskRecord(record, type) {
+  const fields = record.custom_object_fields || {};
+  let filters = null;
+  try {
+    filters = fields.filters ? JSON.parse(fields.filters) : null;
+  } catch {
+    filters = null;
+  }
+
+  return {
+    id: `zendesk-${record.id}`,
+    type,
+    source: fields.source || 'unknown',
+    importDate: record.created_at || fields.import_date || fields.error_date,
+    jobId: null,
+    dateRange: {
+      start: fields.start_date || 'N/A',
+      end: fields.end_date || 'N/A'
+    },
+    ticketsProcessed: fields.ticket_count || 0,
+    totalChunks: fields.chunk_count || 0,
+    processingTime: fields.processing_time || null,
+    filters,
+    errorMessage: type === 'error' ? fields.error_message || record.name : undefined,
+    zendeskRecordId: record.id
+  };
+}
+
+/**
+ * Get the merged, filtered and paginated import timeline (most recent first)
+ * @param {object} options
+ * @param {string} options.type - 'import' | 'error' (default: both)
+ * @param {string} options.source - e.g. 'auto_import', 'file_import', 'incremental_sync'
+ * @param {string} options.from - Only entries on/after this date (YYYY-MM-DD)
+ * @param {string} options.to - Only entries on/before this date (YYYY-MM-DD)
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.perPage - Entries per page (max 100)
+ */
+export async function getImportHistory(options = {}) {
+  const { type = null, source = null, from = null, to = null } = options;
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(options.perPage) || 20, 1), 100);
+
+  let entries = readStore(HISTORY_STORE, []);
+  const sources = ['local'];
+
+  if (hasZendeskCredentials()) {
+    const knownRecordIds = new Set(entries.map(e => e.zendeskRecordId).filter(Boolean).map(String));
+    const [importRecords, errorRecords] = await Promise.all([
+      type === 'error' ? [] : getImportRecords(),
+      type === 'import' ? [] : getErrorRecords()
+    ]);
+
+    const remote = [
+      ...importRecords.map(r => fromZendeskRecord(r, 'import')),
+      ...errorRecords.map(r => fromZendeskRecord(r, 'error'))
+    ].filter(e => !knownRecordIds.has(String(e.zendeskRecordId)));
+
+    entries = entries.concat(remote);
+    sources.push('zendesk');
+  }
+
+  const fromTime = from ? new Date(from).getTime() : null;
+  // Include the whole 'to' day
+  const toTime = to ? new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1 : null;
+
+  const filtered = entries
+    .filter(e => !type || e.type === type)
+    .filter(e => !source || e.source === source)
+    .filter(e => {
+      const time = new Date(e.importDate).getTime();
+      return (fromTime === null || time >= fromTime) && (toTime === null || time <= toTime);
+    })
+    .sort((a, b) => new Date(b.importDate) - new Date(a.importDate));
+
+  const total = filtered.length;
+
+  return {
+    imports: filtered.slice((page - 1) * perPage, page * perPage),
+    page,
+    perPage,
+    total,
+    totalPages: Math.max(Math.ceil(total / perPage), 1),
+    sources
+  };
+}
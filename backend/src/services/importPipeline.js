@@ -0,0 +1,2338 @@
+import { createHash } from "crypto";
+import {
+  fetchTicketsByDateRange,
+  fetchIncrementalTickets,
+  fetchTicketsByIds,
+  enrichTicketWithComments,
+  prefetchTicketUsers,
+  fetchTicketMetrics,
+  createZendeskImportRecord,
+  createZendeskErrorImportRecord,
+  updateZendeskImportRecord,
+  fetchFormFields,
+  fetchHelpCenterArticles,
+  fetchHelpCenterSections,
+  fetchSharedMacros
+} from "../config/zendesk.js";
+import { upsertVectors, listVectorIds, deleteVectors } from "../config/vectorStore.js";
+import { embedTextBatch } from "./embedding.js";
+import { getEmbeddingCacheStats } from "./embeddingCache.js";
+import { chunkTicketData, chunkArticle, chunkMacro, chunkDocument, extractTicketsFromJSON, DOCUMENT_CHUNKING } from "./chunking.js";
+import { extractTextFromFile, cleanupFile } from "./fileProcessor.js";
+import { readStore, writeStore } from "./localStore.js";
+import { detectLanguage, localeLanguage } from "../utils/language.js";
+import { summarizeChunks, extrapolate, estimateCost, estimateDuration } from "./importEstimate.js";
+import { recordImport, recordImportError } from "./importHistory.js";
+import { buildSearchTerms, ticketMatchesFilters, describeTicketFilters } from "./ticketFilters.js";
+import { redactText, redactTickets, createRedactionStats, mergeRedactionStats } from "./redaction.js";
+import { getInternalNotePolicy } from "../config/brands.js";
+import { applyQualityGate, createQualityStats, mergeQualityStats, summarizeQualityStats } from "./ticketQuality.js";
+import { RESOLUTION_EXTRACTION_ENABLED, extractResolutions, createResolutionStats, mergeResolutionStats } from "./resolutionExtraction.js";
+import {
+  CHECKPOINT_STATUS,
+  createCheckpoint,
+  getCheckpoint,
+  saveCheckpoint,
+  completeCheckpointBatch,
+  completeRetryBatch
+} from "./importCheckpoints.js";
+
+/**
+ * Progress milestones (percent) for each pipeline step
+ */
+const PROGRESS = {
+  fetchStart: 2,
+  fetched: 10,
+  enrichEnd: 45,
+  chunked: 50,
+  embedEnd: 90,
+  done: 100
+};
+
+// Tickets per enrich → embed → upsert round; progress is checkpointed after each
+const TICKET_BATCH_SIZE = parseInt(process.env.IMPORT_TICKET_BATCH_SIZE || "25");
+
+// Comments are fetched for ENRICHMENT.batchSize tickets, then a short pause
+const ENRICHMENT = { batchSize: 10, batchDelay: 500 };
+
+// Embedding requests in flight at once (requests are batched and paced by
+// the token rate limiter in services/embedding.js)
+const EMBEDDING_CONFIG = { concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY || "2") };
+
+// Tickets enriched and chunked for a dry-run estimate (the rest is extrapolated)
+const DRY_RUN_SAMPLE_SIZE = 50;
+
+// Help Center articles per enrich → embed → upsert round
+const ARTICLE_BATCH_SIZE = 25;
+
+// updated_at of every imported Help Center article, keyed by "<locale>:<articleId>"
+const HELP_CENTER_STATE_STORE = 'help-center-articles';
+
+const SYNC_STATE_STORE = 'ticket-sync-state';
+const SYNC_DEFAULT_LOOKBACK_DAYS = 30;
+
+function scale(done, total, from, to) {
+  if (!total) return to;
+  return from + (to - from) * (done / total);
+}
+
+/**
+ * Wrap an error with the pipeline step it happened in
+ */
+function stepError(step, message) {
+  const err = new Error(message);
+  err.step = step;
+  return err;
+}
+
+/**
+ * Vector ID prefix for chunks of a Zendesk ticket (auto-import and sync)
+ */
+function ticketVectorPrefix(ticketId) {
+  return `auto-ticket-${ticketId}-`;
+}
+
+/**
+ * Vector ID prefix for chunks of a ticket from an uploaded JSON export
+ */
+function uploadedTicketVectorPrefix(ticketId) {
+  return `ticket-${ticketId}-`;
+}
+
+/**
+ * Vector ID prefix for chunks of a Help Center article
+ */
+function helpCenterVectorPrefix(locale, articleId) {
+  return `hc-${locale}-${articleId}-`;
+}
+
+/**
+ * Vector ID prefix for chunks of an article posted to /ingest-kb
+ */
+function ingestedArticleVectorPrefix(articleId) {
+  return `article-${articleId}-`;
+}
+
+/**
+ * Vector ID prefix for chunks of an uploaded document (PDF, DOCX, HTML)
+ * Keyed by file name, so uploading a new version of a manual replaces its old chunks.
+ */
+function documentVectorPrefix(fileName) {
+  return `doc-${createHash('sha256').update(fileName).digest('hex').slice(0, 12)}-`;
+}
+
+/**
+ * IDs the old single-vector text import gave a file: its first 10,000
+ * characters, hashed with and without PII redaction
+ */
+function legacyTextFileVectorIds(text) {
+  const truncated = text.slice(0, 10000);
+  return [...new Set([truncated, redactText(truncated)])]
+    .map(content => `file-${createHash('sha256').update(content).digest('hex').slice(0, 16)}`);
+}
+
+/**
+ * Vector ID prefix for chunks of a Zendesk macro
+ */
+function macroVectorPrefix(macroId) {
+  return `macro-${macroId}-`;
+}
+
+/**
+ * Stable, content-addressed vector ID for a chunk
+ * Same text + metadata always gives the same ID, so re-imports overwrite
+ * instead of duplicating, and unchanged chunks can skip embedding.
+ */
+function chunkVectorId(prefix, chunk) {
+  const hash = createHash('sha256')
+    .update(chunk.text)
+    .update(JSON.stringify(chunk.metadata || {}))
+    .digest('hex')
+    .slice(0, 16);
+  return `${prefix}${hash}`;
+}
+
+/**
+ * Suggest fix based on error message
+ */
+export function getSuggestionForError(message) {
+  if (message.includes('rate')) {
+    return 'Rate limited - wait a few minutes and try again';
+  } else if (message.includes('401') || message.includes('authentication')) {
+    return 'Check your API credentials (OPENAI_API_KEY, ZENDESK_API_TOKEN)';
+  } else if (message.includes('No tickets')) {
+    return 'No tickets found in the specified date range - try a different date range';
+  } else if (message.includes('chunks')) {
+    return 'Chunking failed - tickets might have invalid data';
+  } else if (message.includes('embedding')) {
+    return 'Embedding failed - check OpenAI API key and balance';
+  } else if (message.includes('Pinecone')) {
+    return 'Pinecone error - check connection and API key';
+  }
+  return 'Check the error details above';
+}
+
+export function getFileUploadSuggestion(message) {
+  if (message.includes('No file')) {
+    return 'Make sure you selected a file before uploading';
+  } else if (message.includes('rate')) {
+    return 'Rate limited - wait a few minutes and try again';
+  } else if (message.includes('JSON')) {
+    return 'File must be valid JSON format if uploading tickets';
+  } else if (message.includes('CSV')) {
+    return 'Check the CSV header row and set the column mapping for columns that were not detected';
+  } else if (message.includes('embedding')) {
+    return 'Embedding failed - check OpenAI API key and balance';
+  } else if (message.includes('Pinecone')) {
+    return 'Pinecone error - check connection and API key';
+  } else if (message.includes('file')) {
+    return 'File may be corrupted or in unsupported format';
+  }
+  return 'Check the error details above';
+}
+
+/**
+ * Minimal ticket data used in quick mode and when enrichment fails
+ */
+function quickTicketData(ticket) {
+  return {
+    ticket_id: ticket.id,
+    subject: ticket.subject || '',
+    description: ticket.description || '',
+    status: ticket.status,
+    priority: ticket.priority,
+    satisfaction: ticket.satisfaction_rating?.score || 'unoffered',
+    tags: ticket.tags || [],
+    created_at: ticket.created_at,
+    updated_at: ticket.updated_at,
+    conversation: [],
+    resolution: null,
+    custom_fields: {}
+  };
+}
+
+/**
+ * Step: fetch tickets in a date range that match the selection filters
+ * Filters are part of the search query where possible and are checked again
+ * on every fetched ticket.
+ * @param {object} filters - Normalized filters (see services/ticketFilters.js) or null
+ * @returns {Promise<object>} { tickets, filteredOut }
+ */
+async function fetchFilteredTickets(startDate, endDate, filters) {
+  const fetched = await fetchTicketsByDateRange(startDate, endDate, buildSearchTerms(filters));
+  const tickets = fetched.filter(ticket => ticketMatchesFilters(ticket, filters));
+  const filteredOut = fetched.length - tickets.length;
+
+  if (filteredOut > 0) {
+    console.log(`🔎 ${filteredOut} tickets did not match the filters (${describeTicketFilters(filters)})`);
+  }
+
+  return { tickets, filteredOut };
+}
+
+/**
+ * Drop enriched tickets with fewer than minComments comments
+ * Degraded tickets are kept - their comments couldn't be fetched, so the
+ * count is unknown.
+ * @returns {object} { kept, skippedIds }
+ */
+function filterByCommentCount(enrichedTickets, minComments, degradedIds) {
+  if (!minComments) {
+    return { kept: enrichedTickets, skippedIds: [] };
+  }
+
+  const kept = [];
+  const skippedIds = [];
+  for (const ticket of enrichedTickets) {
+    if (degradedIds.has(ticket.ticket_id) || ticket.conversation.length >= minComments) {
+      kept.push(ticket);
+    } else {
+      skippedIds.push(ticket.ticket_id);
+    }
+  }
+
+  if (skippedIds.length > 0) {
+    console.log(`🔎 Skipped ${skippedIds.length} tickets with fewer than ${minComments} comments`);
+  }
+
+  return { kept, skippedIds };
+}
+
+/**
+ * Step: enrich raw Zendesk tickets with comments, form fields and reopen counts
+ * Tickets whose comments can't be fetched fall back to quick-mode data and
+ * are reported as degraded (indexed, but worth retrying later).
+ * @returns {Promise<object>} { enrichedTickets, failedEnrichments: [{ ticketId, reason, error, degraded }] }
+ */
+async function enrichTickets(tickets, { mode, fieldsMap }, report) {
+  console.log(`🔄 Step 3: Enriching tickets...`);
+  const enrichedTickets = [];
+  const failedEnrichments = [];
+  const skipEnrichment = mode === 'quick';
+  const { batchSize, batchDelay } = ENRICHMENT;
+
+  for (let i = 0; i < tickets.length; i += batchSize) {
+    const batch = tickets.slice(i, i + batchSize);
+    const batchNum = Math.floor(i / batchSize) + 1;
+    const totalBatches = Math.ceil(tickets.length / batchSize);
+
+    console.log(`   📦 Enriching batch ${batchNum}/${totalBatches} (tickets ${i + 1}-${Math.min(i + batchSize, tickets.length)}/${tickets.length})`);
+
+    // One batched user lookup for the batch's requesters, assignees and CCs
+    // (comment authors are resolved from this cache)
+    if (!skipEnrichment) {
+      try {
+        await prefetchTicketUsers(batch);
+      } catch (err) {
+        console.warn(`      ⚠️  User prefetch failed, authors are looked up per ticket:`, err.message);
+      }
+    }
+
+    // Reopen counts for quality scoring - unknown (null) when the lookup fails
+    let metrics = new Map();
+    if (!skipEnrichment) {
+      try {
+        metrics = await fetchTicketMetrics(batch.map(t => t.id));
+      } catch (err) {
+        console.warn(`      ⚠️  Ticket metrics lookup failed, reopens are not scored:`, err.message);
+      }
+    }
+
+    for (const ticket of batch) {
+      try {
+        if (skipEnrichment) {
+          // Quick mode: minimal data
+          enrichedTickets.push(quickTicketData(ticket));
+        } else {
+          // Full enrichment with error recovery
+          try {
+            const enriched = await enrichTicketWithComments(ticket, fieldsMap);
+            if (!enriched || typeof enriched !== 'object') {
+              throw new Error('Invalid enrichment result');
+            }
+            enrichedTickets.push({ ...enriched, reopens: metrics.get(ticket.id)?.reopens ?? null });
+          } catch (enrichError) {
+            console.warn(`      ⚠️  Full enrichment failed for ticket ${ticket.id}, using fallback...`);
+            enrichedTickets.push(quickTicketData(ticket));
+            failedEnrichments.push({
+              ticketId: ticket.id,
+              reason: 'enrichment_failed',
+              error: enrichError.message,
+              degraded: true
+            });
+          }
+        }
+      } catch (error) {
+        console.error(`      ❌ Failed to process ticket ${ticket.id}:`, error.message);
+        failedEnrichments.push({
+          ticketId: ticket.id,
+          reason: 'processing_failed',
+          error: error.message,
+          degraded: false
+        });
+        // Continue with next ticket
+      }
+    }
+
+    const processed = Math.min(i + batchSize, tickets.length);
+    report({
+      step: 'enriching',
+      message: `Enriched ${processed}/${tickets.length} tickets`,
+      percent: scale(processed, tickets.length, PROGRESS.fetched, PROGRESS.enrichEnd),
+      enriched: enrichedTickets.length,
+      failed: failedEnrichments.length
+    });
+
+    // Small delay between enrichment batches
+    if (!skipEnrichment && i + batchSize < tickets.length) {
+      await new Promise(resolve => setTimeout(resolve, batchDelay));
+    }
+  }
+
+  if (failedEnrichments.length > 0) {
+    console.warn(`⚠️  ${failedEnrichments.length} tickets had enrichment issues (using fallback)\n`);
+  }
+  console.log(`✅ Enriched ${enrichedTickets.length}/${tickets.length} tickets successfully\n`);
+
+  return { enrichedTickets, failedEnrichments };
+}
+
+/**
+ * Chunk one ticket, following its brand's internal note policy
+ */
+function chunkTicket(ticket) {
+  const policy = getInternalNotePolicy({ brand: ticket.brand, brandId: ticket.brand_id });
+  return chunkTicketData(ticket, { indexInternalNotes: policy.index });
+}
+
+/**
+ * Step: split enriched tickets into chunks
+ */
+function chunkTickets(enrichedTickets) {
+  console.log(`✂️  Step 4: Creating chunks...`);
+  const allChunks = [];
+  const failedChunking = [];
+
+  for (const ticket of enrichedTickets) {
+    try {
+      const chunks = chunkTicket(ticket);
+
+      if (!Array.isArray(chunks) || chunks.length === 0) {
+        console.warn(`      ⚠️  No chunks created for ticket ${ticket.ticket_id}`);
+        failedChunking.push({
+          ticketId: ticket.ticket_id,
+          reason: 'chunking_failed',
+          error: 'No chunks generated',
+          degraded: false
+        });
+        continue;
+      }
+
+      allChunks.push(...chunks.map((chunk, i) => ({
+        chunk,
+        ticketId: ticket.ticket_id,
+        chunkIndex: i
+      })));
+    } catch (error) {
+      console.error(`      ❌ Chunking failed for ticket ${ticket.ticket_id}:`, error.message);
+      failedChunking.push({
+        ticketId: ticket.ticket_id,
+        reason: 'chunking_failed',
+        error: error.message,
+        degraded: false
+      });
+    }
+  }
+
+  if (failedChunking.length > 0) {
+    console.warn(`⚠️  ${failedChunking.length} tickets failed chunking (skipped)\n`);
+  }
+
+  return { allChunks, failedChunking };
+}
+
+/**
+ * Add per-ticket metadata to chunks
+ * Vectors built from fallback data are flagged so degraded tickets can be
+ * found (and are re-embedded once a retry gets their full conversation).
+ * Every vector carries its ticket's quality score for retrieval.
+ */
+function tagTicketChunks(allChunks, tickets, degradedIds) {
+  const qualityById = new Map(tickets.map(ticket => [ticket.ticket_id, ticket.quality]));
+
+  for (const entry of allChunks) {
+    const quality = qualityById.get(entry.ticketId);
+    entry.chunk.metadata = {
+      ...entry.chunk.metadata,
+      ...(quality && { quality_score: quality.score }),
+      ...(quality?.flags.length && { quality_flags: quality.flags }),
+      ...(degradedIds.has(entry.ticketId) && { degraded: true })
+    };
+  }
+}
+
+/**
+ * Step: compare new chunks with what's already indexed for each ticket
+ * Chunks whose ID already exists are unchanged and skip embedding;
+ * existing IDs that are no longer produced are stale and get deleted
+ * (e.g. a conversation that grew and now splits into more parts).
+ * @param {object[]} allChunks - [{ chunk, ticketId, chunkIndex }]
+ * @param {function} prefixFor - ticketId => vector ID prefix
+ * @returns {Promise<object>} { toEmbed, staleIds, stats }
+ */
+async function planReindex(allChunks, prefixFor) {
+  console.log(`🔍 Comparing ${allChunks.length} chunks with the index...`);
+
+  const byTicket = new Map();
+  for (const entry of allChunks) {
+    const id = chunkVectorId(prefixFor(entry.ticketId), entry.chunk);
+    if (!byTicket.has(entry.ticketId)) {
+      byTicket.set(entry.ticketId, new Map());
+    }
+    // Identical chunks within a ticket collapse into one vector
+    byTicket.get(entry.ticketId).set(id, { ...entry, id });
+  }
+
+  const toEmbed = [];
+  const staleIds = [];
+  const stats = { added: 0, updated: 0, unchanged: 0, chunksUnchanged: 0 };
+
+  for (const [ticketId, entries] of byTicket) {
+    const existingIds = new Set(await listVectorIds(prefixFor(ticketId)));
+    const fresh = [...entries.values()].filter(e => !existingIds.has(e.id));
+    const stale = [...existingIds].filter(id => !entries.has(id));
+
+    if (existingIds.size === 0) {
+      stats.added++;
+    } else if (fresh.length === 0 && stale.length === 0) {
+      stats.unchanged++;
+    } else {
+      stats.updated++;
+    }
+
+    stats.chunksUnchanged += entries.size - fresh.length;
+    toEmbed.push(...fresh);
+    staleIds.push(...stale);
+  }
+
+  console.log(`✅ ${stats.added} new, ${stats.updated} updated, ${stats.unchanged} unchanged tickets`);
+  console.log(`   ${toEmbed.length} chunks to embed, ${stats.chunksUnchanged} unchanged, ${staleIds.length} stale\n`);
+
+  return { toEmbed, staleIds, stats };
+}
+
+/**
+ * Step: embed chunk texts in token-sized batches (see embedTextBatch)
+ */
+async function embedChunks(allChunks, embeddingConfig, report) {
+  console.log(`🧮 Step 5: Generating embeddings for ${allChunks.length} chunks...`);
+
+  const texts = allChunks.map(({ chunk }) => chunk.text);
+
+  let embeddings;
+  try {
+    embeddings = await embedTextBatch(texts, {
+      ...embeddingConfig,
+      onProgress: (current, total) => {
+        report({
+          step: 'embedding',
+          message: `Embedded ${current}/${total} chunks`,
+          percent: scale(current, total, PROGRESS.chunked, PROGRESS.embedEnd),
+          embedded: current
+        });
+      }
+    });
+
+    if (!Array.isArray(embeddings) || embeddings.length === 0) {
+      throw new Error('No embeddings generated');
+    }
+
+    if (embeddings.length !== texts.length) {
+      console.warn(`⚠️  Embedding count mismatch: got ${embeddings.length}, expected ${texts.length}`);
+    }
+
+  } catch (error) {
+    console.error(`❌ Embedding generation failed:`, error.message);
+
+    // Check if it's a rate limit or API key issue
+    if (error.message.includes('429') || error.message.includes('rate')) {
+      throw stepError('embedding', `Rate limited by OpenAI API: ${error.message}`);
+    } else if (error.message.includes('401') || error.message.includes('invalid')) {
+      throw stepError('embedding', `OpenAI API authentication failed: ${error.message}`);
+    } else {
+      throw stepError('embedding', `Embedding generation failed: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Generated ${embeddings.length} embeddings\n`);
+  return embeddings;
+}
+
+/**
+ * Step: build Pinecone vectors for planned ticket chunks
+ * Each vector gets the detected language of its chunk (Help Center chunks
+ * fall back to their locale). It is derived from the text, so it is not part
+ * of the vector ID.
+ * @param {object[]} entries - Chunks with their vector ID (from planReindex)
+ * @param {number[][]} embeddings - Embeddings in the same order
+ * @param {object} metadata - Extra metadata stored on every vector (source, ...)
+ */
+function buildTicketVectors(entries, embeddings, metadata) {
+  console.log(`📦 Step 6: Preparing vectors for Pinecone...`);
+  try {
+    const importDate = new Date().toISOString();
+    const vectors = embeddings.map((embedding, idx) => {
+      const { chunk, id } = entries[idx];
+
+      if (!embedding || embedding.length === 0) {
+        throw new Error(`Invalid embedding at index ${idx}`);
+      }
+
+      const language = detectLanguage(chunk.text) || localeLanguage(chunk.metadata?.locale);
+
+      return {
+        id,
+        values: embedding,
+        metadata: {
+          ...chunk.metadata,
+          ...(language && { language }),
+          content: chunk.text,
+          importDate,
+          ...metadata
+        }
+      };
+    });
+
+    if (vectors.length === 0) {
+      throw new Error('No vectors prepared');
+    }
+
+    console.log(`✅ Prepared ${vectors.length} vectors\n`);
+    return vectors;
+  } catch (error) {
+    console.error(`❌ Vector preparation failed:`, error.message);
+    throw stepError('preparing', `Vector preparation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Step: upload vectors to Pinecone
+ */
+async function uploadVectors(vectors, report) {
+  console.log(`📤 Step 7: Uploading ${vectors.length} vectors to Pinecone...`);
+  report({ step: 'upserting', message: `Uploading ${vectors.length} vectors...` });
+  try {
+    await upsertVectors(vectors, 100, (uploaded, total) => {
+      report({
+        step: 'upserting',
+        message: `Uploaded ${uploaded}/${total} vectors`,
+        percent: scale(uploaded, total, PROGRESS.embedEnd, PROGRESS.done),
+        upserted: uploaded
+      });
+    });
+    console.log(`✅ Upload complete (${vectors.length} vectors upserted)\n`);
+  } catch (error) {
+    console.error(`❌ Pinecone upload failed:`, error.message);
+    throw stepError('upserting', `Pinecone upload failed: ${error.message}`);
+  }
+}
+
+/**
+ * Re-index ticket chunks: embed and upsert new/changed chunks, then delete
+ * stale chunks of the same tickets
+ * @param {object[]} allChunks - [{ chunk, ticketId, chunkIndex }]
+ * @param {object} options - { prefixFor, metadata, embeddingConfig }
+ * @returns {Promise<object>} { vectors, reindex }
+ */
+async function indexTicketChunks(allChunks, { prefixFor, metadata, embeddingConfig }, report) {
+  const { toEmbed, staleIds, stats } = await planReindex(allChunks, prefixFor);
+
+  report({
+    step: 'embedding',
+    message: `${stats.chunksUnchanged} chunks unchanged, embedding ${toEmbed.length}`,
+    totalChunks: toEmbed.length
+  });
+
+  let vectors = [];
+  if (toEmbed.length > 0) {
+    const embeddings = await embedChunks(toEmbed, embeddingConfig, report);
+    vectors = buildTicketVectors(toEmbed, embeddings, metadata);
+    await uploadVectors(vectors, report);
+  } else {
+    console.log(`✅ Nothing to embed - all chunks already indexed\n`);
+  }
+
+  // Delete stale chunks only after the new ones are in, so a failed upload
+  // never leaves a ticket without vectors
+  if (staleIds.length > 0) {
+    report({ step: 'cleanup', message: `Removing ${staleIds.length} stale chunks...` });
+    await deleteVectors(staleIds);
+  }
+
+  return {
+    vectors,
+    reindex: {
+      added: stats.added,
+      updated: stats.updated,
+      unchanged: stats.unchanged,
+      chunks: {
+        embedded: vectors.length,
+        unchanged: stats.chunksUnchanged,
+        removed: staleIds.length
+      }
+    }
+  };
+}
+
+/**
+ * Delete the vectors of tickets that are no longer indexed (e.g. a ticket
+ * that was reopened or rated bad since the last import)
+ * @returns {Promise<number>} Number of vectors removed
+ */
+async function removeExcludedTickets(ticketIds, report) {
+  const ids = [];
+  for (const ticketId of ticketIds) {
+    ids.push(...await listVectorIds(ticketVectorPrefix(ticketId)));
+  }
+
+  if (ids.length > 0) {
+    report({ step: 'cleanup', message: `Removing ${ids.length} vectors of excluded tickets...` });
+    await deleteVectors(ids);
+    console.log(`🧹 Removed ${ids.length} vectors of ${ticketIds.length} excluded tickets`);
+  }
+  return ids.length;
+}
+
+/**
+ * Reporter for one ticket batch: maps the batch's own progress into its
+ * slice of the overall bar and turns per-batch counters into running totals
+ */
+function batchReporter(report, { from, to, offsets }) {
+  return ({ percent, ...update }) => {
+    for (const [key, offset] of Object.entries(offsets)) {
+      if (typeof update[key] === 'number') {
+        update[key] += offset;
+      }
+    }
+    if (typeof percent === 'number') {
+      update.percent = scale(percent - PROGRESS.fetched, PROGRESS.done - PROGRESS.fetched, from, to);
+    }
+    report(update);
+  };
+}
+
+/**
+ * Run enrich → chunk → embed → upsert for a list of raw Zendesk tickets
+ * Tickets are processed in batches of TICKET_BATCH_SIZE and each batch is
+ * upserted before the next one starts, so a failure only loses the current
+ * batch. onBatchComplete is awaited after every batch (used for checkpoints).
+ * Tickets are then scored and those below their brand's quality threshold
+ * are skipped (see services/ticketQuality.js).
+ * PII is redacted between enrichment and chunking (see services/redaction.js).
+ * With extractResolutions, the LLM then replaces each resolution with the
+ * extracted fix; tickets without an actionable fix are not indexed.
+ * @param {object[]} tickets - Raw Zendesk tickets
+ * @param {object} options - { mode, fieldsMap, minComments, extractResolutions, onBatchComplete }
+ * @returns {Promise<object>} { ticketsProcessed, totalChunks, reindex, failedTickets, skippedTickets, redactions, quality, resolutions }
+ */
+async function processTickets(tickets, { mode, fieldsMap, minComments = 0, extractResolutions: extract = false, onBatchComplete = null }, report) {
+
+  const totalBatches = Math.ceil(tickets.length / TICKET_BATCH_SIZE);
+  const totals = { enriched: 0, chunked: 0, embedded: 0, upserted: 0, failed: 0, totalChunks: 0 };
+  const reindex = { added: 0, updated: 0, unchanged: 0, chunks: { embedded: 0, unchanged: 0, removed: 0 } };
+  const failedTickets = [];
+  let ticketsProcessed = 0;
+  let skippedTickets = 0;
+  const redactions = createRedactionStats();
+  const quality = createQualityStats();
+  const resolutions = extract ? createResolutionStats() : null;
+
+  for (let i = 0; i < tickets.length; i += TICKET_BATCH_SIZE) {
+    const batch = tickets.slice(i, i + TICKET_BATCH_SIZE);
+    const batchNum = Math.floor(i / TICKET_BATCH_SIZE) + 1;
+    const batchReport = batchReporter(report, {
+      from: scale(i, tickets.length, PROGRESS.fetched, PROGRESS.done),
+      to: scale(i + batch.length, tickets.length, PROGRESS.fetched, PROGRESS.done),
+      offsets: { ...totals }
+    });
+
+    console.log(`\n📦 Ticket batch ${batchNum}/${totalBatches} (${batch.length} tickets)`);
+
+    const enrichment = await enrichTickets(batch, { mode, fieldsMap }, batchReport);
+    const degradedIds = new Set(enrichment.failedEnrichments.filter(f => f.degraded).map(f => f.ticketId));
+    const { kept, skippedIds: fewCommentIds } = filterByCommentCount(enrichment.enrichedTickets, minComments, degradedIds);
+    const gate = applyQualityGate(kept, { conversationKnown: mode !== 'quick', degradedIds });
+    mergeQualityStats(quality, gate.stats);
+    const skippedIds = [...fewCommentIds, ...gate.skippedIds];
+    const redacted = redactTickets(gate.kept);
+    mergeRedactionStats(redactions, redacted.redactions);
+
+    let ticketsToChunk = redacted.tickets;
+    let batchResolutions = null;
+    // Tickets left out here lose their vectors from earlier imports
+    let excludedIds = gate.skippedIds;
+    if (extract) {
+      report({ step: 'chunking', message: `Batch ${batchNum}/${totalBatches}: extracting resolutions...` });
+      const extraction = await extractResolutions(redacted.tickets, degradedIds);
+      const noResolution = new Set(extraction.noResolutionIds);
+      ticketsToChunk = extraction.tickets.filter(ticket => !noResolution.has(ticket.ticket_id));
+      excludedIds = [...excludedIds, ...extraction.noResolutionIds];
+      batchResolutions = extraction.stats;
+      mergeResolutionStats(resolutions, batchResolutions);
+    }
+
+    const { allChunks, failedChunking } = chunkTickets(ticketsToChunk);
+    const batchFailures = [...enrichment.failedEnrichments, ...failedChunking];
+    failedTickets.push(...batchFailures);
+
+    tagTicketChunks(allChunks, ticketsToChunk, degradedIds);
+
+    batchReport({
+      step: 'chunking',
+      message: `Batch ${batchNum}/${totalBatches}: created ${allChunks.length} chunks`,
+      percent: PROGRESS.chunked,
+      chunked: allChunks.length,
+      totalChunks: allChunks.length,
+      failed: batchFailures.length
+    });
+
+    let batchReindex = { added: 0, updated: 0, unchanged: 0, chunks: { embedded: 0, unchanged: 0, removed: 0 } };
+    if (allChunks.length > 0) {
+      ({ reindex: batchReindex } = await indexTicketChunks(allChunks, {
+        prefixFor: ticketVectorPrefix,
+        metadata: { source: 'ticket_chat' },
+        embeddingConfig: EMBEDDING_CONFIG
+      }, batchReport));
+    } else {
+      console.warn(`⚠️  No chunks generated for batch ${batchNum}`);
+    }
+
+    if (excludedIds.length > 0) {
+      batchReindex.chunks.removed += await removeExcludedTickets(excludedIds, batchReport);
+    }
+
+    ticketsProcessed += ticketsToChunk.length;
+    skippedTickets += skippedIds.length;
+    totals.enriched += enrichment.enrichedTickets.length;
+    totals.chunked += allChunks.length;
+    totals.totalChunks += allChunks.length;
+    totals.embedded += batchReindex.chunks.embedded;
+    totals.upserted += batchReindex.chunks.embedded;
+    totals.failed += batchFailures.length;
+    reindex.added += batchReindex.added;
+    reindex.updated += batchReindex.updated;
+    reindex.unchanged += batchReindex.unchanged;
+    reindex.chunks.embedded += batchReindex.chunks.embedded;
+    reindex.chunks.unchanged += batchReindex.chunks.unchanged;
+    reindex.chunks.removed += batchReindex.chunks.removed;
+
+    if (onBatchComplete) {
+      await onBatchComplete({
+        ticketIds: batch.map(t => t.id),
+        ticketsProcessed: ticketsToChunk.length,
+        skippedTickets: skippedIds.length,
+        redactions: redacted.redactions,
+        quality: gate.stats,
+        resolutions: batchResolutions,
+        totalChunks: allChunks.length,
+        reindex: batchReindex,
+        failedTickets: batchFailures
+      });
+    }
+
+    report({
+      message: `Processed ${Math.min(i + TICKET_BATCH_SIZE, tickets.length)}/${tickets.length} tickets`,
+      percent: scale(i + batch.length, tickets.length, PROGRESS.fetched, PROGRESS.done)
+    });
+  }
+
+  if (tickets.length > skippedTickets && totals.chunked === 0) {
+    console.error(`❌ No chunks generated from any ticket!`);
+    throw stepError('chunking', `No chunks could be generated from tickets (${ticketsProcessed} enriched)`);
+  }
+
+  console.log(`✅ Processed ${ticketsProcessed} tickets into ${totals.chunked} chunks\n`);
+
+  return { ticketsProcessed, totalChunks: totals.chunked, reindex, failedTickets, skippedTickets, redactions, quality, resolutions };
+}
+
+/**
+ * Complete the kb_import_log_v3 record with the chunk count, duration and
+ * redaction count, and add the import to the local history
+ * @param {object} job - Job record
+ * @param {object} entry - { source, dateRange, ticketsProcessed, totalChunks, processingTime, zendeskRecordId, ... }
+ */
+async function logImportSuccess(job, entry) {
+  await updateZendeskImportRecord(entry.zendeskRecordId, {
+    chunkCount: entry.totalChunks,
+    processingTime: entry.processingTime,
+    redactionCount: entry.redactions?.total
+  });
+
+  recordImport({ jobId: job.id, ...entry });
+}
+
+/**
+ * Log tickets that failed during an otherwise successful import to the
+ * kb_import_errors custom object, one line per ticket
+ * @param {object[]} failedTickets - [{ ticketId, reason, error, degraded }]
+ * @param {object} context - { startDate, endDate, source }
+ */
+async function logFailedTickets(failedTickets, { startDate, endDate, source }) {
+  if (failedTickets.length === 0) {
+    return null;
+  }
+
+  const degraded = failedTickets.filter(f => f.degraded).length;
+  console.warn(`⚠️  ${failedTickets.length} tickets failed (${degraded} indexed with fallback data)`);
+
+  return createZendeskErrorImportRecord({
+    startDate: startDate || 'N/A',
+    endDate: endDate || 'N/A',
+    errorMessage: `${failedTickets.length} tickets failed during import`,
+    errorDetails: failedTickets
+      .map(f => `#${f.ticketId} ${f.reason}${f.degraded ? ' (indexed with fallback data)' : ''}: ${f.error}`)
+      .join('\n'),
+    source
+  });
+}
+
+/**
+ * Summary of an import's failed ticket list for job results
+ */
+function failedTicketSummary(failedTickets = []) {
+  return {
+    failedTickets: failedTickets.length,
+    degradedTickets: failedTickets.filter(f => f.degraded).length
+  };
+}
+
+function logImportFailure(title, err) {
+  console.error("\n" + "=".repeat(60));
+  console.error(`❌ ${title}`);
+  console.error("=".repeat(60));
+  console.error("Error Message:", err.message);
+  console.error("Step:", err.step);
+  console.error("Stack:", err.stack);
+  console.error("=".repeat(60) + "\n");
+}
+
+/**
+ * Auto-import tickets from Zendesk (runs as a background job)
+ * Steps: fetch → (enrich → chunk → embed → upsert) per ticket batch
+ * Progress is checkpointed after every batch. Passing the importId of an
+ * earlier run resumes it: tickets it already completed are skipped.
+ * @param {object} params - { startDate, endDate, mode, filters, extractResolutions, importId }
+ * @param {object} job - Job record (see services/jobQueue.js)
+ * @param {function} report - Progress reporter
+ */
+export async function runAutoImport(params, job, report) {
+  const startTime = Date.now();
+  const cacheHitsBefore = getEmbeddingCacheStats().hits;
+  const { startDate, endDate, mode = 'standard', filters = null, extractResolutions = false } = params;
+  const importId = params.importId || job.id;
+
+  const checkpoint = getCheckpoint(importId) || createCheckpoint(importId, {
+    type: 'auto_import',
+    params: { startDate, endDate, mode, filters, extractResolutions }
+  });
+  const resumed = checkpoint.completedTicketIds.length > 0;
+
+  checkpoint.status = CHECKPOINT_STATUS.RUNNING;
+  checkpoint.jobIds.push(job.id);
+  checkpoint.lastError = null;
+  saveCheckpoint(checkpoint);
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🚀 AUTO-IMPORT ${resumed ? 'RESUMED' : 'STARTED'} (job ${job.id}, import ${importId})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`📅 Date Range: ${startDate} to ${endDate}`);
+    console.log(`⚙️  Mode: ${mode === 'quick' ? 'Quick (no enrichment)' : 'Standard (full enrichment)'}`);
+    console.log(`🔎 Filters: ${describeTicketFilters(filters)}`);
+    if (extractResolutions) {
+      console.log(`🧠 Resolution extraction: on`);
+    }
+    if (resumed) {
+      console.log(`⏩ Already imported: ${checkpoint.completedTicketIds.length} tickets`);
+    }
+    console.log(`${'='.repeat(60)}\n`);
+
+    console.log(`📋 Step 1: Fetching form field mappings...`);
+    report({ step: 'fetching', message: 'Loading form fields...', percent: PROGRESS.fetchStart });
+    const fieldsMap = await fetchFormFields();
+    console.log(`✅ Form fields loaded: ${Object.keys(fieldsMap).length} fields available\n`);
+
+    console.log(`📡 Step 2: Fetching tickets...`);
+    report({ step: 'fetching', message: 'Fetching tickets from Zendesk...' });
+    const { tickets, filteredOut } = await fetchFilteredTickets(startDate, endDate, filters);
+    console.log(`✅ Fetched ${tickets.length} tickets\n`);
+
+    const completedIds = new Set(checkpoint.completedTicketIds);
+    const remaining = tickets.filter(t => !completedIds.has(t.id));
+
+    report({
+      step: 'fetching',
+      message: resumed
+        ? `Fetched ${tickets.length} tickets, ${remaining.length} left to import`
+        : `Fetched ${tickets.length} tickets`,
+      percent: PROGRESS.fetched,
+      fetched: tickets.length,
+      totalTickets: remaining.length
+    });
+
+    checkpoint.totalTickets = tickets.length;
+    if (!checkpoint.zendeskRecordId) {
+      const customRecord = await createZendeskImportRecord({
+        startDate: startDate,
+        endDate: endDate,
+        ticketCount: tickets.length,
+        source: 'auto_import',
+        filters
+      });
+      checkpoint.zendeskRecordId = customRecord?.id || null;
+    }
+    saveCheckpoint(checkpoint);
+
+    if (tickets.length === 0) {
+      const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+      checkpoint.status = CHECKPOINT_STATUS.COMPLETED;
+      saveCheckpoint(checkpoint);
+
+      await logImportSuccess(job, {
+        source: 'auto_import',
+        dateRange: { start: startDate, end: endDate },
+        ticketsProcessed: 0,
+        totalChunks: 0,
+        processingTime,
+        zendeskRecordId: checkpoint.zendeskRecordId,
+        filters,
+        filteredOut
+      });
+
+      return {
+        status: filteredOut > 0 ? "No tickets matched the filters" : "No tickets found in date range",
+        importId: importId,
+        ticketsProcessed: 0,
+        totalChunks: 0,
+        filters: filters,
+        filteredOut: filteredOut,
+        processingTime: processingTime,
+        zendeskRecordId: checkpoint.zendeskRecordId,
+        dateRange: {
+          start: startDate,
+          end: endDate
+        }
+      };
+    }
+
+    const { failedTickets } = await processTickets(remaining, {
+      mode,
+      fieldsMap,
+      minComments: filters?.minComments,
+      extractResolutions,
+      onBatchComplete: (batch) => completeCheckpointBatch(checkpoint, batch)
+    }, report);
+
+    checkpoint.status = CHECKPOINT_STATUS.COMPLETED;
+    saveCheckpoint(checkpoint);
+
+    await logFailedTickets(failedTickets, { startDate, endDate, source: 'auto_import' });
+
+    const {
+      ticketsProcessed,
+      totalChunks,
+      skippedTickets = 0,
+      redactions = createRedactionStats(),
+      quality: qualityStats = createQualityStats(),
+      resolutions = null,
+      ...reindex
+    } = checkpoint.stats;
+    const quality = summarizeQualityStats(qualityStats);
+    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+    const cacheHits = getEmbeddingCacheStats().hits - cacheHitsBefore;
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ AUTO-IMPORT COMPLETED`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`📊 Statistics:`);
+    console.log(`   • Tickets Processed: ${ticketsProcessed}${resumed ? ` (${remaining.length} in this run)` : ''}`);
+    console.log(`   • Added / Updated / Unchanged: ${reindex.added} / ${reindex.updated} / ${reindex.unchanged}`);
+    console.log(`   • Total Chunks: ${totalChunks} (${reindex.chunks.embedded} embedded, ${reindex.chunks.removed} stale removed)`);
+    console.log(`   • Avg Chunks/Ticket: ${(totalChunks / Math.max(ticketsProcessed, 1)).toFixed(1)}`);
+    console.log(`   • Processing Time: ${processingTime}`);
+    console.log(`   • Cache Hits: ${cacheHits} embeddings`);
+    console.log(`   • Failed Tickets: ${checkpoint.failedTickets.length}`);
+    console.log(`   • Filtered Out: ${filteredOut} (+${skippedTickets} below min comments or quality threshold)`);
+    console.log(`   • Quality: avg ${quality.averageScore ?? '-'} (${quality.belowThreshold} below threshold, skipped)`);
+    console.log(`   • PII Redactions: ${redactions.total}`);
+    if (resolutions) {
+      console.log(`   • Resolutions Extracted: ${resolutions.extracted + resolutions.cached} (${resolutions.noResolution} without actionable fix, skipped)`);
+    }
+    console.log(`${'='.repeat(60)}\n`);
+
+    await logImportSuccess(job, {
+      source: 'auto_import',
+      dateRange: { start: startDate, end: endDate },
+      ticketsProcessed,
+      totalChunks,
+      processingTime,
+      zendeskRecordId: checkpoint.zendeskRecordId,
+      importId,
+      resumed,
+      filters,
+      filteredOut,
+      skippedTickets,
+      redactions,
+      ...failedTicketSummary(checkpoint.failedTickets),
+      added: reindex.added,
+      updated: reindex.updated,
+      unchanged: reindex.unchanged
+    });
+
+    return {
+      status: resumed ? "Import resumed and completed successfully" : "Import completed successfully",
+      importId: importId,
+      resumed: resumed,
+      ticketsProcessed: ticketsProcessed,
+      totalChunks: totalChunks,
+      ...reindex,
+      ...failedTicketSummary(checkpoint.failedTickets),
+      filters: filters,
+      filteredOut: filteredOut,
+      skippedTickets: skippedTickets,
+      redactions: redactions,
+      quality: quality,
+      ...(resolutions && { resolutions }),
+      processingTime: processingTime,
+      cacheHits: cacheHits,
+      zendeskRecordId: checkpoint.zendeskRecordId,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      }
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('AUTO-IMPORT ERROR', err);
+
+    checkpoint.status = CHECKPOINT_STATUS.FAILED;
+    checkpoint.lastError = { message: err.message, step: err.step, jobId: job.id };
+    saveCheckpoint(checkpoint);
+
+    // Create error record
+    const errorRecord = await createZendeskErrorImportRecord({
+      startDate: startDate || 'N/A',
+      endDate: endDate || 'N/A',
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'auto_import'
+    });
+
+    recordImportError({
+      source: 'auto_import',
+      jobId: job.id,
+      dateRange: { start: startDate || 'N/A', end: endDate || 'N/A' },
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: getSuggestionForError(err.message),
+      importId: importId,
+      resumable: true,
+      completedTickets: checkpoint.completedTicketIds.length,
+      resumeUrl: `/imports/${importId}/resume`
+    };
+    throw err;
+  }
+}
+
+/**
+ * Pick evenly spaced tickets so a sample covers the whole date range
+ */
+function sampleTickets(tickets, size) {
+  if (tickets.length <= size) return tickets;
+
+  const step = tickets.length / size;
+  return Array.from({ length: size }, (_, i) => tickets[Math.floor(i * step)]);
+}
+
+/**
+ * Read-only version of planReindex for dry runs: how many chunks would
+ * actually need embedding. Assumes everything is new if the index can't be listed.
+ * @returns {Promise<object>} { toEmbed, unchanged, tokens, checked }
+ */
+async function checkIndexedChunks(allChunks, prefixFor) {
+  try {
+    const { toEmbed, stats } = await planReindex(allChunks, prefixFor);
+    return {
+      toEmbed: toEmbed.length,
+      unchanged: stats.chunksUnchanged,
+      tokens: summarizeChunks(toEmbed.map(e => e.chunk)).tokens,
+      checked: true
+    };
+  } catch (err) {
+    console.warn(`⚠️  Could not compare with the index (${err.message}) - assuming all chunks are new`);
+    return {
+      toEmbed: allChunks.length,
+      unchanged: 0,
+      tokens: summarizeChunks(allChunks.map(e => e.chunk)).tokens,
+      checked: false
+    };
+  }
+}
+
+/**
+ * Build the dry-run estimate from (sampled) chunks
+ * @param {object} options - { ticketCount, sampleSize, allChunks, indexCheck, enrich, embeddingConfig, ticketBatchSize, fetchMs }
+ */
+function buildEstimate(options) {
+  const { ticketCount, sampleSize, allChunks, indexCheck, enrich, embeddingConfig, ticketBatchSize, fetchMs } = options;
+  const summary = summarizeChunks(allChunks.map(e => e.chunk));
+  const scaleUp = (value) => extrapolate(value, sampleSize, ticketCount);
+
+  const byType = Object.fromEntries(
+    Object.entries(summary.byType).map(([type, count]) => [type, scaleUp(count)])
+  );
+  const totalChunks = scaleUp(summary.total);
+  const chunksToEmbed = scaleUp(indexCheck.toEmbed);
+  const tokensToEmbed = scaleUp(indexCheck.tokens);
+  const totalTokens = scaleUp(summary.tokens);
+
+  return {
+    chunks: {
+      total: totalChunks,
+      byType,
+      perTicket: ticketCount ? Number((totalChunks / ticketCount).toFixed(1)) : 0,
+      toEmbed: chunksToEmbed,
+      alreadyIndexed: scaleUp(indexCheck.unchanged),
+      indexChecked: indexCheck.checked
+    },
+    tokens: {
+      total: totalTokens,
+      toEmbed: tokensToEmbed
+    },
+    cost: {
+      ...estimateCost(tokensToEmbed),
+      fullReindexUsd: estimateCost(totalTokens).usd
+    },
+    time: estimateDuration({
+      tickets: ticketCount,
+      chunksToEmbed,
+      tokensToEmbed,
+      enrich,
+      enrichment: ENRICHMENT,
+      embeddingConfig,
+      ticketBatchSize,
+      fetchMs
+    })
+  };
+}
+
+/**
+ * Dry run of an auto-import (runs as a background job)
+ * Fetches the tickets and chunks them, but embeds and upserts nothing.
+ * In standard mode only an evenly spaced sample is enriched (one comments
+ * request per ticket) and the counts are extrapolated to the full range.
+ * @param {object} params - { startDate, endDate, mode, sampleSize, filters }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runImportPreview(params, job, report) {
+  const { startDate, endDate, mode = 'standard', filters = null } = params;
+  const sampleSize = Math.max(parseInt(params.sampleSize) || DRY_RUN_SAMPLE_SIZE, 1);
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🔍 DRY RUN STARTED (job ${job.id})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`📅 Date Range: ${startDate} to ${endDate}`);
+    console.log(`⚙️  Mode: ${mode === 'quick' ? 'Quick (no enrichment)' : 'Standard (full enrichment)'}`);
+    console.log(`🔎 Filters: ${describeTicketFilters(filters)}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'fetching', message: 'Fetching tickets from Zendesk...', percent: PROGRESS.fetchStart });
+    const fetchStart = Date.now();
+    const fieldsMap = mode === 'quick' ? null : await fetchFormFields();
+    const { tickets, filteredOut } = await fetchFilteredTickets(startDate, endDate, filters);
+    const fetchMs = Date.now() - fetchStart;
+
+    // Quick mode needs no API calls per ticket, so every ticket is chunked
+    const sample = mode === 'quick' ? tickets : sampleTickets(tickets, sampleSize);
+
+    report({
+      step: 'fetching',
+      message: `Fetched ${tickets.length} tickets, chunking ${sample.length}`,
+      percent: PROGRESS.fetched,
+      fetched: tickets.length,
+      totalTickets: sample.length
+    });
+
+    const { enrichedTickets, failedEnrichments } = await enrichTickets(sample, { mode, fieldsMap }, report);
+    const degradedIds = new Set(failedEnrichments.filter(f => f.degraded).map(f => f.ticketId));
+    const { kept, skippedIds } = filterByCommentCount(enrichedTickets, filters?.minComments, degradedIds);
+    const gate = applyQualityGate(kept, { conversationKnown: mode !== 'quick', degradedIds });
+    const redacted = redactTickets(gate.kept);
+    const { allChunks } = chunkTickets(redacted.tickets);
+    tagTicketChunks(allChunks, redacted.tickets, degradedIds);
+
+    report({
+      step: 'chunking',
+      message: `Created ${allChunks.length} chunks, checking the index...`,
+      percent: PROGRESS.chunked,
+      chunked: allChunks.length,
+      totalChunks: allChunks.length
+    });
+
+    const indexCheck = await checkIndexedChunks(allChunks, ticketVectorPrefix);
+    const estimate = buildEstimate({
+      ticketCount: tickets.length,
+      sampleSize: sample.length,
+      allChunks,
+      indexCheck,
+      enrich: mode !== 'quick',
+      embeddingConfig: EMBEDDING_CONFIG,
+      ticketBatchSize: TICKET_BATCH_SIZE,
+      fetchMs
+    });
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ DRY RUN COMPLETED - nothing was imported`);
+    console.log(`   • Tickets: ${tickets.length} (${sample.length} sampled)`);
+    console.log(`   • Chunks: ~${estimate.chunks.total} (~${estimate.chunks.toEmbed} to embed)`);
+    console.log(`   • Tokens: ~${estimate.tokens.toEmbed}`);
+    console.log(`   • Cost: ~$${estimate.cost.usd}`);
+    console.log(`   • Time: ~${estimate.time.formatted}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    return {
+      status: "Dry run completed - nothing was imported",
+      dryRun: true,
+      mode: mode,
+      ticketsFound: tickets.length,
+      filters: filters,
+      filteredOut: filteredOut,
+      sample: {
+        tickets: sample.length,
+        exact: sample.length === tickets.length,
+        enrichmentFailures: failedEnrichments.length,
+        belowMinComments: skippedIds.length,
+        quality: summarizeQualityStats(gate.stats),
+        redactions: redacted.redactions
+      },
+      ...estimate,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      }
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('DRY RUN ERROR', err);
+
+    err.details = { suggestion: getSuggestionForError(err.message) };
+    throw err;
+  }
+}
+
+/**
+ * Dry run of a file import (runs as a background job)
+ * Parses and chunks the file, but embeds and upserts nothing.
+ * The uploaded file is removed when the job finishes.
+ * @param {object} file - { filePath, fileName, fileType }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runFilePreview(file, job, report) {
+  const { filePath, fileName, fileType, columnMapping = null, chunking = DOCUMENT_CHUNKING } = file;
+
+  try {
+    console.log(`\n🔍 FILE DRY RUN: ${fileName} (job ${job.id})`);
+
+    report({ step: 'parsing', message: `Reading ${fileName}...`, percent: PROGRESS.fetchStart });
+    const fileData = await extractTextFromFile(filePath, fileType, fileName, { columnMapping });
+
+    let tickets = [];
+    let allChunks;
+    let indexCheck;
+    let redactions = createRedactionStats();
+
+    if (fileData.type === 'tickets') {
+      ({ tickets, redactions } = redactTickets(extractTicketsFromJSON(fileData.data)));
+      allChunks = tickets.flatMap(ticket =>
+        chunkTicket(ticket).map((chunk, i) => ({ chunk, ticketId: ticket.ticket_id, chunkIndex: i }))
+      );
+      indexCheck = await checkIndexedChunks(allChunks, uploadedTicketVectorPrefix);
+    } else {
+      allChunks = chunkUploadedDocument(fileData.data, fileName, redactions, chunking);
+      indexCheck = await checkIndexedChunks(allChunks, documentVectorPrefix);
+    }
+
+    report({
+      step: 'chunking',
+      message: `Created ${allChunks.length} chunks`,
+      percent: PROGRESS.chunked,
+      fetched: tickets.length,
+      chunked: allChunks.length,
+      totalChunks: allChunks.length
+    });
+
+    const estimate = buildEstimate({
+      ticketCount: tickets.length,
+      sampleSize: tickets.length,
+      allChunks,
+      indexCheck,
+      enrich: false,
+      embeddingConfig: EMBEDDING_CONFIG,
+      ticketBatchSize: Math.max(tickets.length, 1),
+      fetchMs: 0
+    });
+
+    console.log(`✅ File dry run: ~${estimate.chunks.toEmbed} chunks to embed, ~$${estimate.cost.usd}, ~${estimate.time.formatted}\n`);
+
+    return {
+      status: "Dry run completed - nothing was imported",
+      dryRun: true,
+      fileName: fileName,
+      type: fileData.type,
+      ticketsFound: tickets.length,
+      csv: csvSummary(fileData.csv),
+      document: fileData.type === 'document' ? documentSummary(fileData.data, chunking) : null,
+      redactions: redactions,
+      ...estimate
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    console.error(`❌ File dry run failed:`, err.message);
+
+    err.details = { suggestion: getFileUploadSuggestion(err.message) };
+    throw err;
+  } finally {
+    if (filePath) {
+      cleanupFile(filePath);
+    }
+  }
+}
+
+/**
+ * Get persisted incremental sync state
+ * @returns {object} { cursor, lastSyncAt, ... } or an empty state before the first sync
+ */
+export function getSyncState() {
+  return readStore(SYNC_STATE_STORE, {
+    cursor: null,
+    lastSyncAt: null,
+    lastJobId: null,
+    ticketsSynced: 0
+  });
+}
+
+/**
+ * Incremental ticket sync (runs as a background job)
+ * Uses Zendesk's cursor-based incremental export so each run only picks up
+ * tickets created or updated since the previous sync. Old vectors of changed
+ * tickets are replaced, deleted tickets are removed from the index.
+ * The cursor is only saved after the changes are fully indexed, so a failed
+ * run is simply picked up again by the next one. Syncs with changes keep a
+ * checkpoint (importId = job ID) with their failed tickets for retries.
+ * @param {object} params - { startDate, mode, resetCursor, extractResolutions }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runTicketSync(params, job, report) {
+  const startTime = Date.now();
+  const { startDate = null, mode = 'standard', resetCursor = false, extractResolutions = false } = params;
+  const syncState = getSyncState();
+  const cursor = resetCursor ? null : syncState.cursor;
+  let checkpoint = null;
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🔁 INCREMENTAL SYNC STARTED (job ${job.id})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`📍 From: ${cursor ? `cursor (last sync ${syncState.lastSyncAt})` : startDate || `${SYNC_DEFAULT_LOOKBACK_DAYS} days ago`}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'fetching', message: 'Loading form fields...', percent: PROGRESS.fetchStart });
+    const fieldsMap = await fetchFormFields();
+
+    report({ step: 'fetching', message: 'Fetching changed tickets from Zendesk...' });
+    const startTimeSeconds = startDate
+      ? Math.floor(new Date(startDate).getTime() / 1000)
+      : Math.floor(Date.now() / 1000) - SYNC_DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60;
+
+    const { tickets, afterCursor } = await fetchIncrementalTickets(
+      cursor ? { cursor } : { startTime: startTimeSeconds }
+    );
+
+    const deletedTickets = tickets.filter(t => t.status === 'deleted');
+    const changedTickets = tickets.filter(t => t.status !== 'deleted');
+
+    report({
+      step: 'fetching',
+      message: `Fetched ${changedTickets.length} changed and ${deletedTickets.length} deleted tickets`,
+      percent: PROGRESS.fetched,
+      fetched: tickets.length,
+      totalTickets: changedTickets.length
+    });
+
+    // Changed tickets are re-indexed in place (stale chunks are replaced)
+    let processed = {
+      ticketsProcessed: 0,
+      totalChunks: 0,
+      reindex: { added: 0, updated: 0, unchanged: 0, chunks: { embedded: 0, unchanged: 0, removed: 0 } },
+      failedTickets: [],
+      redactions: createRedactionStats(),
+      quality: createQualityStats()
+    };
+    if (changedTickets.length > 0) {
+      checkpoint = createCheckpoint(job.id, { type: 'ticket_sync', params });
+      checkpoint.jobIds.push(job.id);
+      checkpoint.totalTickets = changedTickets.length;
+
+      processed = await processTickets(changedTickets, {
+        mode,
+        fieldsMap,
+        extractResolutions,
+        onBatchComplete: (batch) => completeCheckpointBatch(checkpoint, batch)
+      }, report);
+
+      checkpoint.status = CHECKPOINT_STATUS.COMPLETED;
+      saveCheckpoint(checkpoint);
+    }
+
+    // Deleted tickets lose all their vectors
+    const deletedIds = [];
+    for (const ticket of deletedTickets) {
+      deletedIds.push(...await listVectorIds(ticketVectorPrefix(ticket.id)));
+    }
+    if (deletedIds.length > 0) {
+      report({ step: 'cleanup', message: `Removing ${deletedIds.length} vectors of deleted tickets...` });
+      await deleteVectors(deletedIds);
+    }
+
+    writeStore(SYNC_STATE_STORE, {
+      cursor: afterCursor,
+      lastSyncAt: new Date().toISOString(),
+      lastJobId: job.id,
+      ticketsSynced: (resetCursor ? 0 : syncState.ticketsSynced || 0) + changedTickets.length
+    });
+
+    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+    const dateRange = {
+      start: syncState.lastSyncAt?.split('T')[0] || startDate || 'N/A',
+      end: new Date().toISOString().split('T')[0]
+    };
+    const customRecord = changedTickets.length > 0
+      ? await createZendeskImportRecord({
+          startDate: dateRange.start,
+          endDate: dateRange.end,
+          ticketCount: changedTickets.length,
+          source: 'incremental_sync'
+        })
+      : null;
+
+    await logFailedTickets(processed.failedTickets, {
+      startDate: dateRange.start,
+      endDate: dateRange.end,
+      source: 'incremental_sync'
+    });
+
+    // Empty syncs run often and would flood the history
+    if (changedTickets.length > 0 || deletedTickets.length > 0) {
+      await logImportSuccess(job, {
+        source: 'incremental_sync',
+        dateRange,
+        ticketsProcessed: processed.ticketsProcessed,
+        totalChunks: processed.totalChunks,
+        processingTime,
+        zendeskRecordId: customRecord?.id || null,
+        importId: checkpoint?.importId || null,
+        ticketsDeleted: deletedTickets.length,
+        redactions: processed.redactions,
+        ...failedTicketSummary(processed.failedTickets)
+      });
+    }
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ INCREMENTAL SYNC COMPLETED`);
+    console.log(`   • Changed Tickets: ${changedTickets.length}`);
+    console.log(`   • Deleted Tickets: ${deletedTickets.length}`);
+    console.log(`   • Added / Updated / Unchanged: ${processed.reindex.added} / ${processed.reindex.updated} / ${processed.reindex.unchanged}`);
+    console.log(`   • Chunks Embedded: ${processed.reindex.chunks.embedded}`);
+    console.log(`   • Vectors Removed: ${processed.reindex.chunks.removed + deletedIds.length}`);
+    console.log(`   • Failed Tickets: ${processed.failedTickets.length}`);
+    console.log(`   • Quality: avg ${summarizeQualityStats(processed.quality).averageScore ?? '-'} (${processed.quality.belowThreshold} below threshold, skipped)`);
+    console.log(`   • PII Redactions: ${processed.redactions.total}`);
+    if (processed.resolutions) {
+      console.log(`   • Resolutions Extracted: ${processed.resolutions.extracted + processed.resolutions.cached} (${processed.resolutions.noResolution} without actionable fix, skipped)`);
+    }
+    console.log(`   • Processing Time: ${processingTime}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    return {
+      status: changedTickets.length > 0 || deletedTickets.length > 0
+        ? "Sync completed successfully"
+        : "Already up to date",
+      importId: checkpoint?.importId || null,
+      ticketsProcessed: processed.ticketsProcessed,
+      ticketsDeleted: deletedTickets.length,
+      totalChunks: processed.totalChunks,
+      ...processed.reindex,
+      ...failedTicketSummary(processed.failedTickets),
+      redactions: processed.redactions,
+      quality: summarizeQualityStats(processed.quality),
+      ...(processed.resolutions && { resolutions: processed.resolutions }),
+      vectorsDeleted: deletedIds.length,
+      processingTime: processingTime,
+      zendeskRecordId: customRecord?.id || null
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('INCREMENTAL SYNC ERROR', err);
+
+    if (checkpoint) {
+      checkpoint.status = CHECKPOINT_STATUS.FAILED;
+      checkpoint.lastError = { message: err.message, step: err.step, jobId: job.id };
+      saveCheckpoint(checkpoint);
+    }
+
+    const dateRange = {
+      start: syncState.lastSyncAt?.split('T')[0] || startDate || 'N/A',
+      end: new Date().toISOString().split('T')[0]
+    };
+    const errorRecord = await createZendeskErrorImportRecord({
+      startDate: dateRange.start,
+      endDate: dateRange.end,
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'incremental_sync'
+    });
+
+    recordImportError({
+      source: 'incremental_sync',
+      jobId: job.id,
+      dateRange,
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: getSuggestionForError(err.message)
+    };
+    throw err;
+  }
+}
+
+/**
+ * Re-run the failed tickets of an earlier import or sync (runs as a background job)
+ * Tickets are fetched again by ID and always get full enrichment, so tickets
+ * that were indexed with fallback data are upgraded. Tickets that now succeed
+ * drop off the import's failed list; tickets deleted from Zendesk are dropped too.
+ * @param {object} params - { importId }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runRetryFailed({ importId }, job, report) {
+  const startTime = Date.now();
+  const checkpoint = getCheckpoint(importId);
+
+  if (!checkpoint) {
+    throw stepError('fetching', `Import ${importId} not found`);
+  }
+
+  const ticketIds = (checkpoint.failedTickets || []).map(f => f.ticketId);
+  checkpoint.jobIds.push(job.id);
+  saveCheckpoint(checkpoint);
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🔁 RETRYING ${ticketIds.length} FAILED TICKETS (job ${job.id}, import ${importId})`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'fetching', message: 'Loading form fields...', percent: PROGRESS.fetchStart });
+    const fieldsMap = await fetchFormFields();
+
+    report({ step: 'fetching', message: `Fetching ${ticketIds.length} failed tickets...` });
+    const tickets = await fetchTicketsByIds(ticketIds);
+
+    const foundIds = new Set(tickets.map(t => t.id));
+    const notFound = ticketIds.filter(id => !foundIds.has(id));
+    if (notFound.length > 0) {
+      console.warn(`⚠️  ${notFound.length} tickets no longer exist in Zendesk - dropping them`);
+      completeRetryBatch(checkpoint, { ticketIds: notFound, failedTickets: [] });
+    }
+
+    report({
+      step: 'fetching',
+      message: `Fetched ${tickets.length} tickets`,
+      percent: PROGRESS.fetched,
+      fetched: tickets.length,
+      totalTickets: tickets.length
+    });
+
+    // Retries apply the original import's comment filter and extract resolutions when it did
+    const { ticketsProcessed, totalChunks, reindex, redactions, quality, resolutions } = await processTickets(tickets, {
+      mode: 'standard',
+      fieldsMap,
+      minComments: checkpoint.params?.filters?.minComments,
+      extractResolutions: checkpoint.params?.extractResolutions ?? RESOLUTION_EXTRACTION_ENABLED,
+      onBatchComplete: (batch) => completeRetryBatch(checkpoint, batch)
+    }, report);
+
+    const retried = new Set(tickets.map(t => t.id));
+    const stillFailing = checkpoint.failedTickets.filter(f => retried.has(f.ticketId));
+    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ RETRY COMPLETED`);
+    console.log(`   • Recovered: ${tickets.length - stillFailing.length}`);
+    console.log(`   • Still Failing: ${stillFailing.length}`);
+    console.log(`   • Not Found: ${notFound.length}`);
+    console.log(`   • Processing Time: ${processingTime}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    await logImportSuccess(job, {
+      source: 'retry_failed',
+      ticketsProcessed,
+      totalChunks,
+      processingTime,
+      importId,
+      recovered: tickets.length - stillFailing.length,
+      stillFailing: stillFailing.length,
+      redactions
+    });
+
+    return {
+      status: stillFailing.length === 0 ? "All failed tickets recovered" : "Retry completed with failures",
+      importId: importId,
+      ticketsRetried: tickets.length,
+      recovered: tickets.length - stillFailing.length,
+      stillFailing: stillFailing.length,
+      ticketsNotFound: notFound.length,
+      totalChunks: totalChunks,
+      ...reindex,
+      ...failedTicketSummary(checkpoint.failedTickets),
+      redactions: redactions,
+      quality: summarizeQualityStats(quality),
+      ...(resolutions && { resolutions }),
+      processingTime: processingTime
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('RETRY FAILED TICKETS ERROR', err);
+
+    const errorRecord = await createZendeskErrorImportRecord({
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'retry_failed'
+    });
+
+    recordImportError({
+      source: 'retry_failed',
+      jobId: job.id,
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: getSuggestionForError(err.message),
+      importId: importId
+    };
+    throw err;
+  }
+}
+
+/**
+ * CSV parsing report for file job results (null for other files)
+ */
+function csvSummary(csv) {
+  if (!csv) return null;
+  return {
+    columnMapping: csv.columnMapping,
+    rowCount: csv.rowCount,
+    invalidRows: csv.rowErrors.length,
+    rowErrors: csv.rowErrors
+  };
+}
+
+/**
+ * Extracted document stats for file job results
+ */
+function documentSummary(document, chunking) {
+  return {
+    title: document.title,
+    format: document.format,
+    pages: document.pages || null,
+    sections: document.sections.length,
+    characters: document.sections.reduce((sum, section) => sum + section.text.length, 0),
+    chunkSize: chunking.size,
+    chunkOverlap: chunking.overlap
+  };
+}
+
+/**
+ * Log invalid CSV rows to the kb_import_errors custom object, one line per row
+ */
+async function logCsvRowErrors(rowErrors, fileName) {
+  if (rowErrors.length === 0) {
+    return null;
+  }
+
+  console.warn(`⚠️  ${rowErrors.length} CSV rows were skipped`);
+
+  return createZendeskErrorImportRecord({
+    startDate: 'N/A',
+    endDate: 'N/A',
+    errorMessage: `${rowErrors.length} invalid rows in ${fileName}`,
+    errorDetails: rowErrors
+      .map(e => `Row ${e.row}${e.ticketId ? ` (#${e.ticketId})` : ''}: ${e.errors.join(', ')}`)
+      .join('\n'),
+    source: 'file_import'
+  });
+}
+
+/**
+ * Import an uploaded file into the knowledge base (runs as a background job)
+ * The uploaded file is removed when the job finishes
+ * @param {object} file - { filePath, fileName, fileType }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runFileImport(file, job, report) {
+  const startTime = Date.now();
+  const { filePath, fileName, fileType, columnMapping = null, chunking = DOCUMENT_CHUNKING } = file;
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`📄 FILE UPLOAD STARTED (job ${job.id})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`📄 File Name: ${fileName}`);
+    console.log(`📋 MIME Type: ${fileType}`);
+    console.log(`📦 File Path: ${filePath}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'parsing', message: `Reading ${fileName}...`, percent: PROGRESS.fetchStart });
+    const fileData = await extractTextFromFile(filePath, fileType, fileName, { columnMapping });
+
+    if (fileData.type === 'tickets') {
+      const { tickets, redactions } = redactTickets(extractTicketsFromJSON(fileData.data));
+      console.log(`🎫 Found ${tickets.length} tickets in ${fileData.csv ? 'CSV' : 'JSON'}\n`);
+      report({
+        step: 'parsing',
+        message: `Found ${tickets.length} tickets`,
+        percent: PROGRESS.fetched,
+        fetched: tickets.length,
+        enriched: tickets.length,
+        totalTickets: tickets.length
+      });
+
+      // Create all chunks
+      console.log(`✂️  Creating chunks...`);
+      const allChunks = [];
+      for (const ticket of tickets) {
+        const chunks = chunkTicket(ticket);
+        allChunks.push(...chunks.map((chunk, i) => ({
+          chunk,
+          ticketId: ticket.ticket_id,
+          chunkIndex: i
+        })));
+      }
+      console.log(`✅ Created ${allChunks.length} chunks\n`);
+      report({
+        step: 'chunking',
+        message: `Created ${allChunks.length} chunks`,
+        percent: PROGRESS.chunked,
+        chunked: allChunks.length,
+        totalChunks: allChunks.length
+      });
+
+      // Re-index: unchanged chunks are skipped, stale ones replaced
+      const { reindex } = await indexTicketChunks(allChunks, {
+        prefixFor: uploadedTicketVectorPrefix,
+        metadata: {
+          source: 'manual_upload',
+          fileName: fileName,
+          uploadedAt: new Date().toISOString()
+        },
+        embeddingConfig: EMBEDDING_CONFIG
+      }, report);
+
+      const customRecord = await createZendeskImportRecord({
+        startDate: new Date().toISOString().split('T')[0],
+        endDate: new Date().toISOString().split('T')[0],
+        ticketCount: tickets.length,
+        source: 'file_import'
+      });
+
+      const rowErrorRecord = await logCsvRowErrors(fileData.csv?.rowErrors || [], fileName);
+
+      const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+      await logImportSuccess(job, {
+        source: 'file_import',
+        fileName,
+        ticketsProcessed: tickets.length,
+        totalChunks: allChunks.length,
+        processingTime,
+        zendeskRecordId: customRecord?.id || null,
+        redactions
+      });
+
+      return {
+        status: "File imported successfully",
+        fileName: fileName,
+        type: "tickets",
+        ticketsProcessed: tickets.length,
+        totalChunks: allChunks.length,
+        ...reindex,
+        csv: csvSummary(fileData.csv),
+        rowErrorRecordId: rowErrorRecord?.id || null,
+        redactions: redactions,
+        processingTime: processingTime,
+        zendeskRecordId: customRecord?.id || null
+      };
+
+    } else {
+      const document = fileData.data;
+      const redactions = createRedactionStats();
+      const allChunks = chunkUploadedDocument(document, fileName, redactions, chunking);
+      const { characters } = documentSummary(document, chunking);
+      if (redactions.total > 0) {
+        console.log(`🛡️  Redacted ${redactions.total} PII matches`);
+      }
+      console.log(`✅ Created ${allChunks.length} chunks (${characters} characters) from ${document.sections.length} sections\n`);
+      report({
+        step: 'chunking',
+        message: `Created ${allChunks.length} chunks from ${document.sections.length} sections`,
+        percent: PROGRESS.chunked,
+        chunked: allChunks.length,
+        totalChunks: allChunks.length
+      });
+
+      // Re-uploading the same file name replaces the chunks of the previous version
+      const { reindex } = await indexTicketChunks(allChunks, {
+        prefixFor: documentVectorPrefix,
+        metadata: {
+          source: 'manual_upload',
+          fileName: fileName,
+          uploadedAt: new Date().toISOString()
+        },
+        embeddingConfig: EMBEDDING_CONFIG
+      }, report);
+
+      // Text files used to be indexed as one truncated vector - drop it
+      if (document.rawText) {
+        await deleteVectors(legacyTextFileVectorIds(document.rawText));
+      }
+
+      const customRecord = await createZendeskImportRecord({
+        startDate: new Date().toISOString().split('T')[0],
+        endDate: new Date().toISOString().split('T')[0],
+        ticketCount: 0,
+        source: 'file_import'
+      });
+
+      const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+      await logImportSuccess(job, {
+        source: 'file_import',
+        fileName,
+        ticketsProcessed: 0,
+        totalChunks: allChunks.length,
+        processingTime,
+        zendeskRecordId: customRecord?.id || null,
+        redactions
+      });
+
+      return {
+        status: "File imported successfully",
+        fileName: fileName,
+        type: "document",
+        ...documentSummary(document, chunking),
+        totalChunks: allChunks.length,
+        chunks: reindex.chunks,
+        redactions: redactions,
+        processingTime: processingTime,
+        zendeskRecordId: customRecord?.id || null
+      };
+    }
+
+  } catch (err) {
+    err.step = err.step || job.step;
+
+    console.error("\n" + "=".repeat(60));
+    console.error("❌ FILE IMPORT ERROR");
+    console.error("=".repeat(60));
+    console.error("Error Message:", err.message);
+    console.error("Error Code:", err.code);
+    console.error("Step:", err.step);
+    console.error("Stack:", err.stack);
+    console.error("=".repeat(60) + "\n");
+
+    const errorRecord = await createZendeskErrorImportRecord({
+      startDate: 'N/A',
+      endDate: 'N/A',
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'file_import'
+    });
+
+    recordImportError({
+      source: 'file_import',
+      jobId: job.id,
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: getFileUploadSuggestion(err.message)
+    };
+    throw err;
+  } finally {
+    if (filePath) {
+      cleanupFile(filePath);
+    }
+  }
+}
+
+/**
+ * Chunk an extracted document and redact its text
+ * @param {object} document - { title, format, sections } from extractTextFromFile
+ * @param {string} fileName - Uploaded file name (one document per file name)
+ * @param {object} redactions - Redaction counters to update
+ * @param {object} chunking - { size, overlap }
+ * @returns {object[]} [{ chunk, ticketId: fileName, chunkIndex }] for indexTicketChunks
+ */
+function chunkUploadedDocument(document, fileName, redactions, chunking = DOCUMENT_CHUNKING) {
+  return chunkDocument(document, fileName, chunking).map((chunk, i) => ({
+    chunk: { ...chunk, text: redactText(chunk.text, {}, redactions) },
+    ticketId: fileName,
+    chunkIndex: i
+  }));
+}
+
+/**
+ * Chunk articles and redact their text
+ * @param {object[]} articles - Articles in chunkArticle's shape
+ * @param {object} redactions - Redaction counters to update
+ * @returns {object[]} [{ chunk, ticketId: articleId, chunkIndex }] for indexTicketChunks
+ */
+function chunkArticles(articles, redactions) {
+  return articles.flatMap(article => {
+    const brandRef = { brand: article.brand };
+    return chunkArticle(article).map((chunk, i) => ({
+      chunk: { ...chunk, text: redactText(chunk.text, brandRef, redactions) },
+      ticketId: article.id,
+      chunkIndex: i
+    }));
+  });
+}
+
+/**
+ * Import Zendesk Help Center (Guide) articles (runs as a background job)
+ * Articles are stripped of HTML and chunked by heading; each chunk keeps the
+ * article URL, section, locale and updated_at. Articles whose updated_at
+ * hasn't changed since the last import are skipped unless force is set.
+ * Drafts are never imported.
+ * @param {object} params - { locale, sectionIds, labels, brand, force }
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runHelpCenterImport(params, job, report) {
+  const startTime = Date.now();
+  const { locale = 'en-us', sectionIds = [], labels = [], brand = null, force = false } = params;
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`📚 HELP CENTER IMPORT STARTED (job ${job.id})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`🌐 Locale: ${locale}`);
+    console.log(`📂 Sections: ${sectionIds.length ? sectionIds.join(', ') : 'all'}`);
+    console.log(`🏷️  Labels: ${labels.length ? labels.join(', ') : 'any'}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'fetching', message: 'Fetching Help Center articles...', percent: PROGRESS.fetchStart });
+    const sections = await fetchHelpCenterSections(locale);
+    const fetched = await fetchHelpCenterArticles({ locale, sectionIds });
+
+    const published = fetched.filter(article => !article.draft);
+    const matching = labels.length > 0
+      ? published.filter(article => (article.label_names || []).some(label => labels.includes(label)))
+      : published;
+
+    const state = readStore(HELP_CENTER_STATE_STORE, {});
+    const stateKey = (article) => `${locale}:${article.id}`;
+    const changed = force
+      ? matching
+      : matching.filter(article => state[stateKey(article)] !== article.updated_at);
+    const unchangedArticles = matching.length - changed.length;
+
+    console.log(`✅ ${matching.length} articles match (${fetched.length - published.length} drafts skipped), ${changed.length} new or updated\n`);
+    report({
+      step: 'fetching',
+      message: `${changed.length} of ${matching.length} articles are new or updated`,
+      percent: PROGRESS.fetched,
+      fetched: matching.length,
+      totalTickets: changed.length
+    });
+
+    const redactions = createRedactionStats();
+    const reindex = { added: 0, updated: 0, unchanged: 0, chunks: { embedded: 0, unchanged: 0, removed: 0 } };
+    let totalChunks = 0;
+
+    for (let i = 0; i < changed.length; i += ARTICLE_BATCH_SIZE) {
+      const batch = changed.slice(i, i + ARTICLE_BATCH_SIZE);
+      const batchReport = batchReporter(report, {
+        from: scale(i, changed.length, PROGRESS.fetched, PROGRESS.done),
+        to: scale(i + batch.length, changed.length, PROGRESS.fetched, PROGRESS.done),
+        offsets: { chunked: totalChunks, totalChunks, embedded: reindex.chunks.embedded, upserted: reindex.chunks.embedded }
+      });
+
+      const allChunks = chunkArticles(batch.map(article => ({
+        id: article.id,
+        title: article.title,
+        body: article.body,
+        url: article.html_url,
+        section: sections[article.section_id]?.name,
+        section_id: article.section_id,
+        locale: article.locale || locale,
+        updated_at: article.updated_at,
+        labels: article.label_names,
+        brand
+      })), redactions);
+
+      batchReport({
+        step: 'chunking',
+        message: `Created ${allChunks.length} chunks from ${batch.length} articles`,
+        percent: PROGRESS.chunked,
+        chunked: allChunks.length,
+        totalChunks: allChunks.length
+      });
+
+      if (allChunks.length > 0) {
+        const { reindex: batchReindex } = await indexTicketChunks(allChunks, {
+          prefixFor: (articleId) => helpCenterVectorPrefix(locale, articleId),
+          metadata: { source: 'help_center' },
+          embeddingConfig: EMBEDDING_CONFIG
+        }, batchReport);
+
+        reindex.added += batchReindex.added;
+        reindex.updated += batchReindex.updated;
+        reindex.unchanged += batchReindex.unchanged;
+        reindex.chunks.embedded += batchReindex.chunks.embedded;
+        reindex.chunks.unchanged += batchReindex.chunks.unchanged;
+        reindex.chunks.removed += batchReindex.chunks.removed;
+      }
+      totalChunks += allChunks.length;
+
+      // Remember what was imported after every batch, so a failed run only redoes the rest
+      for (const article of batch) {
+        state[stateKey(article)] = article.updated_at;
+      }
+      writeStore(HELP_CENTER_STATE_STORE, state);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const customRecord = changed.length > 0
+      ? await createZendeskImportRecord({
+          startDate: today,
+          endDate: today,
+          ticketCount: changed.length,
+          source: 'help_center'
+        })
+      : null;
+
+    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ HELP CENTER IMPORT COMPLETED`);
+    console.log(`   • Articles Imported: ${changed.length}`);
+    console.log(`   • Articles Unchanged (skipped): ${unchangedArticles}`);
+    console.log(`   • Chunks: ${totalChunks} (${reindex.chunks.embedded} embedded, ${reindex.chunks.removed} stale removed)`);
+    console.log(`   • PII Redactions: ${redactions.total}`);
+    console.log(`   • Processing Time: ${processingTime}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    await logImportSuccess(job, {
+      source: 'help_center',
+      dateRange: { start: today, end: today },
+      ticketsProcessed: changed.length,
+      totalChunks,
+      processingTime,
+      zendeskRecordId: customRecord?.id || null,
+      locale,
+      articlesFound: matching.length,
+      articlesUnchanged: unchangedArticles,
+      redactions
+    });
+
+    return {
+      status: changed.length > 0 ? "Help Center import completed successfully" : "All articles already up to date",
+      locale: locale,
+      articlesFound: matching.length,
+      articlesImported: changed.length,
+      articlesUnchanged: unchangedArticles,
+      draftsSkipped: fetched.length - published.length,
+      totalChunks: totalChunks,
+      ...reindex,
+      redactions: redactions,
+      processingTime: processingTime,
+      zendeskRecordId: customRecord?.id || null
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('HELP CENTER IMPORT ERROR', err);
+
+    const errorRecord = await createZendeskErrorImportRecord({
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'help_center'
+    });
+
+    recordImportError({
+      source: 'help_center',
+      jobId: job.id,
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: err.response?.status === 404
+        ? `Locale or section not found - check that '${locale}' is enabled in your Help Center`
+        : getSuggestionForError(err.message)
+    };
+    throw err;
+  }
+}
+
+/**
+ * Import active shared Zendesk macros as answer snippets (runs as a background job)
+ * Each macro's comment text is indexed with source 'macro', so compose-reply
+ * can suggest the macro itself next to the generated reply. Macros are written
+ * by staff, so they aren't redacted. Vectors of macros that were deactivated,
+ * deleted or lost their comment text are removed.
+ * @param {object} params - Unused, kept for the job queue signature
+ * @param {object} job - Job record
+ * @param {function} report - Progress reporter
+ */
+export async function runMacroImport(params, job, report) {
+  const startTime = Date.now();
+
+  try {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`🧩 MACRO IMPORT STARTED (job ${job.id})`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    report({ step: 'fetching', message: 'Fetching shared macros...', percent: PROGRESS.fetchStart });
+    const fieldsMap = await fetchFormFields();
+    const macros = await fetchSharedMacros();
+
+    const allChunks = macros.flatMap(macro =>
+      chunkMacro(macro, fieldsMap).map((chunk, i) => ({ chunk, ticketId: macro.id, chunkIndex: i }))
+    );
+    const indexedIds = new Set(allChunks.map(entry => String(entry.ticketId)));
+
+    report({
+      step: 'chunking',
+      message: `Created ${allChunks.length} chunks from ${indexedIds.size} macros`,
+      percent: PROGRESS.chunked,
+      fetched: macros.length,
+      totalTickets: indexedIds.size,
+      chunked: allChunks.length,
+      totalChunks: allChunks.length
+    });
+
+    let reindex = { added: 0, updated: 0, unchanged: 0, chunks: { embedded: 0, unchanged: 0, removed: 0 } };
+    if (allChunks.length > 0) {
+      ({ reindex } = await indexTicketChunks(allChunks, {
+        prefixFor: macroVectorPrefix,
+        metadata: { source: 'macro' },
+        embeddingConfig: EMBEDDING_CONFIG
+      }, report));
+    }
+
+    const removedIds = (await listVectorIds('macro-'))
+      .filter(id => !indexedIds.has(id.match(/^macro-(\d+)-/)?.[1]));
+    if (removedIds.length > 0) {
+      report({ step: 'cleanup', message: `Removing ${removedIds.length} chunks of inactive macros...` });
+      await deleteVectors(removedIds);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const customRecord = indexedIds.size > 0
+      ? await createZendeskImportRecord({
+          startDate: today,
+          endDate: today,
+          ticketCount: indexedIds.size,
+          source: 'macro'
+        })
+      : null;
+
+    const processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+
+    console.log(`${'='.repeat(60)}`);
+    console.log(`✅ MACRO IMPORT COMPLETED`);
+    console.log(`   • Macros Indexed: ${indexedIds.size} of ${macros.length}`);
+    console.log(`   • Chunks: ${allChunks.length} (${reindex.chunks.embedded} embedded, ${reindex.chunks.removed} stale removed)`);
+    console.log(`   • Inactive Macro Chunks Removed: ${removedIds.length}`);
+    console.log(`   • Processing Time: ${processingTime}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    await logImportSuccess(job, {
+      source: 'macro',
+      dateRange: { start: today, end: today },
+      ticketsProcessed: indexedIds.size,
+      totalChunks: allChunks.length,
+      processingTime,
+      zendeskRecordId: customRecord?.id || null,
+      macrosFound: macros.length
+    });
+
+    return {
+      status: "Macro import completed successfully",
+      macrosFound: macros.length,
+      macrosIndexed: indexedIds.size,
+      macrosWithoutComment: macros.length - indexedIds.size,
+      totalChunks: allChunks.length,
+      ...reindex,
+      inactiveChunksRemoved: removedIds.length,
+      processingTime: processingTime,
+      zendeskRecordId: customRecord?.id || null
+    };
+
+  } catch (err) {
+    err.step = err.step || job.step;
+    logImportFailure('MACRO IMPORT ERROR', err);
+
+    const errorRecord = await createZendeskErrorImportRecord({
+      errorMessage: err.message,
+      errorDetails: err.stack || err.toString(),
+      source: 'macro'
+    });
+
+    recordImportError({
+      source: 'macro',
+      jobId: job.id,
+      errorMessage: err.message,
+      step: err.step,
+      zendeskRecordId: errorRecord?.id || null
+    });
+
+    err.details = {
+      zendeskErrorRecordId: errorRecord?.id || null,
+      suggestion: err.response?.status === 403
+        ? 'The Zendesk API user needs permission to read shared macros'
+        : getSuggestionForError(err.message)
+    };
+    throw err;
+  }
+}
+
+/**
+ * Index knowledge base articles posted to /ingest-kb
+ * Chunked by heading like Help Center articles and stored as manual_upload,
+ * so replies treat them as authoritative KB content.
+ * @param {object[]} articles - [{ id, title, content (HTML or text), url, brand }]
+ * @returns {Promise<object>} { totalChunks, reindex, redactions }
+ */
+export async function ingestArticles(articles) {
+  const redactions = createRedactionStats();
+  const allChunks = chunkArticles(articles.map(article => ({
+    id: article.id,
+    title: article.title,
+    body: article.content,
+    url: article.url,
+    brand: article.brand
+  })), redactions);
+
+  if (allChunks.length === 0) {
+    throw stepError('chunking', 'No content found in the articles');
+  }
+
+  const { reindex } = await indexTicketChunks(allChunks, {
+    prefixFor: ingestedArticleVectorPrefix,
+    metadata: { source: 'manual_upload' },
+    embeddingConfig: EMBEDDING_CONFIG
+  }, () => {});
+
+  // Vectors from before chunking used the bare article ID
+  await deleteVectors(articles.map(article => `article-${article.id}`));
+
+  return { totalChunks: allChunks.length, reindex, redactions };
+}
@@ -0,0 +1,235 @@
+import { embedTextBatch } from "./embedding.js";
+import { getEmbeddingProvider } from "../config/embedding.js";
+import {
+  getIndexState,
+  updateIndexState,
+  getActiveIndexName,
+  switchIndex,
+  describeNamedIndex,
+  createNamedIndex,
+  deleteNamedIndex,
+  scanIndex,
+  upsertToIndex,
+  deleteFromIndex,
+  clearIndex,
+  takeMigrationDeletes
+} from "../config/vectorStore.js";
+
+/**
+ * Index migrations (e.g. after changing the embedding model or dimensions)
+ * Every chunk of the active index is re-embedded from the text saved in its
+ * metadata.content into a new versioned index (zendesk-kb → zendesk-kb-v2 →
+ * zendesk-kb-v3 ...). Reads switch to it in one step once every chunk is
+ * copied. Writes made meanwhile go to both indexes. The old index is only
+ * deleted when an admin confirms; until then reads can be rolled back to it.
+ */
+const MIGRATION_CONFIG = {
+  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY || "2")
+};
+
+// Skipped chunk IDs kept in the migration state (the count is always complete)
+const MAX_SKIPPED_IDS = 100;
+
+/**
+ * Next versioned name of an index ('zendesk-kb' → 'zendesk-kb-v2')
+ */
+export function nextIndexName(name) {
+  const match = name.match(/^(.*)-v(\d+)$/);
+  return match ? `${match[1]}-v${parseInt(match[2]) + 1}` : `${name}-v2`;
+}
+
+/**
+ * Migration state for the admin endpoints
+ * @returns {Promise<object>} { activeIndex, previousIndex, migration }
+ */
+export async function getMigrationStatus() {
+  const state = getIndexState();
+  return {
+    activeIndex: await getActiveIndexName(),
+    previousIndex: state.previousIndex,
+    migration: state.migration
+  };
+}
+
+/**
+ * Source and target of a new migration. A failed or interrupted migration
+ * from the same index is resumed into its target (copied again from the
+ * start, see runIndexMigration).
+ * @returns {Promise<object>} { fromIndex, toIndex, resumed }
+ */
+export async function planMigration() {
+  const { migration } = getIndexState();
+  const fromIndex = await getActiveIndexName();
+
+  if (migration && ['failed', 'interrupted'].includes(migration.status) && migration.fromIndex === fromIndex) {
+    return { fromIndex, toIndex: migration.toIndex, resumed: true };
+  }
+  return { fromIndex, toIndex: nextIndexName(fromIndex), resumed: false };
+}
+
+/**
+ * Job handler: re-embed the active index into a new one and switch to it
+ * @param {object} params - { fromIndex, toIndex } from planMigration
+ * @param {object} job - Job record (see services/jobQueue.js)
+ * @param {function} report - Progress reporter
+ */
+export async function runIndexMigration(params, job, report) {
+  const { fromIndex, toIndex } = params;
+  const provider = getEmbeddingProvider();
+  const startTime = Date.now();
+
+  report({ step: 'preparing', message: `Preparing ${toIndex}...`, percent: 0 });
+
+  const source = await describeNamedIndex(fromIndex);
+  if (!source) {
+    throw new Error(`Index ${fromIndex} not found`);
+  }
+
+  const target = await describeNamedIndex(toIndex);
+  if (!target) {
+    await createNamedIndex(toIndex, provider.dimensions);
+  } else if (target.dimension !== provider.dimensions) {
+    throw new Error(`Index ${toIndex} already exists with ${target.dimension} dimensions (the embedding provider returns ${provider.dimensions})`);
+  } else if (params.resumed && target.vectorCount > 0) {
+    // Chunks deleted while the migration was stopped are still in its index -
+    // copy everything again (cached embeddings are reused)
+    console.log(`🔀 Clearing ${target.vectorCount} vectors copied to ${toIndex} before the interruption`);
+    await clearIndex(toIndex);
+  }
+
+  const migration = {
+    jobId: job.id,
+    fromIndex,
+    toIndex,
+    status: 'running',
+    embedding: { provider: provider.name, model: provider.model, dimensions: provider.dimensions },
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    total: source.vectorCount,
+    migrated: 0,
+    skipped: 0,
+    skippedIds: [],
+    error: null
+  };
+  // Progress is saved over the deletes config/vectorStore.js records meanwhile
+  const saveMigration = (changes = {}) => updateIndexState({
+    migration: { ...getIndexState().migration, ...migration, ...changes }
+  });
+  updateIndexState({ migration: { ...migration, pendingDeletes: [] } });
+  console.log(`🔀 Migrating ${source.vectorCount} vectors: ${fromIndex} → ${toIndex} (${provider.model}, ${provider.dimensions} dimensions)`);
+
+  try {
+    await scanIndex(fromIndex, async (page) => {
+      const records = page.filter(record => typeof record.metadata.content === 'string' && record.metadata.content.trim());
+
+      // Chunks without their text can't be re-embedded
+      const skipped = page.filter(record => !records.includes(record));
+      migration.skipped += skipped.length;
+      migration.skippedIds.push(...skipped.map(record => record.id).slice(0, MAX_SKIPPED_IDS - migration.skippedIds.length));
+
+      if (records.length > 0) {
+        const embeddings = await embedTextBatch(records.map(record => record.metadata.content), MIGRATION_CONFIG);
+        await upsertToIndex(toIndex, records.map((record, idx) => ({
+          id: record.id,
+          values: embeddings[idx],
+          metadata: record.metadata
+        })));
+        migration.migrated += records.length;
+      }
+
+      saveMigration();
+      const done = migration.migrated + migration.skipped;
+      report({
+        step: 'migrating',
+        message: `Re-embedded ${migration.migrated}/${migration.total} chunks`,
+        percent: migration.total ? (done / migration.total) * 95 : 95,
+        totalChunks: migration.total,
+        embedded: migration.migrated,
+        upserted: migration.migrated,
+        failed: migration.skipped
+      });
+    });
+
+    // Chunks deleted from the old index after they were copied
+    await deleteFromIndex(toIndex, takeMigrationDeletes());
+
+    migration.status = 'completed';
+    migration.completedAt = new Date().toISOString();
+    await switchIndex(toIndex, { previousIndex: fromIndex, migration });
+  } catch (error) {
+    saveMigration({ status: 'failed', error: error.message });
+    throw error;
+  }
+
+  if (migration.skipped > 0) {
+    console.warn(`⚠️ ${migration.skipped} chunks had no metadata.content and were not migrated`);
+  }
+  console.log(`✅ Index migration complete: reads now use ${toIndex} (${fromIndex} kept until confirmed)`);
+
+  return {
+    status: `Migrated to ${toIndex}`,
+    fromIndex,
+    toIndex,
+    total: migration.total,
+    migrated: migration.migrated,
+    skipped: migration.skipped,
+    skippedIds: migration.skippedIds,
+    processingTime: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+  };
+}
+
+/**
+ * Roll back the last migration
+ * A completed migration switches reads back to the old index (the new one
+ * is kept, so confirming afterwards deletes it). An unfinished one is
+ * abandoned and its partial index deleted - reads never used it. A rolled
+ * back migration can't be rolled forward: its index missed every write since.
+ * @returns {Promise<object>} Migration status after the rollback
+ */
+export async function rollbackMigration() {
+  const { previousIndex, migration } = getIndexState();
+  const activeIndex = await getActiveIndexName();
+
+  if (migration && ['failed', 'interrupted'].includes(migration.status)) {
+    if (await describeNamedIndex(migration.toIndex)) {
+      await deleteNamedIndex(migration.toIndex);
+    }
+    updateIndexState({ migration: { ...migration, status: 'abandoned' } });
+  } else if (migration?.status === 'rolled_back') {
+    throw new Error(`${previousIndex} is out of date since the rollback - confirm to delete it, then start a new migration`);
+  } else if (previousIndex) {
+    await switchIndex(previousIndex, {
+      previousIndex: activeIndex,
+      migration: migration && { ...migration, status: 'rolled_back', rolledBackAt: new Date().toISOString() }
+    });
+  } else {
+    throw new Error("Nothing to roll back");
+  }
+
+  return getMigrationStatus();
+}
+
+/**
+ * Confirm the last migration by deleting the index reads no longer use
+ * @param {string} indexName - Must name the previous index (guards against mistakes)
+ * @returns {Promise<object>} Migration status after the deletion
+ */
+export async function confirmMigration(indexName) {
+  const { previousIndex, migration } = getIndexState();
+
+  if (!previousIndex) {
+    throw new Error("No previous index to delete");
+  }
+  if (indexName !== previousIndex) {
+    throw new Error(`deleteIndex must be "${previousIndex}"`);
+  }
+
+  await deleteNamedIndex(previousIndex);
+  updateIndexState({
+    previousIndex: null,
+    migration: migration && { ...migration, status: migration.status === 'rolled_back' ? 'discarded' : 'confirmed' }
+  });
+  console.log(`✅ Index migration confirmed - deleted ${previousIndex}`);
+
+  return getMigrationStatus();
+}
@@ -0,0 +1,248 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import PQueue from "p-queue";
+import { readStore, writeStore } from "./localStore.js";
+
+// Imports hit the same Zendesk/OpenAI rate limits, so run them one at a time
+const JOB_CONCURRENCY = parseInt(process.env.IMPORT_JOB_CONCURRENCY || "1");
+const MAX_FINISHED_JOBS = 100;
+const JOB_STORE = 'jobs';
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  // Was queued or running when the server stopped
+  INTERRUPTED: "interrupted"
+};
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+const queue = new PQueue({ concurrency: JOB_CONCURRENCY });
+
+// One SSE listener per open Navbar stream
+jobEvents.setMaxListeners(0);
+
+function emptyProgress() {
+  return {
+    fetched: 0,
+    enriched: 0,
+    chunked: 0,
+    embedded: 0,
+    upserted: 0,
+    failed: 0,
+    totalTickets: 0,
+    totalChunks: 0
+  };
+}
+
+/**
+ * Public view of a job (safe to send to the client)
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    step: job.step,
+    message: job.message,
+    percent: job.percent,
+    progress: { ...job.progress },
+    params: job.params,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function emitJob(job) {
+  job.updatedAt = new Date().toISOString();
+  jobEvents.emit(job.id, serializeJob(job));
+}
+
+/**
+ * Save job records so status survives a restart
+ * Called on state changes only, not on every progress tick
+ */
+function persistJobs() {
+  try {
+    writeStore(JOB_STORE, [...jobs.values()].map(serializeJob));
+  } catch (err) {
+    console.warn(`⚠️ Could not persist jobs:`, err.message);
+  }
+}
+
+/**
+ * Load jobs from the previous run. Jobs that were still queued or running
+ * when the server stopped are marked as interrupted.
+ */
+function restoreJobs() {
+  const saved = readStore(JOB_STORE, []);
+  let interrupted = 0;
+
+  for (const job of saved) {
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+      job.status = JOB_STATUS.INTERRUPTED;
+      job.message = "Interrupted by a server restart";
+      job.error = { message: job.message, step: job.step };
+      job.finishedAt = new Date().toISOString();
+      interrupted++;
+    }
+    jobs.set(job.id, job);
+  }
+
+  if (interrupted > 0) {
+    console.warn(`⚠️ ${interrupted} import job(s) were interrupted by a restart`);
+    persistJobs();
+  }
+}
+
+restoreJobs();
+
+/**
+ * Drop the oldest finished jobs so the registry doesn't grow forever
+ */
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()]
+    .filter(isJobFinished)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  while (finished.length > MAX_FINISHED_JOBS) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+/**
+ * Build the progress reporter handed to job handlers
+ * @param {object} job - Job being executed
+ * @returns {function} report({ step, message, percent, ...counters })
+ */
+function createReporter(job) {
+  return function report(update = {}) {
+    const { step, message, percent, ...counters } = update;
+
+    if (step) job.step = step;
+    if (message) job.message = message;
+    if (typeof percent === "number") {
+      job.percent = Math.max(0, Math.min(100, Math.round(percent)));
+    }
+
+    for (const [key, value] of Object.entries(counters)) {
+      if (key in job.progress && typeof value === "number") {
+        job.progress[key] = value;
+      }
+    }
+
+    emitJob(job);
+  };
+}
+
+/**
+ * Enqueue a background job
+ * @param {string} type - Job type (e.g. 'auto_import', 'file_import')
+ * @param {object} params - Parameters shown in job status
+ * @param {function} handler - async (job, report) => result
+ * @returns {object} The created job
+ */
+export function enqueueJob(type, params, handler) {
+  const job = {
+    id: randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    step: "queued",
+    message: "Waiting in queue...",
+    percent: 0,
+    progress: emptyProgress(),
+    params,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: null
+  };
+
+  jobs.set(job.id, job);
+  persistJobs();
+  console.log(`📥 Job queued: ${job.id} (${type}) | ${queue.size + queue.pending} job(s) ahead`);
+
+  queue.add(async () => {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.message = "Starting...";
+    emitJob(job);
+    persistJobs();
+
+    try {
+      job.result = await handler(job, createReporter(job));
+      job.status = JOB_STATUS.COMPLETED;
+      job.step = "completed";
+      job.percent = 100;
+      job.message = job.result?.status || "Completed";
+    } catch (err) {
+      console.error(`❌ Job ${job.id} failed:`, err.message);
+      job.status = JOB_STATUS.FAILED;
+      job.step = "failed";
+      job.error = {
+        message: err.message,
+        step: err.step || "unknown",
+        ...(err.details || {})
+      };
+      job.message = err.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      emitJob(job);
+      pruneFinishedJobs();
+      persistJobs();
+    }
+  });
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * List jobs (most recent first)
+ */
+export function listJobs(limit = 20) {
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(serializeJob);
+}
+
+/**
+ * Find a queued or running job of a given type
+ */
+export function findActiveJob(type) {
+  return [...jobs.values()].find(j =>
+    j.type === type && (j.status === JOB_STATUS.QUEUED || j.status === JOB_STATUS.RUNNING)
+  ) || null;
+}
+
+/**
+ * Check whether a job has reached a final state
+ */
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED
+    || job.status === JOB_STATUS.FAILED
+    || job.status === JOB_STATUS.INTERRUPTED;
+}
+
+/**
+ * Subscribe to job updates
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Small JSON file store for state that must survive restarts
+ * (sync cursors, import history, checkpoints...)
+ * Files live in DATA_DIR (default: ./data), one file per store name.
+ */
+const DATA_DIR = process.env.DATA_DIR || 'data';
+
+function storePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+/**
+ * Read a store from disk
+ * @param {string} name - Store name (file name without extension)
+ * @param {any} fallback - Value returned when the store doesn't exist yet
+ */
+export function readStore(name, fallback = null) {
+  const filePath = storePath(name);
+
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.warn(`⚠️ Could not read store '${name}':`, err.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write a store to disk
+ * Writes to a temp file first so a crash never leaves a half-written store
+ * @param {string} name - Store name
+ * @param {any} data - JSON-serializable data
+ */
+export function writeStore(name, data) {
+  const filePath = storePath(name);
+  const tmpPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Delete a store from disk
+ */
+export function deleteStore(name) {
+  const filePath = storePath(name);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+export { DATA_DIR };
@@ -0,0 +1,210 @@
+import { getBrandSettings } from "../config/brands.js";
+
+/**
+ * PII redaction
+ * Runs between enrichment and chunking, so personal data never reaches the
+ * embeddings, Pinecone metadata or (through retrieval) replies to other
+ * customers. Matches are replaced with typed placeholders like [EMAIL].
+ * Per-brand settings live in the 'redaction' section of the brand config
+ * (config/brands.js): { enabled, detectors, customPatterns: [{ name, pattern, flags, placeholder }] }
+ */
+
+/**
+ * Built-in detectors, always applied in this order (cards and IPs before
+ * phones, so they aren't half-matched as phone numbers)
+ */
+const DETECTORS = {
+  email: {
+    placeholder: '[EMAIL]',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  credit_card: {
+    placeholder: '[CARD]',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => passesLuhn(match.replace(/\D/g, ''))
+  },
+  card_fragment: {
+    placeholder: '[CARD]',
+    // "card ending in 4242", "last 4 digits: 4242" - only the digits are replaced
+    pattern: /\b((?:ending (?:in|with)|ends (?:in|with)|last (?:4|four)(?: digits)?(?: of (?:the |my )?card)?)\s*(?:is\s*)?:?\s*)\d{4}\b/gi,
+    replace: (match, prefix) => `${prefix}[CARD]`
+  },
+  iban: {
+    placeholder: '[IBAN]',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g
+  },
+  ssn: {
+    placeholder: '[SSN]',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  ip_address: {
+    placeholder: '[IP_ADDRESS]',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+  },
+  phone: {
+    placeholder: '[PHONE]',
+    pattern: /(?<![\w.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?![\w-])|\+\d{8,15}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      // Dates (2024-01-15, 15.01.2024) aren't phone numbers
+      const isDate = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}\b|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(match);
+      return digits >= 7 && digits <= 15 && !isDate;
+    }
+  },
+  street_address: {
+    placeholder: '[ADDRESS]',
+    // English-style street addresses: "221B Baker Street", "1600 Amphitheatre Pkwy"
+    pattern: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Terrace|Square|Sq)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Unit|#)\.?\s*\w+)?/g
+  }
+};
+
+export const BUILT_IN_DETECTORS = Object.keys(DETECTORS);
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Compiled rule lists per brand, so custom regexes are only built once
+const rulesCache = new Map();
+
+/**
+ * Build the ordered list of redaction rules for a brand
+ * Invalid custom patterns are skipped with a warning.
+ */
+function getRedactionRules(brandRef = {}) {
+  const cacheKey = `${brandRef.brandId || ''}|${brandRef.brand || ''}`;
+  if (rulesCache.has(cacheKey)) {
+    return rulesCache.get(cacheKey);
+  }
+
+  const settings = getBrandSettings('redaction', brandRef);
+  const enabled = settings.enabled !== false && process.env.PII_REDACTION !== 'false';
+  const rules = [];
+
+  if (enabled) {
+    const detectors = settings.detectors || BUILT_IN_DETECTORS;
+    for (const name of detectors.filter(d => !DETECTORS[d])) {
+      console.warn(`⚠️ Unknown redaction detector '${name}' - skipped`);
+    }
+
+    for (const name of BUILT_IN_DETECTORS.filter(d => detectors.includes(d))) {
+      rules.push({ type: name === 'card_fragment' ? 'credit_card' : name, ...DETECTORS[name] });
+    }
+
+    for (const custom of settings.customPatterns || []) {
+      try {
+        const flags = custom.flags || 'g';
+        rules.push({
+          type: custom.name,
+          placeholder: custom.placeholder || `[${custom.name.toUpperCase()}]`,
+          pattern: new RegExp(custom.pattern, flags.includes('g') ? flags : `${flags}g`)
+        });
+      } catch (err) {
+        console.warn(`⚠️ Invalid redaction pattern '${custom.name}':`, err.message);
+      }
+    }
+  }
+
+  rulesCache.set(cacheKey, rules);
+  return rules;
+}
+
+/**
+ * Empty redaction counters: { total, byType: { [type]: count } }
+ */
+export function createRedactionStats() {
+  return { total: 0, byType: {} };
+}
+
+/**
+ * Add one set of redaction counters to another
+ */
+export function mergeRedactionStats(target, source) {
+  if (!source) return target;
+
+  target.total += source.total;
+  for (const [type, count] of Object.entries(source.byType)) {
+    target.byType[type] = (target.byType[type] || 0) + count;
+  }
+  return target;
+}
+
+/**
+ * Redact PII from a text
+ * @param {string} text - Text to redact
+ * @param {object} brandRef - { brand, brandId } used to pick the brand's settings
+ * @param {object} stats - Counters to update (see createRedactionStats)
+ * @returns {string} Redacted text
+ */
+export function redactText(text, brandRef = {}, stats = createRedactionStats()) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let redacted = text;
+  for (const rule of getRedactionRules(brandRef)) {
+    redacted = redacted.replace(rule.pattern, (match, ...groups) => {
+      if (rule.validate && !rule.validate(match)) {
+        return match;
+      }
+      stats.total++;
+      stats.byType[rule.type] = (stats.byType[rule.type] || 0) + 1;
+      return rule.replace ? rule.replace(match, ...groups) : rule.placeholder;
+    });
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact PII from an enriched ticket (subject, description, conversation,
+ * resolution and custom field values)
+ * @param {object} ticket - Enriched ticket (see enrichTicketWithComments)
+ * @param {object} stats - Counters to update
+ * @returns {object} Redacted copy of the ticket
+ */
+export function redactTicket(ticket, stats = createRedactionStats()) {
+  const brandRef = { brand: ticket.brand, brandId: ticket.brand_id };
+  const redact = (text) => redactText(text, brandRef, stats);
+
+  const customFields = {};
+  for (const [name, data] of Object.entries(ticket.custom_fields || {})) {
+    customFields[name] = data && typeof data === 'object'
+      ? { ...data, value: typeof data.value === 'string' ? redact(data.value) : data.value }
+      : typeof data === 'string' ? redact(data) : data;
+  }
+
+  return {
+    ...ticket,
+    subject: redact(ticket.subject),
+    description: redact(ticket.description),
+    conversation: (ticket.conversation || []).map(msg => ({ ...msg, message: redact(msg.message) })),
+    resolution: redact(ticket.resolution),
+    custom_fields: customFields
+  };
+}
+
+/**
+ * Redact a list of tickets and log what was found
+ * @returns {object} { tickets, redactions }
+ */
+export function redactTickets(tickets) {
+  const redactions = createRedactionStats();
+  const redacted = tickets.map(ticket => redactTicket(ticket, redactions));
+
+  if (redactions.total > 0) {
+    const summary = Object.entries(redactions.byType).map(([type, count]) => `${type}: ${count}`).join(', ');
+    console.log(`🛡️  Redacted ${redactions.total} PII matches (${summary})`);
+  }
+
+  return { tickets: redacted, redactions };
+}
@@ -0,0 +1,180 @@
+import { createHash } from "crypto";
+import { generateContent } from "../config/openai.js";
+import { getInternalNotePolicy } from "../config/brands.js";
+import { buildResolutionExtractionPrompt } from "../utils/prompts.js";
+import { truncateToTokens } from "../utils/tokens.js";
+import { readStore, writeStore } from "./localStore.js";
+
+/**
+ * Resolution extraction (optional import stage)
+ * Runs between redaction and chunking: the LLM reads the thread and returns
+ * the actual fix, root cause and steps, replacing the "last agent reply"
+ * resolution. Tickets without an actionable fix are skipped by the import.
+ * Results are cached by their input, so re-imports of unchanged tickets
+ * neither call the LLM again nor get a reworded (re-embedded) resolution.
+ */
+export const RESOLUTION_EXTRACTION_ENABLED = process.env.RESOLUTION_EXTRACTION === 'true';
+const RESOLUTION_EXTRACTION_MODEL = process.env.RESOLUTION_EXTRACTION_MODEL || "gpt-4-turbo";
+
+// The end of a long thread is kept - that's where the fix usually is
+const MAX_THREAD_TOKENS = 6000;
+const MAX_STEPS = 10;
+
+const CACHE_STORE = 'resolution-extractions';
+const MAX_CACHE_ENTRIES = 5000;
+
+/**
+ * Empty resolution extraction counters
+ */
+export function createResolutionStats() {
+  return { extracted: 0, cached: 0, noResolution: 0, failed: 0 };
+}
+
+/**
+ * Add resolution extraction counters to a running total
+ */
+export function mergeResolutionStats(target, stats) {
+  for (const key of Object.keys(target)) {
+    target[key] += stats?.[key] || 0;
+  }
+  return target;
+}
+
+/**
+ * Thread text for the prompt
+ * Internal notes are only included when the brand lets them into reply
+ * context, since the resolution chunk is used for replies.
+ */
+function threadText(ticket) {
+  const policy = getInternalNotePolicy({ brand: ticket.brand, brandId: ticket.brand_id });
+  const text = (ticket.conversation || [])
+    .map((msg, idx) => ({ ...msg, number: idx + 1 }))
+    .filter(msg => msg.message?.trim() && (msg.public !== false || policy.replyContext))
+    .map(msg => `${msg.number}. ${msg.author || 'Unknown'}${msg.public === false ? ' (internal note)' : ''}: ${msg.message.trim()}`)
+    .join('\n\n');
+
+  return truncateToTokens(text, MAX_THREAD_TOKENS, true);
+}
+
+/**
+ * Parse and check the model's JSON answer
+ * @returns {object} { actionable, rootCause, fix, steps }
+ */
+export function parseResolutionExtraction(answer) {
+  const start = answer.indexOf('{');
+  const end = answer.lastIndexOf('}');
+  if (start < 0 || end < start) {
+    throw new Error('No JSON object in extraction answer');
+  }
+
+  const parsed = JSON.parse(answer.slice(start, end + 1));
+  const fix = typeof parsed.fix === 'string' ? parsed.fix.trim() : '';
+  const steps = Array.isArray(parsed.steps)
+    ? parsed.steps.filter(step => typeof step === 'string' && step.trim()).map(step => step.trim()).slice(0, MAX_STEPS)
+    : [];
+
+  return {
+    // A fix is what makes a resolution actionable, whatever the flag says
+    actionable: parsed.actionable !== false && !!fix,
+    rootCause: typeof parsed.root_cause === 'string' ? parsed.root_cause.trim() : '',
+    fix,
+    steps
+  };
+}
+
+/**
+ * Extract the resolution of one ticket
+ * @returns {Promise<object>} { actionable, rootCause, fix, steps }
+ */
+export async function extractResolution(ticket) {
+  const prompt = buildResolutionExtractionPrompt(ticket, threadText(ticket));
+  const answer = await generateContent(prompt, { temperature: 0.1, maxTokens: 800 }, RESOLUTION_EXTRACTION_MODEL);
+  return parseResolutionExtraction(answer);
+}
+
+function cacheKey(ticket) {
+  return createHash('sha256')
+    .update(`${RESOLUTION_EXTRACTION_MODEL}\n${ticket.subject}\n${ticket.description}\n${threadText(ticket)}`)
+    .digest('hex');
+}
+
+/**
+ * Ticket with the extracted resolution applied
+ */
+function applyExtraction(ticket, extraction) {
+  if (!extraction.actionable) {
+    return { ...ticket, resolution: null, resolution_details: { actionable: false, source: 'llm' } };
+  }
+
+  return {
+    ...ticket,
+    resolution: extraction.fix,
+    resolution_details: {
+      actionable: true,
+      source: 'llm',
+      root_cause: extraction.rootCause,
+      fix: extraction.fix,
+      steps: extraction.steps
+    }
+  };
+}
+
+/**
+ * Extract resolutions for a batch of (redacted) tickets
+ * Tickets without comments and tickets in skipIds (degraded enrichment)
+ * keep their resolution. When extraction fails for a ticket, it keeps the
+ * last-agent-reply resolution and is counted as failed.
+ * @param {object[]} tickets - Redacted enriched tickets
+ * @param {Set} skipIds - Ticket IDs to leave alone
+ * @returns {Promise<object>} { tickets, noResolutionIds, stats: { extracted, cached, noResolution, failed } }
+ */
+export async function extractResolutions(tickets, skipIds = new Set()) {
+  const cache = readStore(CACHE_STORE, {});
+  const stats = createResolutionStats();
+  const noResolutionIds = [];
+  const result = [];
+
+  console.log(`🧠 Extracting resolutions for ${tickets.length} tickets...`);
+
+  for (const ticket of tickets) {
+    if (skipIds.has(ticket.ticket_id) || !(ticket.conversation || []).some(msg => msg.message?.trim())) {
+      result.push(ticket);
+      continue;
+    }
+
+    const key = cacheKey(ticket);
+    let extraction = cache[key]?.extraction;
+
+    if (extraction) {
+      // Move to the end, so often-seen tickets survive the trim below
+      const entry = cache[key];
+      delete cache[key];
+      cache[key] = entry;
+      stats.cached++;
+    } else {
+      try {
+        extraction = await extractResolution(ticket);
+        cache[key] = { extraction, extractedAt: new Date().toISOString() };
+        stats.extracted++;
+      } catch (err) {
+        console.warn(`      ⚠️  Resolution extraction failed for ticket ${ticket.ticket_id}:`, err.message);
+        stats.failed++;
+        result.push(ticket);
+        continue;
+      }
+    }
+
+    if (!extraction.actionable) {
+      stats.noResolution++;
+      noResolutionIds.push(ticket.ticket_id);
+    }
+    result.push(applyExtraction(ticket, extraction));
+  }
+
+  // Keep the newest entries only
+  const entries = Object.entries(cache);
+  writeStore(CACHE_STORE, Object.fromEntries(entries.slice(Math.max(entries.length - MAX_CACHE_ENTRIES, 0))));
+
+  console.log(`✅ Resolutions: ${stats.extracted} extracted, ${stats.cached} cached, ${stats.noResolution} without actionable fix, ${stats.failed} failed`);
+  return { tickets: result, noResolutionIds, stats };
+}
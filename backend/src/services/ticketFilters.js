@@ -0,0 +1,133 @@
+import { parseList } from "../utils/validation.js";
+
+/**
+ * Ticket selection filters for auto-import
+ * Filters narrow the Zendesk search query where the search syntax allows it,
+ * and every filter is checked again on the fetched tickets, so the result is
+ * correct even when search matches loosely (e.g. brand and form are only
+ * searchable by name, so they are checked after fetching only).
+ * minComments needs the conversation and is applied after enrichment.
+ */
+export const TICKET_STATUSES = ['new', 'open', 'pending', 'hold', 'solved', 'closed'];
+export const SATISFACTION_SCORES = ['good', 'bad', 'offered', 'unoffered'];
+
+function toIdList(value) {
+  return parseList(value).map(Number);
+}
+
+/**
+ * Validate and normalize filters from a request body
+ * @param {object} input - { status, includeTags, excludeTags, brandId, formId, channel, satisfaction, minComments }
+ * @returns {object} { filters, error } - filters is null when nothing is set
+ */
+export function normalizeTicketFilters(input) {
+  if (!input) {
+    return { filters: null, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { filters: null, error: "filters must be an object" };
+  }
+
+  const filters = {
+    status: parseList(input.status).map(s => s.toLowerCase()),
+    includeTags: parseList(input.includeTags),
+    excludeTags: parseList(input.excludeTags),
+    brandIds: toIdList(input.brandId),
+    formIds: toIdList(input.formId),
+    channels: parseList(input.channel).map(c => c.toLowerCase()),
+    satisfaction: parseList(input.satisfaction).map(s => s.toLowerCase()),
+    minComments: input.minComments ? Number(input.minComments) : 0
+  };
+
+  const invalidStatus = filters.status.filter(s => !TICKET_STATUSES.includes(s));
+  if (invalidStatus.length > 0) {
+    return { filters: null, error: `Invalid status: ${invalidStatus.join(', ')} (allowed: ${TICKET_STATUSES.join(', ')})` };
+  }
+
+  const invalidScores = filters.satisfaction.filter(s => !SATISFACTION_SCORES.includes(s));
+  if (invalidScores.length > 0) {
+    return { filters: null, error: `Invalid satisfaction: ${invalidScores.join(', ')} (allowed: ${SATISFACTION_SCORES.join(', ')})` };
+  }
+
+  if ([...filters.brandIds, ...filters.formIds].some(id => !Number.isInteger(id) || id <= 0)) {
+    return { filters: null, error: "brandId and formId must be Zendesk IDs" };
+  }
+
+  if (!Number.isInteger(filters.minComments) || filters.minComments < 0) {
+    return { filters: null, error: "minComments must be a non-negative integer" };
+  }
+
+  const overlap = filters.includeTags.filter(t => filters.excludeTags.includes(t));
+  if (overlap.length > 0) {
+    return { filters: null, error: `Tags both included and excluded: ${overlap.join(', ')}` };
+  }
+
+  return { filters: hasTicketFilters(filters) ? filters : null, error: null };
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasTicketFilters(filters) {
+  if (!filters) return false;
+  return Object.values(filters).some(v => Array.isArray(v) ? v.length > 0 : !!v);
+}
+
+function quoteTerm(value) {
+  return /[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Extra Zendesk search terms for the filters
+ * Repeated keywords are ORed by Zendesk search (status:solved status:closed).
+ */
+export function buildSearchTerms(filters) {
+  if (!filters) return '';
+
+  return [
+    ...filters.status.map(s => `status:${s}`),
+    ...filters.includeTags.map(t => `tags:${quoteTerm(t)}`),
+    ...filters.excludeTags.map(t => `-tags:${quoteTerm(t)}`),
+    ...filters.channels.map(c => `via:${quoteTerm(c)}`),
+    ...filters.satisfaction.map(s => `satisfaction:${s}`)
+  ].join(' ');
+}
+
+/**
+ * Check a raw Zendesk ticket against the filters (all but minComments)
+ */
+export function ticketMatchesFilters(ticket, filters) {
+  if (!filters) return true;
+
+  const tags = ticket.tags || [];
+  const checks = [
+    [filters.status, () => filters.status.includes(ticket.status)],
+    [filters.includeTags, () => filters.includeTags.some(t => tags.includes(t))],
+    [filters.excludeTags, () => !filters.excludeTags.some(t => tags.includes(t))],
+    [filters.brandIds, () => filters.brandIds.includes(ticket.brand_id)],
+    [filters.formIds, () => filters.formIds.includes(ticket.ticket_form_id)],
+    [filters.channels, () => filters.channels.includes(ticket.via?.channel)],
+    [filters.satisfaction, () => filters.satisfaction.includes(ticket.satisfaction_rating?.score || 'unoffered')]
+  ];
+
+  return checks.every(([values, matches]) => values.length === 0 || matches());
+}
+
+/**
+ * Short human-readable description of the filters (for logs and import records)
+ */
+export function describeTicketFilters(filters) {
+  if (!hasTicketFilters(filters)) return 'none';
+
+  const parts = [];
+  if (filters.status.length) parts.push(`status: ${filters.status.join('/')}`);
+  if (filters.includeTags.length) parts.push(`tags: ${filters.includeTags.join('/')}`);
+  if (filters.excludeTags.length) parts.push(`not tags: ${filters.excludeTags.join('/')}`);
+  if (filters.brandIds.length) parts.push(`brand: ${filters.brandIds.join('/')}`);
+  if (filters.formIds.length) parts.push(`form: ${filters.formIds.join('/')}`);
+  if (filters.channels.length) parts.push(`channel: ${filters.channels.join('/')}`);
+  if (filters.satisfaction.length) parts.push(`satisfaction: ${filters.satisfaction.join('/')}`);
+  if (filters.minComments) parts.push(`min comments: ${filters.minComments}`);
+
+  return parts.join('; ');
+}
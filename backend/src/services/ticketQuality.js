@@ -0,0 +1,135 @@
+import { getQualityPolicy } from "../config/brands.js";
+
+/**
+ * Ticket quality scoring (import stage before resolution extraction and chunking)
+ * Every ticket starts at 1 and loses points for signs that it was not
+ * resolved well. The score (0-1) and the reasons are stored on its vectors as
+ * quality_score / quality_flags; tickets below their brand's minScore are not
+ * indexed at all.
+ */
+const PENALTIES = {
+  bad_rating: 0.6,
+  reopened: 0.2,       // per reopen, at most MAX_REOPEN_PENALTY
+  open: 0.3,           // new / open
+  unsolved: 0.15,      // pending / hold
+  single_message: 0.4,
+  short_conversation: 0.1,
+  no_resolution: 0.3
+};
+const MAX_REOPEN_PENALTY = 0.4;
+const GOOD_RATING_BONUS = 0.1;
+
+/**
+ * Empty quality counters
+ */
+export function createQualityStats() {
+  return { scored: 0, belowThreshold: 0, scoreTotal: 0 };
+}
+
+/**
+ * Add quality counters to a running total
+ */
+export function mergeQualityStats(target, stats) {
+  for (const key of Object.keys(target)) {
+    target[key] += stats?.[key] || 0;
+  }
+  return target;
+}
+
+/**
+ * Quality counters for job results: { scored, belowThreshold, averageScore }
+ */
+export function summarizeQualityStats(stats) {
+  return {
+    scored: stats?.scored || 0,
+    belowThreshold: stats?.belowThreshold || 0,
+    averageScore: stats?.scored ? Math.round((stats.scoreTotal / stats.scored) * 100) / 100 : null
+  };
+}
+
+/**
+ * Score one enriched ticket
+ * Conversation length and resolution presence only count when the
+ * conversation was fetched (not in quick mode or for degraded tickets).
+ * @param {object} ticket - Enriched ticket ({ status, satisfaction, reopens, conversation, resolution })
+ * @param {boolean} conversationKnown
+ * @returns {object} { score, flags }
+ */
+export function scoreTicket(ticket, conversationKnown = true) {
+  const flags = [];
+  let score = 1;
+
+  if (ticket.satisfaction === 'bad') {
+    score -= PENALTIES.bad_rating;
+    flags.push('bad_rating');
+  } else if (ticket.satisfaction === 'good') {
+    score += GOOD_RATING_BONUS;
+  }
+
+  if (ticket.reopens > 0) {
+    score -= Math.min(ticket.reopens * PENALTIES.reopened, MAX_REOPEN_PENALTY);
+    flags.push('reopened');
+  }
+
+  if (ticket.status === 'new' || ticket.status === 'open') {
+    score -= PENALTIES.open;
+    flags.push('open');
+  } else if (ticket.status === 'pending' || ticket.status === 'hold') {
+    score -= PENALTIES.unsolved;
+    flags.push('unsolved');
+  }
+
+  if (conversationKnown) {
+    const messages = (ticket.conversation || []).filter(msg => msg.public !== false && msg.message?.trim()).length;
+    if (messages <= 1) {
+      score -= PENALTIES.single_message;
+      flags.push('single_message');
+    } else if (messages === 2) {
+      score -= PENALTIES.short_conversation;
+      flags.push('short_conversation');
+    }
+
+    if (!ticket.resolution) {
+      score -= PENALTIES.no_resolution;
+      flags.push('no_resolution');
+    }
+  }
+
+  return { score: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100, flags };
+}
+
+/**
+ * Score a batch of enriched tickets and drop those below their brand's minScore
+ * Degraded tickets are scored but always kept - their conversation couldn't
+ * be fetched, so their score is incomplete.
+ * @param {object[]} tickets - Enriched tickets
+ * @param {object} options - { conversationKnown, degradedIds }
+ * @returns {object} { kept, skippedIds, stats: { scored, belowThreshold, scoreTotal } }
+ */
+export function applyQualityGate(tickets, { conversationKnown = true, degradedIds = new Set() } = {}) {
+  const stats = createQualityStats();
+  const kept = [];
+  const skippedIds = [];
+
+  for (const ticket of tickets) {
+    const degraded = degradedIds.has(ticket.ticket_id);
+    const quality = scoreTicket(ticket, conversationKnown && !degraded);
+    const { minScore } = getQualityPolicy({ brand: ticket.brand, brandId: ticket.brand_id });
+
+    stats.scored++;
+    stats.scoreTotal += quality.score;
+
+    if (!degraded && quality.score < minScore) {
+      stats.belowThreshold++;
+      skippedIds.push(ticket.ticket_id);
+      continue;
+    }
+    kept.push({ ...ticket, quality });
+  }
+
+  if (skippedIds.length > 0) {
+    console.log(`🔎 Skipped ${skippedIds.length} tickets below the quality threshold`);
+  }
+
+  return { kept, skippedIds, stats };
+}
@@ -0,0 +1,100 @@
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“"
+};
+
+/**
+ * Decode named and numeric HTML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const num = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return Number.isNaN(num) ? match : String.fromCodePoint(num);
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert HTML to plain text, keeping paragraph and list structure
+ * @param {string} html - HTML to convert
+ * @returns {string} Plain text with paragraphs separated by blank lines
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+
+  const text = html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    // Table rows become one "cell | cell" line each
+    .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (match, row) => {
+      const cells = [...row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)];
+      return `${cells.map(cell => htmlToText(cell[1]).replace(/\s+/g, " ")).join(" | ")}\n`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|blockquote|pre|section|article)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Split HTML into sections at its headings (h1-h4)
+ * Content before the first heading becomes a section without heading.
+ * @param {string} html - HTML to split
+ * @returns {object[]} [{ heading, headingPath, level, text }]
+ */
+export function splitHtmlByHeadings(html) {
+  if (!html) return [];
+
+  const headingPattern = /<h([1-4])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  const sections = [];
+  let current = { heading: null, level: 0, start: 0 };
+  let match;
+
+  while ((match = headingPattern.exec(html)) !== null) {
+    sections.push({ ...current, end: match.index });
+    current = {
+      heading: htmlToText(match[2]),
+      level: parseInt(match[1]),
+      start: match.index + match[0].length
+    };
+  }
+  sections.push({ ...current, end: html.length });
+
+  // Track parent headings, so "Install" under "Setup" becomes "Setup > Install"
+  const stack = [];
+  return sections
+    .map(({ heading, level, start, end }) => {
+      if (heading) {
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+          stack.pop();
+        }
+        stack.push({ heading, level });
+      }
+      return {
+        heading,
+        headingPath: stack.map(h => h.heading).join(" > "),
+        level,
+        text: htmlToText(html.slice(start, end))
+      };
+    })
+    .filter(section => section.text);
+}
@@ -0,0 +1,39 @@
+import { detectAll } from "tinyld";
+
+/**
+ * Language detection for chunks and queries (ISO 639-1 codes, e.g. 'de')
+ * Short texts and uncertain detections give null rather than a guess.
+ */
+const MIN_DETECTION_LENGTH = 20;
+const MIN_DETECTION_ACCURACY = 0.1;
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * Detect the language of a text
+ * @returns {string|null} ISO 639-1 code
+ */
+export function detectLanguage(text) {
+  if (!text || text.trim().length < MIN_DETECTION_LENGTH) return null;
+
+  const [best] = detectAll(text);
+  return best && best.accuracy >= MIN_DETECTION_ACCURACY ? best.lang : null;
+}
+
+/**
+ * English name of a language code or locale ('de' → 'German'), for prompts
+ */
+export function languageName(code) {
+  try {
+    return languageNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Language code of a Zendesk locale ('pt-br' → 'pt')
+ */
+export function localeLanguage(locale) {
+  return locale ? String(locale).split(/[-_]/)[0].toLowerCase() : null;
+}
@@ -18,4 +18,55 @@ export function cleanMarkdown(text) {
     .replace(/^\s*(\d+)\.\s+/gm, "$1. ")    // Ordered lists
     .replace(/\n{3,}/g, "\n\n")             // Multiple newlines
     .trim();
-}
\ No newline at end of file
+}
+
+/**
+ * Split markdown (or plain text) into sections at its headings
+ * Recognizes "#" to "####" headings and "===" / "---" underlined headings;
+ * headings inside ``` code blocks are ignored. Text without headings becomes
+ * one section without heading.
+ * @param {string} text - Markdown to split
+ * @returns {object[]} [{ heading, headingPath, level, text }] (same shape as splitHtmlByHeadings)
+ */
+export function splitMarkdownByHeadings(text) {
+  if (!text) return [];
+
+  const sections = [];
+  const stack = [];
+  let current = { heading: null, headingPath: "", level: 0, lines: [] };
+  let inCodeBlock = false;
+
+  const startSection = (heading, level) => {
+    sections.push(current);
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    stack.push({ heading, level });
+    current = { heading, headingPath: stack.map(h => h.heading).join(" > "), level, lines: [] };
+  };
+
+  for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const previous = current.lines[current.lines.length - 1];
+    const atx = !inCodeBlock && line.match(/^ {0,3}(#{1,4})\s+(.+?)\s*#*\s*$/);
+    const underline = !inCodeBlock && previous?.trim() && !/^\s*([-*+]|\d+\.)\s/.test(previous)
+      && line.match(/^ {0,3}(=+|-+)\s*$/);
+
+    if (atx) {
+      startSection(atx[2], atx[1].length);
+    } else if (underline) {
+      current.lines.pop();
+      startSection(previous.trim(), underline[1][0] === "=" ? 1 : 2);
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ lines, ...section }) => ({ ...section, text: lines.join("\n").replace(/\n{3,}/g, "\n\n").trim() }))
+    .filter(section => section.text);
+}
@@ -1,7 +1,17 @@
 /**
  * Build summary prompt for ticket
+ * comments are the ticket's messages ({ author, message, public }); internal
+ * notes are marked, so the summary can use them (it is only shown to agents)
  */
-export function buildSummaryPrompt(ticket) {
+export function buildSummaryPrompt(ticket, comments = []) {
+  const conversationText =
+    comments.length > 0
+      ? comments
+          .filter((c) => c.message?.trim())
+          .map((c, idx) => `${idx + 1}. ${c.author || "Unknown"}${c.public === false ? " (internal note)" : ""}: ${c.message.trim()}`)
+          .join("\n\n")
+      : "No comments provided";
+
   const customFieldsText =
     Object.keys(ticket.customFields || {}).length > 0
       ? Object.entries(ticket.customFields)
@@ -26,6 +36,9 @@ ${ticket.description || "N/A"}
 
 Custom Fields:
 ${customFieldsText}
+
+Conversation:
+${conversationText}
 ------------------------
 
 Provide:
@@ -61,6 +74,7 @@ CRITICAL RULE: PROVIDE CLEAR SOLUTIONS ONLY
 - Step-by-step solutions
 - Specific answers from the knowledge base and there previous chats
 - Give first priority to knowledge base information that matches the customer's issue.
+- Entries marked [Approved macro] are reply templates approved by the support team - when one fits the issue, follow its content closely.
 - If the KB does not have a clear answer, use relevant information from previous ticket conversations.
 - Clear next steps the customer can take
 - Direct answers to their question
@@ -136,4 +150,39 @@ ${text}
 
 Translated text:
 `;
-}
\ No newline at end of file
+}
+
+/**
+ * Build resolution extraction prompt (answer is parsed as JSON by
+ * services/resolutionExtraction.js)
+ */
+export function buildResolutionExtractionPrompt(ticket, threadText) {
+  return `
+Read the solved Zendesk ticket below and extract how the issue was actually resolved.
+
+------------------------
+Subject: ${ticket.subject || "N/A"}
+
+Description:
+${ticket.description || "N/A"}
+
+Conversation:
+${threadText || "No comments"}
+------------------------
+
+RULES:
+- Only use what the conversation says - never invent a fix
+- Closing messages ("Closing this ticket", "Let us know if you need anything") are NOT a resolution
+- If the ticket has no actionable fix (spam, no reply, duplicate, customer went silent, only a workaround promise), set "actionable" to false
+- Write the fix and steps so another agent could apply them to a similar ticket
+- Leave out names, emails and other personal details
+
+Return ONLY a JSON object, no markdown:
+{
+  "actionable": true or false,
+  "root_cause": "why the issue happened, or empty if unknown",
+  "fix": "one or two sentences describing the fix",
+  "steps": ["step 1", "step 2"]
+}
+`;
+}
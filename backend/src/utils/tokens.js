@@ -0,0 +1,52 @@
+import { Tiktoken } from "js-tiktoken/lite";
+import cl100k_base from "js-tiktoken/ranks/cl100k_base";
+
+/**
+ * Token counting with the tokenizer of the OpenAI embedding models
+ * (text-embedding-3-* use cl100k_base). The encoder is built on first use.
+ */
+let encoder = null;
+
+function getEncoder() {
+  if (!encoder) {
+    encoder = new Tiktoken(cl100k_base);
+  }
+  return encoder;
+}
+
+/**
+ * Number of tokens in a text
+ */
+export function countTokens(text) {
+  if (!text) return 0;
+  return getEncoder().encode(text).length;
+}
+
+/**
+ * Cut a text to at most maxTokens tokens
+ * @param {boolean} fromEnd - Keep the last tokens instead of the first
+ */
+export function truncateToTokens(text, maxTokens, fromEnd = false) {
+  if (!text) return "";
+
+  const tokens = getEncoder().encode(text);
+  if (tokens.length <= maxTokens) return text;
+
+  const kept = fromEnd ? tokens.slice(tokens.length - maxTokens) : tokens.slice(0, maxTokens);
+  return getEncoder().decode(kept);
+}
+
+/**
+ * Cut a text into pieces of at most maxTokens tokens, at token boundaries
+ * (for text without a better place to split, e.g. one very long sentence)
+ * The pieces keep their whitespace - joined, they give back the text.
+ */
+export function splitByTokens(text, maxTokens) {
+  const tokens = getEncoder().encode(text || "");
+  const pieces = [];
+
+  for (let i = 0; i < tokens.length; i += maxTokens) {
+    pieces.push(getEncoder().decode(tokens.slice(i, i + maxTokens)));
+  }
+  return pieces;
+}
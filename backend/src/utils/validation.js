@@ -0,0 +1,10 @@
+/**
+ * Parse a list parameter: a single value, an array or a comma-separated string
+ * @param {any} value - Raw value from a request body or query string
+ * @returns {string[]} Trimmed, de-duplicated, non-empty values
+ */
+export function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
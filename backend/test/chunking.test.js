@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitLongParagraph, chunkDocument, chunkConversation } from "../src/services/chunking.js";
+
+const join = (units) => units.map(unit => unit.separator + unit.text).join('');
+
+const PARAGRAPH = [
+  "?? Upgrade to v1.2.3 first, e.g. with npm i app@1.2.3 - see https://example.com/docs/v1.2.3/page0.html for details.",
+  "The fee is 0.5% (about $3.75) per export!  Does \"node 20.11\" work?",
+  "Yes.\nLogs are in /var/log/app.log\tand rotate daily."
+].join(' ');
+
+test("splitLongParagraph keeps URLs, versions and decimals intact", () => {
+  const units = splitLongParagraph(PARAGRAPH, 1000);
+
+  assert.equal(join(units), PARAGRAPH);
+  assert.ok(units[0].text.startsWith("?? Upgrade"));
+  assert.ok(units.some(unit => unit.text.endsWith("https://example.com/docs/v1.2.3/page0.html for details.")));
+  assert.ok(units.some(unit => unit.text === "The fee is 0.5% (about $3.75) per export!"));
+  assert.ok(units.some(unit => unit.text === "Yes."));
+});
+
+test("splitLongParagraph cuts long sentences at spaces without losing text", () => {
+  for (const maxSize of [10, 25, 60]) {
+    const units = splitLongParagraph(PARAGRAPH, maxSize);
+
+    assert.equal(join(units), PARAGRAPH);
+    assert.ok(units.every(unit => unit.text.length <= maxSize && unit.text === unit.text.trim()));
+  }
+});
+
+test("splitLongParagraph cuts text without spaces at maxSize", () => {
+  const url = `https://example.com/${'a'.repeat(50)}`;
+  const units = splitLongParagraph(url, 20);
+
+  assert.equal(join(units), url);
+  assert.deepEqual(units.map(unit => unit.text.length), [20, 20, 20, 10]);
+});
+
+test("chunkDocument pieces only contain text from the document", () => {
+  const document = { title: "Runbook", format: "text", sections: [{ headingPath: null, text: PARAGRAPH }] };
+  const chunks = chunkDocument(document, "runbook.txt", { size: 120, overlap: 0 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(PARAGRAPH.includes(chunk.text.replace("Runbook\n\n", "")));
+  }
+});
+
+test("chunkConversation splits long messages without changing their text", () => {
+  const body = `${PARAGRAPH}\n\n${PARAGRAPH}\n\nToken: ${'x9'.repeat(200)}`;
+  const ticket = {
+    ticket_id: 42,
+    subject: "Upgrade",
+    conversation: [{ author: "Agent", message: body, public: true }]
+  };
+  const chunks = chunkConversation(ticket, { maxTokens: 90, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 2);
+  for (const chunk of chunks) {
+    const pieces = chunk.text.split(/\n\n1\. Agent \[\d+\/\d+\]: /).slice(1);
+    assert.ok(pieces.length > 0);
+    for (const piece of pieces) {
+      assert.ok(body.includes(piece), `"${piece}" is not part of the message`);
+    }
+  }
+});
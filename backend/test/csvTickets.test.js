@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectColumnMapping, validateColumnMapping, parseTicketCsv } from "../src/services/csvTickets.js";
+
+test("detectColumnMapping matches aliases and Zendesk custom fields", () => {
+  const mapping = detectColumnMapping(["Id", "Title", "First Comment", "Tags", "Product [list]", "cf_region", "Assignee"]);
+
+  assert.equal(mapping.ticket_id, "Id");
+  assert.equal(mapping.subject, "Title");
+  assert.equal(mapping.description, "First Comment");
+  assert.equal(mapping.tags, "Tags");
+  assert.equal(mapping.resolution, null);
+  assert.deepEqual(mapping.customFields, ["Product [list]", "cf_region"]);
+});
+
+test("validateColumnMapping checks the override shape", () => {
+  assert.equal(validateColumnMapping({ ticket_id: "Key", customFields: ["Area"] }), null);
+  assert.equal(validateColumnMapping([]), "columnMapping must be an object");
+  assert.match(validateColumnMapping({ assignee: "Owner" }), /Unknown columnMapping fields: assignee/);
+  assert.match(validateColumnMapping({ customFields: "Area" }), /must be a list/);
+});
+
+test("parseTicketCsv maps rows to tickets", () => {
+  const csv = [
+    "Ticket ID,Subject,Comments,Tags,Product [list]",
+    '101,Login fails,"Customer: I can\'t log in\n\nAgent: Reset your password",login; auth,Portal'
+  ].join("\n");
+  const { tickets, rowErrors } = parseTicketCsv(csv);
+
+  assert.deepEqual(rowErrors, []);
+  assert.deepEqual(tickets[0], {
+    ticket_id: "101",
+    subject: "Login fails",
+    description: "",
+    conversation: [
+      { author: "Customer", message: "I can't log in" },
+      { author: "Agent", message: "Reset your password" }
+    ],
+    resolution: null,
+    tags: ["login", "auth"],
+    status: null,
+    priority: null,
+    brand: null,
+    custom_fields: { Product: "Portal" }
+  });
+});
+
+test("parseTicketCsv reports invalid rows with their row number", () => {
+  const csv = [
+    "id,subject,description",
+    "1,Refund,Charged twice",
+    ",No id,x",
+    "1,Duplicate,y",
+    "bad id,Spaces,z",
+    "2,,"
+  ].join("\n");
+  const { tickets, rowCount, rowErrors } = parseTicketCsv(csv);
+
+  assert.equal(rowCount, 5);
+  assert.deepEqual(tickets.map(ticket => ticket.ticket_id), ["1"]);
+  assert.deepEqual(rowErrors.map(({ row, errors }) => [row, errors.length]), [[3, 1], [4, 1], [5, 1], [6, 1]]);
+  assert.match(rowErrors[1].errors[0], /duplicate ticket_id \(first seen on row 2\)/);
+});
+
+test("parseTicketCsv applies a column mapping override", () => {
+  const csv = "Key,Headline,Notes\nA-1,Export stuck,Cleared the queue";
+
+  assert.throws(() => parseTicketCsv(csv), /Could not detect the CSV ticket columns/);
+  assert.throws(() => parseTicketCsv(csv, { ticket_id: "Ref" }), /CSV has no column 'Ref'/);
+
+  const { tickets } = parseTicketCsv(csv, { ticket_id: "Key", subject: "Headline", resolution: "Notes" });
+  assert.equal(tickets[0].ticket_id, "A-1");
+  assert.equal(tickets[0].resolution, "Cleared the queue");
+});
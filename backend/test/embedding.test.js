@@ -0,0 +1,78 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Offline provider, and a cache that doesn't touch ./data
+process.env.EMBEDDING_PROVIDER = "hash";
+process.env.EMBEDDING_DIMENSIONS = "8";
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-test-"));
+process.env.DATA_DIR = dataDir;
+
+const { getEmbeddingProvider } = await import("../src/config/embedding.js");
+const { embedTextBatch, EMBEDDING_BATCH } = await import("../src/services/embedding.js");
+
+const provider = getEmbeddingProvider();
+const embed = provider.embed;
+let requests = [];
+let texts = 0;
+
+// Unique texts, so the cache never answers
+const newTexts = (count) => Array.from({ length: count }, () => `text number ${++texts} for the test`);
+
+function apiError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { message: "rejected" } }, headers: {} };
+  return error;
+}
+
+beforeEach(() => {
+  requests = [];
+  provider.embed = (inputs) => {
+    requests.push(inputs.length);
+    return embed(inputs);
+  };
+  EMBEDDING_BATCH.maxBatchTokens = 50000;
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("embedTextBatch cuts batches at maxBatchTokens and sends duplicates once", async () => {
+  EMBEDDING_BATCH.maxBatchTokens = 20;
+  const batch = newTexts(5);
+  const embeddings = await embedTextBatch([...batch, batch[0]]);
+
+  assert.equal(embeddings.length, 6);
+  assert.deepEqual(embeddings[5], embeddings[0]);
+  assert.deepEqual(requests, [2, 2, 1]);
+});
+
+test("embedTextBatch serves cached texts without a request", async () => {
+  const batch = newTexts(3);
+  await embedTextBatch(batch);
+  await embedTextBatch(batch);
+
+  assert.deepEqual(requests, [3]);
+});
+
+test("embedTextBatch splits a batch the API rejects down to the bad input", async () => {
+  const batch = newTexts(4);
+  provider.embed = (inputs) => {
+    requests.push(inputs.length);
+    return inputs.includes(batch[2]) ? Promise.reject(apiError(400)) : embed(inputs);
+  };
+
+  await assert.rejects(embedTextBatch(batch), /status code 400/);
+  assert.deepEqual(requests, [4, 2, 2, 1]);
+});
+
+test("embedTextBatch doesn't split batches on auth errors", async () => {
+  provider.embed = (inputs) => {
+    requests.push(inputs.length);
+    return Promise.reject(apiError(401));
+  };
+
+  await assert.rejects(embedTextBatch(newTexts(4)), /status code 401/);
+  assert.deepEqual(requests, [4]);
+});
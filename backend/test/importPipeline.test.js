@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Local vector store and offline embeddings in a temporary data directory;
+// no Zendesk credentials, so import records are skipped
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-test-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  VECTOR_STORE: "local",
+  EMBEDDING_PROVIDER: "hash",
+  EMBEDDING_DIMENSIONS: "8",
+  ZENDESK_DOMAIN: "",
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || "test-key"
+});
+
+const { initializeIndex, listVectorIds } = await import("../src/config/vectorStore.js");
+const { runFileImport } = await import("../src/services/importPipeline.js");
+
+const ticket = {
+  ticket_id: 501,
+  subject: "Export stuck at 99%",
+  description: "The CSV export never finishes.",
+  status: "solved",
+  conversation: [
+    { author: "Customer", message: "The CSV export never finishes.", public: true },
+    { author: "Agent", message: "Please clear the export queue in Settings > Data.", public: true }
+  ],
+  resolution: "Cleared the export queue"
+};
+
+// runFileImport deletes the uploaded file, so every run writes it again
+async function importTicket(data) {
+  const filePath = path.join(dataDir, "upload.json");
+  fs.writeFileSync(filePath, JSON.stringify({ tickets: [data] }));
+  return runFileImport(
+    { filePath, fileName: "tickets.json", fileType: "application/json" },
+    { id: "test-job" },
+    () => {}
+  );
+}
+
+before(() => initializeIndex());
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("re-importing a ticket keeps stable IDs and replaces stale chunks", async () => {
+  const first = await importTicket(ticket);
+  const firstIds = await listVectorIds("ticket-501-");
+
+  assert.equal(first.added, 1);
+  assert.equal(first.chunks.embedded, firstIds.length);
+  assert.ok(firstIds.length > 0);
+
+  const unchanged = await importTicket(ticket);
+  assert.deepEqual([unchanged.added, unchanged.updated, unchanged.unchanged], [0, 0, 1]);
+  assert.deepEqual(unchanged.chunks, { embedded: 0, unchanged: firstIds.length, removed: 0 });
+  assert.deepEqual((await listVectorIds("ticket-501-")).sort(), [...firstIds].sort());
+
+  const grown = await importTicket({
+    ...ticket,
+    conversation: [...ticket.conversation, { author: "Customer", message: "That worked, thanks!", public: true }]
+  });
+  const grownIds = await listVectorIds("ticket-501-");
+  const staleIds = firstIds.filter(id => !grownIds.includes(id));
+
+  assert.deepEqual([grown.added, grown.updated, grown.unchanged], [0, 1, 0]);
+  assert.ok(grown.chunks.embedded > 0);
+  assert.equal(grown.chunks.removed, staleIds.length);
+  assert.ok(staleIds.length > 0);
+  assert.equal(grownIds.length, grown.chunks.embedded + grown.chunks.unchanged);
+});
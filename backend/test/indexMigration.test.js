@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Local vector store and offline embeddings in a temporary data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "migration-test-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  VECTOR_STORE: "local",
+  EMBEDDING_PROVIDER: "hash",
+  EMBEDDING_DIMENSIONS: "8"
+});
+
+const vectorStore = await import("../src/config/vectorStore.js");
+const { getEmbeddingProvider } = await import("../src/config/embedding.js");
+const {
+  planMigration,
+  runIndexMigration,
+  rollbackMigration,
+  confirmMigration,
+  getMigrationStatus
+} = await import("../src/services/indexMigration.js");
+
+const provider = getEmbeddingProvider();
+const embed = provider.embed;
+
+// Embedded without the cache, so the migration has to embed them
+async function addChunks(ids) {
+  const contents = ids.map(id => `Chunk ${id}: how to fix the ${id} export`);
+  const embeddings = await embed(contents);
+  await vectorStore.upsertVectors(ids.map((id, idx) => ({ id, values: embeddings[idx], metadata: { content: contents[idx] } })));
+}
+
+async function indexIds(name) {
+  const ids = [];
+  await vectorStore.scanIndex(name, async (page) => ids.push(...page.map(record => record.id)));
+  return ids.sort();
+}
+
+async function migrate() {
+  const plan = await planMigration();
+  return runIndexMigration(plan, { id: `job-${plan.toIndex}` }, () => {});
+}
+
+before(async () => {
+  await vectorStore.initializeIndex();
+  await addChunks(["alpha", "beta", "gamma"]);
+});
+
+after(() => {
+  provider.embed = embed;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("a migration copies every chunk and switches the active index", async () => {
+  const result = await migrate();
+  const status = await getMigrationStatus();
+
+  assert.deepEqual([result.fromIndex, result.toIndex, result.migrated], ["zendesk-kb", "zendesk-kb-v2", 3]);
+  assert.equal(status.activeIndex, "zendesk-kb-v2");
+  assert.equal(status.previousIndex, "zendesk-kb");
+  assert.equal(status.migration.status, "completed");
+  assert.deepEqual(await indexIds("zendesk-kb-v2"), ["alpha", "beta", "gamma"]);
+});
+
+test("confirm refuses any index but the previous one", async () => {
+  await assert.rejects(confirmMigration("zendesk-kb-v2"), /deleteIndex must be "zendesk-kb"/);
+  await assert.rejects(confirmMigration(undefined), /deleteIndex must be "zendesk-kb"/);
+  assert.ok(await vectorStore.describeNamedIndex("zendesk-kb"));
+});
+
+test("rollback switches back and can't be rolled forward", async () => {
+  const status = await rollbackMigration();
+
+  assert.equal(status.activeIndex, "zendesk-kb");
+  assert.equal(status.previousIndex, "zendesk-kb-v2");
+  assert.equal(status.migration.status, "rolled_back");
+  await assert.rejects(rollbackMigration(), /out of date since the rollback/);
+  assert.equal((await getMigrationStatus()).activeIndex, "zendesk-kb");
+
+  const confirmed = await confirmMigration("zendesk-kb-v2");
+  assert.equal(confirmed.previousIndex, null);
+  assert.equal(confirmed.migration.status, "discarded");
+  assert.equal(await vectorStore.describeNamedIndex("zendesk-kb-v2"), null);
+});
+
+test("chunks deleted during the copy are removed from the new index before the switch", async () => {
+  await addChunks(["delta"]);
+
+  // Delete a chunk while its page is being re-embedded, after it was read
+  provider.embed = async (inputs) => {
+    provider.embed = embed;
+    await vectorStore.deleteVectors(["beta"]);
+    assert.deepEqual(vectorStore.getIndexState().migration.pendingDeletes, ["beta"]);
+    return embed(inputs);
+  };
+  await migrate();
+
+  const status = await getMigrationStatus();
+  assert.equal(status.activeIndex, "zendesk-kb-v2");
+  assert.deepEqual(await indexIds("zendesk-kb-v2"), ["alpha", "delta", "gamma"]);
+  assert.equal(status.migration.pendingDeletes, undefined);
+  await confirmMigration("zendesk-kb");
+});
+
+test("a resumed migration clears what its index kept from before", async () => {
+  await vectorStore.createNamedIndex("zendesk-kb-v3", 8);
+  await vectorStore.upsertToIndex("zendesk-kb-v3", [{ id: "removed-meanwhile", values: [1, 0, 0, 0, 0, 0, 0, 0], metadata: {} }]);
+  vectorStore.updateIndexState({ migration: { fromIndex: "zendesk-kb-v2", toIndex: "zendesk-kb-v3", status: "interrupted" } });
+
+  assert.equal((await planMigration()).resumed, true);
+  await migrate();
+
+  assert.equal((await getMigrationStatus()).activeIndex, "zendesk-kb-v3");
+  assert.deepEqual(await indexIds("zendesk-kb-v3"), ["alpha", "delta", "gamma"]);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesFilter } from "../src/config/localVectorStore.js";
+
+const metadata = { type: "ticket", brand: "acme", priority: 3, agent_groups: ["Billing", "Tier 2"], resolved: true };
+
+test("matchesFilter treats plain values as $eq", () => {
+  assert.ok(matchesFilter(metadata, { type: "ticket", brand: "acme" }));
+  assert.ok(!matchesFilter(metadata, { type: "article" }));
+  assert.ok(matchesFilter(metadata, {}));
+  assert.ok(matchesFilter(metadata, null));
+});
+
+test("matchesFilter supports comparison and set operators", () => {
+  assert.ok(matchesFilter(metadata, { priority: { $gte: 3, $lt: 4 } }));
+  assert.ok(!matchesFilter(metadata, { priority: { $gt: 3 } }));
+  assert.ok(matchesFilter(metadata, { brand: { $in: ["acme", "globex"] } }));
+  assert.ok(!matchesFilter(metadata, { brand: { $nin: ["acme"] } }));
+  assert.ok(matchesFilter(metadata, { brand: { $ne: "globex" } }));
+});
+
+test("matchesFilter matches list values when any element does", () => {
+  assert.ok(matchesFilter(metadata, { agent_groups: { $eq: "Billing" } }));
+  assert.ok(matchesFilter(metadata, { agent_groups: { $in: ["Sales", "Tier 2"] } }));
+  assert.ok(!matchesFilter(metadata, { agent_groups: { $ne: "Billing" } }));
+  assert.ok(matchesFilter(metadata, { agent_groups: { $nin: ["Sales"] } }));
+});
+
+test("matchesFilter handles missing fields", () => {
+  assert.ok(matchesFilter(metadata, { language: { $exists: false } }));
+  assert.ok(!matchesFilter(metadata, { language: { $exists: true } }));
+  assert.ok(!matchesFilter(metadata, { updated_at: { $gt: 0 } }));
+  assert.ok(matchesFilter(metadata, { language: { $ne: "de" } }));
+});
+
+test("matchesFilter combines conditions with $and / $or", () => {
+  assert.ok(matchesFilter(metadata, { $or: [{ type: "article" }, { resolved: true }] }));
+  assert.ok(!matchesFilter(metadata, { $and: [{ type: "ticket" }, { brand: "globex" }] }));
+  assert.ok(matchesFilter(metadata, { $and: [{ type: "ticket" }, { $or: [{ priority: { $lte: 1 } }, { agent_groups: "Tier 2" }] }] }));
+});
+
+test("matchesFilter rejects unknown operators", () => {
+  assert.throws(() => matchesFilter(metadata, { brand: { $regex: "ac.*" } }), /Unsupported filter operator: \$regex/);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactText, redactTicket, createRedactionStats, mergeRedactionStats } from "../src/services/redaction.js";
+
+test("redactText replaces each kind of PII with its placeholder", () => {
+  const cases = [
+    ["Mail me at jane.doe+vip@example.co.uk", "Mail me at [EMAIL]"],
+    ["Card 4242 4242 4242 4242 was declined", "Card [CARD] was declined"],
+    ["The card ending in 4242 expired", "The card ending in [CARD] expired"],
+    ["Refund to DE89 3704 0044 0532 0130 00 please", "Refund to [IBAN] please"],
+    ["SSN 123-45-6789 on file", "SSN [SSN] on file"],
+    ["Requests from 192.168.10.25 fail", "Requests from [IP_ADDRESS] fail"],
+    ["Call +1 415 555 0132 tomorrow", "Call [PHONE] tomorrow"],
+    ["Ship to 221B Baker Street, Apt 4", "Ship to [ADDRESS]"]
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.equal(redactText(text), expected);
+  }
+});
+
+test("redactText leaves look-alikes alone", () => {
+  const text = "Order 1234 on 2024-01-15 (15.01.2024), version 1.2.3, card 4242 4242 4242 4241";
+  assert.equal(redactText(text), text);
+});
+
+test("redactText counts matches by type", () => {
+  const stats = createRedactionStats();
+  redactText("a@example.com, b@example.com, card ending in 1881", {}, stats);
+
+  assert.deepEqual(stats, { total: 3, byType: { email: 2, credit_card: 1 } });
+  assert.deepEqual(
+    mergeRedactionStats({ total: 1, byType: { email: 1 } }, stats),
+    { total: 4, byType: { email: 3, credit_card: 1 } }
+  );
+});
+
+test("redactTicket redacts messages and custom field values", () => {
+  const ticket = {
+    ticket_id: 7,
+    subject: "Login for jane@example.com",
+    description: "No PII here",
+    conversation: [{ author: "Jane", message: "My number is +44 20 7946 0958" }],
+    resolution: null,
+    custom_fields: { contact: { value: "jane@example.com" }, priority: { value: 2 }, note: "ip 10.0.0.1" }
+  };
+  const redacted = redactTicket(ticket);
+
+  assert.equal(redacted.subject, "Login for [EMAIL]");
+  assert.equal(redacted.description, "No PII here");
+  assert.equal(redacted.conversation[0].message, "My number is [PHONE]");
+  assert.deepEqual(redacted.custom_fields, { contact: { value: "[EMAIL]" }, priority: { value: 2 }, note: "ip [IP_ADDRESS]" });
+  assert.equal(ticket.subject, "Login for jane@example.com");
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// config/openai.js exits without a key - no request is made here
+process.env.OPENAI_API_KEY ||= "test-key";
+const { parseResolutionExtraction } = await import("../src/services/resolutionExtraction.js");
+
+test("parseResolutionExtraction reads the JSON object out of the answer", () => {
+  const answer = 'Here is the result:\n```json\n{"actionable": true, "root_cause": " Expired token ", "fix": " Re-issued the API token. ", "steps": ["Open settings", " ", 3, " Rotate the token "]}\n```';
+
+  assert.deepEqual(parseResolutionExtraction(answer), {
+    actionable: true,
+    rootCause: "Expired token",
+    fix: "Re-issued the API token.",
+    steps: ["Open settings", "Rotate the token"]
+  });
+});
+
+test("parseResolutionExtraction needs a fix to be actionable", () => {
+  assert.equal(parseResolutionExtraction('{"actionable": true, "fix": "  "}').actionable, false);
+  assert.equal(parseResolutionExtraction('{"actionable": false, "fix": "Restarted the sync"}').actionable, false);
+  assert.equal(parseResolutionExtraction('{"fix": "Restarted the sync"}').actionable, true);
+});
+
+test("parseResolutionExtraction keeps at most 10 steps", () => {
+  const steps = Array.from({ length: 15 }, (_, idx) => `Step ${idx + 1}`);
+  assert.equal(parseResolutionExtraction(JSON.stringify({ fix: "Fixed", steps })).steps.length, 10);
+});
+
+test("parseResolutionExtraction rejects answers without JSON", () => {
+  assert.throws(() => parseResolutionExtraction("The customer's issue was resolved."), /No JSON object/);
+  assert.throws(() => parseResolutionExtraction("{ not json }"), SyntaxError);
+});
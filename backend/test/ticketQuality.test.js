@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreTicket, applyQualityGate } from "../src/services/ticketQuality.js";
+
+const conversation = (count) => Array.from({ length: count }, (_, idx) => ({ author: idx % 2 ? "Agent" : "Customer", message: `Message ${idx + 1}`, public: true }));
+
+const goodTicket = {
+  ticket_id: 1,
+  status: "solved",
+  satisfaction: "good",
+  reopens: 0,
+  conversation: conversation(4),
+  resolution: "Cleared the cache"
+};
+
+test("scoreTicket keeps well resolved tickets at 1", () => {
+  assert.deepEqual(scoreTicket(goodTicket), { score: 1, flags: [] });
+});
+
+test("scoreTicket adds up penalties and clamps at 0", () => {
+  assert.deepEqual(
+    scoreTicket({ ...goodTicket, satisfaction: null, reopens: 1, conversation: conversation(2) }),
+    { score: 0.7, flags: ["reopened", "short_conversation"] }
+  );
+  assert.deepEqual(
+    scoreTicket({ ...goodTicket, satisfaction: "bad", status: "open", reopens: 5, conversation: conversation(1), resolution: null }),
+    { score: 0, flags: ["bad_rating", "reopened", "open", "single_message", "no_resolution"] }
+  );
+});
+
+test("scoreTicket ignores internal and empty messages", () => {
+  const messages = [...conversation(1), { author: "Agent", message: "Internal", public: false }, { author: "Agent", message: "  " }];
+  assert.deepEqual(scoreTicket({ ...goodTicket, satisfaction: null, conversation: messages }).flags, ["single_message"]);
+});
+
+test("scoreTicket skips conversation checks when the conversation is unknown", () => {
+  const quick = { ...goodTicket, satisfaction: null, conversation: [], resolution: null };
+  assert.deepEqual(scoreTicket(quick, false), { score: 1, flags: [] });
+});
+
+test("applyQualityGate drops tickets below minScore but keeps degraded ones", () => {
+  const weak = { ...goodTicket, ticket_id: 2, satisfaction: "bad", conversation: conversation(1), resolution: null };
+  const degraded = { ...weak, ticket_id: 3 };
+  const { kept, skippedIds, stats } = applyQualityGate([goodTicket, weak, degraded], { degradedIds: new Set([3]) });
+
+  assert.deepEqual(kept.map(ticket => ticket.ticket_id), [1, 3]);
+  assert.deepEqual(skippedIds, [2]);
+  assert.equal(stats.belowThreshold, 1);
+  assert.deepEqual(kept[0].quality, { score: 1, flags: [] });
+});